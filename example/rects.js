@@ -1,6 +1,5 @@
 import { Plot } from "../src/index.js"
 import { JSONEditor } from '@json-editor/json-editor'
-import { } from "./layer-types/RectLayer.js"
 import { showStatus } from "./shared.js"
 
 // Generate demo data: 1M bars with randomly-spaced x positions. Two tiers of
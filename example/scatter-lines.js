@@ -45,16 +45,11 @@ const plotConfig = {
       }
     },
     {
-      "multi-line": {
+      "multiline": {
         "xData": "input.time_s",
         "filterData": "input.quality_flag",
         "cutoff": 0.5,
-        "badColor": [
-          0.7,
-          0.7,
-          0.7,
-          1
-        ],
+        "badColor": "#b3b3b3",
         "xAxis": "xaxis_top",
         "yAxis": "yaxis_right"
       }
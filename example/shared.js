@@ -2,7 +2,6 @@ import { registerAxisQuantityKind } from "../src/index.js"
 import { } from "../src/layers/PointsLayer.js"
 import { } from "../src/layers/LinesLayer.js"
 import { } from "../src/floats/Filterbar.js"
-import { } from "./layer-types/MultiLineLayer.js"
 
 export { data } from "./data/sampleData.js"
 
@@ -1,5 +1,7 @@
+import * as d3 from "d3-scale"
 import { AXIS_GEOMETRY, axisEndpoints, axisPosAtN } from "./AxisRegistry.js"
-import { getAxisQuantityKind } from "./AxisQuantityKindRegistry.js"
+import { getAxisQuantityKind, convertUnit, unitsCompatible } from "./AxisQuantityKindRegistry.js"
+import { parseCssColor } from "../core/colorUtils.js"
 import { projectToScreen } from "../math/mat4.js"
 
 // ─── Tick formatting (same logic as before) ───────────────────────────────────
@@ -15,6 +17,35 @@ function formatTick(v) {
   return s
 }
 
+// A single value to about `step` precision, for readouts between ticks.
+function formatReadout(v, step) {
+  if (v === 0 || !isFinite(v)) return String(v)
+  const abs = Math.abs(v)
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)))
+  if (abs >= 1e6 || abs < 1e-4) {
+    const digits = Math.floor(Math.log10(abs)) - Math.floor(Math.log10(step))
+    return v.toExponential(Math.min(15, Math.max(0, digits))).replace(/\.?0+(e)/, '$1')
+  }
+  return v.toFixed(Math.min(20, decimals))
+}
+
+// Time axes hold epoch milliseconds; ticks and labels follow calendar intervals (UTC).
+function utcScaleFor(domain) {
+  return d3.scaleUtc().domain([new Date(domain[0]), new Date(domain[1])])
+}
+
+// One tick per visible category (at the band centre), thinned to every k-th
+// category when there are more than `count`.
+function categoryTickValues(domain, n, count) {
+  const lo = Math.max(0, Math.ceil(Math.min(domain[0], domain[1])))
+  const hi = Math.min(n - 1, Math.floor(Math.max(domain[0], domain[1])))
+  const step = Math.max(1, Math.ceil((hi - lo + 1) / count))
+  const ticks = []
+  // Start on a multiple of step so the chosen categories don't shift while panning.
+  for (let i = Math.ceil(lo / step) * step; i <= hi; i += step) ticks.push(i)
+  return ticks
+}
+
 function logTickValues(scale, count) {
   const [dMin, dMax] = scale.domain()
   if (dMin <= 0 || dMax <= 0) return null
@@ -40,12 +71,108 @@ function logTickValues(scale, count) {
   return powers.length >= 2 ? powers : null
 }
 
+// Symlog ticks: zero plus ±1, 2, 5 × 10^e outside the linear region |v| < constant,
+// falling back to ±powers of ten (thinned) when that gives more than `count`.
+function symlogTickValues(scale, count) {
+  const [d0, d1] = scale.domain()
+  const lo = Math.min(d0, d1), hi = Math.max(d0, d1)
+  const c = scale.constant()
+  const inRange = v => v >= lo - 1e-10 * Math.abs(lo) && v <= hi + 1e-10 * Math.abs(hi)
+  const maxAbs = Math.max(Math.abs(lo), Math.abs(hi))
+  if (!(maxAbs > c)) return null
+  const startExp = Math.floor(Math.log10(c)), endExp = Math.ceil(Math.log10(maxAbs))
+  const build = (mults, step) => {
+    const out = inRange(0) ? [0] : []
+    for (let e = startExp; e <= endExp; e += step) {
+      for (const m of mults) {
+        const v = m * Math.pow(10, e)
+        if (v < c * (1 - 1e-10)) continue
+        if (inRange(v))  out.push(v)
+        if (inRange(-v)) out.push(-v)
+      }
+    }
+    return out.sort((a, b) => a - b)
+  }
+  let ticks = build([1, 2, 5], 1)
+  if (ticks.length > count) ticks = build([1], 1)
+  for (let step = 2; ticks.length > count; step++) ticks = build([1], step)
+  return ticks.length >= 2 ? ticks : null
+}
+
+// Minor ticks between (and just outside) the major ticks. Log axes get 2..9 × 10^e;
+// other axes split each major interval into `subdivisions` equal parts in t-space
+// (true picks 4 when the major step has a leading 2, otherwise 5).
+function minorTickValues(scale, ticks, subdivisions, transform) {
+  const [d0, d1] = scale.domain()
+  const lo = Math.min(d0, d1), hi = Math.max(d0, d1)
+  const eps = (hi - lo) * 1e-9
+  const isMajor = v => ticks.some(t => Math.abs(t - v) <= Math.max(eps, Math.abs(t) * 1e-9))
+  const out = []
+  if (typeof scale.base === 'function') {
+    if (!(lo > 0)) return out
+    for (let e = Math.floor(Math.log10(lo)); e <= Math.ceil(Math.log10(hi)); e++) {
+      for (let m = 2; m <= 9; m++) {
+        const v = m * Math.pow(10, e)
+        if (v >= lo && v <= hi && !isMajor(v)) out.push(v)
+      }
+    }
+    return out
+  }
+  if (ticks.length < 2) return out
+  const { forward, inverse } = transform
+  const ts = ticks.map(forward)
+  const step = ts[1] - ts[0]
+  let n = subdivisions
+  if (n === true) {
+    const mantissa = Math.abs(ticks[1] - ticks[0]) / Math.pow(10, Math.floor(Math.log10(Math.abs(ticks[1] - ticks[0]))))
+    n = Math.round(mantissa) === 2 ? 4 : 5
+  }
+  if (!(n >= 2) || !(step !== 0)) return out
+  const tLo = Math.min(forward(lo), forward(hi)), tHi = Math.max(forward(lo), forward(hi))
+  for (let i = -1; i < ts.length; i++) {
+    const a = i < 0 ? ts[0] - step : ts[i]
+    const b = i + 1 < ts.length ? ts[i + 1] : ts[i] + step
+    for (let k = 1; k < n; k++) {
+      const t = a + (b - a) * k / n
+      if (t >= tLo && t <= tHi) out.push(inverse(t))
+    }
+  }
+  return out
+}
+
 // Normalise a data value to [0,1] within its domain (matches GLSL normalize_axis).
-function normaliseValue(v, domain, isLog) {
-  const vt = isLog ? Math.log(v)        : v
-  const d0 = isLog ? Math.log(domain[0]) : domain[0]
-  const d1 = isLog ? Math.log(domain[1]) : domain[1]
-  return (vt - d0) / (d1 - d0)
+// `transform` is the axis' scale transform (see scaleTransform in AxisRegistry).
+function normaliseValue(v, domain, transform) {
+  const { forward } = transform
+  const d0 = forward(domain[0])
+  return (forward(v) - d0) / (forward(domain[1]) - d0)
+}
+
+// ─── Gridlines ─────────────────────────────────────────────────────────────────
+
+// Resolve the `grid` option (true or { color, opacity, dash, minor }) into style
+// objects for major and (optionally) minor lines. `minor` may itself be true or
+// a style object; unspecified minor fields inherit from the major style, with
+// half its opacity.
+function gridStyles(grid) {
+  if (!grid) return null
+  const major = { color: '#000000', opacity: 0.15, dash: null, ...(grid === true ? {} : grid) }
+  const minor = major.minor
+    ? { ...major, opacity: major.opacity / 2, ...(major.minor === true ? {} : major.minor) }
+    : null
+  return { major, minor }
+}
+
+// Faces a gridline for a tick on axis direction `dirIdx` is drawn across, as
+// [fixedIdx, fixedValue, spanIdx]. 2D: the plot area. 3D: the two bounding-box
+// faces parallel to the axis that lie behind the data as seen from `eye`.
+function gridFaces(dirIdx, is3D, eye) {
+  if (!is3D) return [[2, 0, dirIdx === 0 ? 1 : 0]]
+  const [e, f] = [0, 1, 2].filter(i => i !== dirIdx)
+  return [
+    [e, eye[e] > 0 ? -1 : +1, f],
+    [f, eye[f] > 0 ? -1 : +1, e],
+  ]
 }
 
 // ─── Tick mark / label geometry constants ─────────────────────────────────────
@@ -55,6 +182,10 @@ const LABEL_DIST_3D = 0.12
 const TITLE_EXTRA_3D = 0.14   // extra outward offset for axis title beyond LABEL_DIST_3D
 const TITLE_LINE_STEP_3D = 0.05  // multi-line title step in model space
 
+// Break markers: half-gap between the two strokes and their slant, in model units along the axis
+const BREAK_GAP   = 0.012
+const BREAK_SLANT = 0.01
+
 // 2D: fractions of the pixel distance from the axis to the nearest canvas edge
 const TICK_LEN_FRAC          = 0.12
 const TICK_LABEL_FRAC        = 0.40
@@ -77,6 +208,7 @@ export class Axis {
     this._listeners   = new Set()
     this._linkedAxes  = new Set()
     this._propagating = false
+    this._correction  = null  // domain pushed back by a linked axis during propagation
   }
 
   get quantityKind() { return this._plot.getAxisQuantityKind(this._name) }
@@ -86,18 +218,73 @@ export class Axis {
 
   getDomain() { return this._plot.getAxisDomain(this._name) }
 
-  setDomain(domain, { sourcePlot = null } = {}) {
-    if (this._propagating) return
+  setDomain(domain, { sourcePlot = null, _correcting = false } = {}) {
+    if (this._propagating) {
+      // Echo from a linked axis. It may have narrowed the domain to its own
+      // constraints; adopt that once the current round of notifications is done.
+      this._correction = domain
+      return
+    }
+    const registry = this._plot.axisRegistry
+    const derived = registry?.getDerived(this._name)
+    if (derived) {
+      // Derived axes move their primary axis, which notifies this axis' subscribers.
+      const mapped = [derived.inverse(domain[0]), derived.inverse(domain[1])]
+      this._plot._getAxis(derived.from).setDomain(mapped[0] <= mapped[1] ? mapped : [mapped[1], mapped[0]], { sourcePlot })
+      return
+    }
+    domain = this._plot._constrainAxisDomain?.(this._name, domain) ?? domain
+    this._correction = null
     this._propagating = true
     try {
       this._plot.setAxisDomain(this._name, domain)
       this._plot.scheduleRender(sourcePlot)
       for (const cb of this._listeners) cb(domain)
+      for (const slotId of registry?.getDerivedSlots(this._name) ?? []) {
+        this._plot._getAxis(slotId)._notify()
+      }
+    } finally {
+      this._propagating = false
+    }
+    this._plot._enforceAspect?.(this._name, sourcePlot)
+    const correction = this._correction
+    this._correction = null
+    if (!_correcting && correction && (correction[0] !== domain[0] || correction[1] !== domain[1])) {
+      this.setDomain(correction, { sourcePlot, _correcting: true })
+    }
+  }
+
+  // Call subscribers with the current domain, guarded like setDomain.
+  _notify() {
+    if (this._propagating) return
+    this._propagating = true
+    try {
+      const domain = this.getDomain()
+      for (const cb of this._listeners) cb(domain)
     } finally {
       this._propagating = false
     }
   }
 
+  // Show a spatial axis in another unit: `unit` is a quantity kind of the same
+  // dimension. The current range, breaks and tick values are converted so the view
+  // stays put. Re-initializes the plot; returns the update() promise.
+  setUnit(unit) {
+    const from = this.quantityKind
+    if (!this.isSpatial || !from) throw new Error(`[gladly] Axis '${this._name}' has no unit to change`)
+    if (!unitsCompatible(from, unit))
+      throw new Error(`[gladly] Axis '${this._name}': unit '${unit}' is not compatible with '${from}'`)
+    const plot = this._plot
+    const conv = v => typeof v === 'number' ? convertUnit(v, from, unit) : v
+    const axes = plot.currentConfig?.axes ?? {}
+    const cfg = { ...(axes[this._name] ?? {}), displayUnit: unit, quantity_kind: unit }
+    const domain = this.getDomain()
+    if (domain) [cfg.min, cfg.max] = domain.map(conv)
+    if (cfg.breaks) cfg.breaks = cfg.breaks.map(r => r.map(conv))
+    if (cfg.tickValues) cfg.tickValues = cfg.tickValues.map(conv)
+    return plot.update({ config: { ...plot.currentConfig, axes: { ...axes, [this._name]: cfg } } })
+  }
+
   subscribe(callback)   { this._listeners.add(callback) }
   unsubscribe(callback) { this._listeners.delete(callback) }
 
@@ -112,11 +299,9 @@ export class Axis {
     const scale = axisRegistry.getScale(this._name)
     if (!scale) return
 
-    const screenLen = this._projectedLength(axisMvp, cw, ch)
-    const pxPerTick = AXIS_GEOMETRY[this._name].dir === 'y' ? 27 : 40
-    const tickCount = Math.max(2, Math.floor(screenLen / pxPerTick))
+    const tickCount = this._tickCount(axisMvp, cw, ch)
     const ticks     = this._computeTicks(scale, tickCount)
-    atlas.markLabels(ticks.map(t => formatTick(t)))
+    atlas.markLabels(this._formatTicks(scale, ticks, tickCount))
 
     const qk = axisRegistry.getQkForSlot(this._name)
     if (qk) {
@@ -136,17 +321,158 @@ export class Axis {
     return Math.sqrt(dx * dx + dy * dy)
   }
 
+  // Per-axis option: axes[slot], then axes[quantityKind], then the quantity kind's
+  // registered definition.
+  _axisOption(key) {
+    const { axisRegistry, currentConfig } = this._plot
+    const axes = currentConfig?.axes
+    const qk = axisRegistry?.getQkForSlot(this._name)
+    return axes?.[this._name]?.[key]
+      ?? (qk ? axes?.[qk]?.[key] ?? getAxisQuantityKind(qk)[key] : undefined)
+  }
+
+  // Target number of major ticks: the `tickCount` option, or one per 40px (27px on y).
+  _tickCount(axisMvp, cw, ch) {
+    const configured = this._axisOption('tickCount')
+    if (configured != null) return configured
+    const pxPerTick = AXIS_GEOMETRY[this._name].dir === 'y' ? 27 : 40
+    return Math.max(2, Math.floor(this._projectedLength(axisMvp, cw, ch) / pxPerTick))
+  }
+
+  _isTimeScale() {
+    return this._plot.axisRegistry?.getScaleType(this._name) === 'time'
+  }
+
+  _categories() {
+    const { axisRegistry } = this._plot
+    const qk = axisRegistry?.getQkForSlot(this._name)
+    return qk ? axisRegistry.getCategories(qk) : null
+  }
+
+  _colorLevels() {
+    const { axisRegistry } = this._plot
+    const qk = axisRegistry?.getQkForSlot(this._name)
+    return qk ? axisRegistry.getColorLevels(qk) : null
+  }
+
   // Returns tick values as an array of numbers.
   _computeTicks(scale, count) {
+    const breaks = this._plot.axisRegistry.getBreaks(this._name)
+    const inBreak = v => breaks.some(([a, b]) => v > a && v < b)
+    const explicit = this._axisOption('tickValues') ?? this._colorLevels()
+    if (explicit) {
+      const categories = this._categories()
+      const [d0, d1] = scale.domain()
+      const lo = Math.min(d0, d1), hi = Math.max(d0, d1)
+      const eps = (hi - lo) * 1e-9
+      // Categorical axes also accept category labels, time axes Date objects.
+      return explicit
+        .map(v => (typeof v === 'string' && categories) ? categories.indexOf(v)
+          : v instanceof Date ? v.getTime() : v)
+        .filter(v => typeof v === 'number' && v >= lo - eps && v <= hi + eps && !inBreak(v))
+    }
+    if (!breaks.length) return this._segmentTicks(scale, count)
+
+    // With breaks, tick each visible segment on its own, sharing `count` between
+    // the segments by their on-screen length.
+    const [d0, d1] = scale.domain()
+    const lo = Math.min(d0, d1), hi = Math.max(d0, d1)
+    const segments = []
+    let start = lo
+    for (const [a, b] of breaks) {
+      if (b <= start) continue
+      if (a >= hi) break
+      if (a > start) segments.push([start, a])
+      start = Math.max(start, b)
+    }
+    if (start < hi) segments.push([start, hi])
+    const { forward } = this._plot.axisRegistry.getScaleTransform(this._name)
+    const total = Math.abs(forward(hi) - forward(lo)) || 1
+    const ticks = []
+    for (const seg of segments) {
+      const share = Math.abs(forward(seg[1]) - forward(seg[0])) / total
+      const n = Math.max(1, Math.round(count * share))
+      for (const t of this._segmentTicks(scale.copy().domain(seg), n, false)) {
+        // Break edges share a screen position with the marker; leave them unticked.
+        if (breaks.some(([a, b]) => t >= a && t <= b) || ticks.includes(t)) continue
+        ticks.push(t)
+      }
+    }
+    return ticks.sort((p, q) => p - q)
+  }
+
+  // Tick values over the whole domain of `scale`. With `endpoints`, a count of
+  // two or fewer falls back to the domain ends.
+  _segmentTicks(scale, count, endpoints = true) {
+    const categories = this._categories()
+    if (categories) return categoryTickValues(scale.domain(), categories.length, count)
+    if (this._isTimeScale()) return utcScaleFor(scale.domain()).ticks(count).map(Number)
     const isLog = typeof scale.base === 'function'
     if (isLog) {
       const tv = logTickValues(scale, count)
       if (tv !== null) return tv
     }
-    if (count <= 2) return scale.domain()
+    if (typeof scale.constant === 'function') {
+      const tv = symlogTickValues(scale, count)
+      if (tv !== null) return tv
+    }
+    if (endpoints && count <= 2) return scale.domain()
     return scale.ticks(count)
   }
 
+  // Minor tick values for the `minorTicks` option (true or a subdivision count);
+  // empty when the option is off. Categorical axes have no minor ticks.
+  _computeMinorTicks(scale, ticks, minor = this._axisOption('minorTicks')) {
+    if (!minor || this._categories()) return []
+    const transform = this._plot.axisRegistry.getScaleTransform(this._name)
+    return minorTickValues(scale, ticks, minor, transform)
+  }
+
+  // Returns the label strings for the values produced by _computeTicks().
+  // `tickFormat` is a d3-format specifier (d3-time-format on time axes) or a
+  // callback receiving the tick value (the category label on categorical axes);
+  // `tickSuffix` is appended to every label.
+  _formatTicks(scale, ticks, count) {
+    const categories = this._categories()
+    const format = this._axisOption('tickFormat')
+    const suffix = this._axisOption('tickSuffix') ?? ''
+    let labels
+    if (typeof format === 'function') {
+      labels = ticks.map(t => String(format(categories ? categories[t] : t)))
+    } else if (categories) {
+      labels = ticks.map(t => String(categories[t]))
+    } else if (this._isTimeScale()) {
+      const fmt = utcScaleFor(scale.domain()).tickFormat(count, format ?? undefined)
+      labels = ticks.map(t => fmt(new Date(t)))
+    } else if (format) {
+      const [d0, d1] = scale.domain()
+      const fmt = d3.tickFormat(Math.min(d0, d1), Math.max(d0, d1), count, format)
+      labels = ticks.map(t => fmt(t))
+    } else {
+      labels = ticks.map(t => formatTick(t))
+    }
+    return suffix ? labels.map(l => l + suffix) : labels
+  }
+
+  // Label for one value on this axis (crosshair readout): the axis's tick format,
+  // categories or time format, with numbers given to about a pixel's precision.
+  formatValue(value) {
+    const scale = this._plot.axisRegistry?.getScale(this._name)
+    if (!scale) return String(value)
+    const categories = this._categories()
+    if (categories) value = Math.round(value)
+    const { dir } = AXIS_GEOMETRY[this._name]
+    const px = Math.max(2, Math.round(dir === 'y' ? this._plot.plotHeight : this._plot.plotWidth))
+    const format = this._axisOption('tickFormat')
+    if (categories || format) return this._formatTicks(scale, [value], px)[0]
+    const suffix = this._axisOption('tickSuffix') ?? ''
+    if (this._isTimeScale()) {
+      return new Date(value).toISOString().replace('T', ' ').replace(/(\.000)?Z$/, '') + suffix
+    }
+    const [d0, d1] = scale.domain().map(Number)
+    return formatReadout(value, Math.abs(d1 - d0) / px) + suffix
+  }
+
   // Returns the outward screen-space unit direction [dx, dy] (HTML coords, y down).
   _outwardScreenDir(axisMvp, cw, ch) {
     const { start, end } = axisEndpoints(this._name)
@@ -163,13 +489,12 @@ export class Axis {
 
   // Greedy screen-space overlap rejection. Returns an array of indices into `ticks`
   // that can be rendered without their label boxes overlapping.
-  _visibleTickIndices(ticks, screenPositions, tickLabelAtlas) {
+  _visibleTickIndices(labels, screenPositions, tickLabelAtlas) {
     const accepted = [], boxes = []
-    for (let i = 0; i < ticks.length; i++) {
+    for (let i = 0; i < labels.length; i++) {
       const sp = screenPositions[i]
       if (!sp) continue
-      const label = formatTick(ticks[i])
-      const entry = tickLabelAtlas.getEntry(label)
+      const entry = tickLabelAtlas.getEntry(labels[i])
       const pw = entry ? entry.pw : 48, ph = entry ? entry.ph : 16
       const box = [sp[0] - pw/2, sp[1] - ph/2, sp[0] + pw/2, sp[1] + ph/2]
       if (boxes.some(b => box[0] < b[2] && box[2] > b[0] && box[1] < b[3] && box[3] > b[1])) continue
@@ -179,32 +504,10 @@ export class Axis {
     return accepted
   }
 
-  /**
-   * Render this axis using the shared WebGL draw commands supplied by Plot.
-   *
-   * @param {object} regl          - regl instance
-   * @param {Float32Array} axisMvp - MVP that maps model space to full-canvas NDC
-   * @param {number} cw            - canvas width in pixels
-   * @param {number} ch            - canvas height in pixels
-   * @param {boolean} is3D         - enables depth testing (3D) vs always-on-top (2D)
-   * @param {TickLabelAtlas} atlas - shared label atlas
-   * @param {Function} lineCmd     - compiled regl command for axis/tick lines
-   * @param {Function} billboardCmd- compiled regl command for label billboards
-   */
-  render(regl, axisMvp, cw, ch, is3D, atlas, lineCmd, billboardCmd) {
-    if (!this.isSpatial) return
-    const { axisRegistry, currentConfig } = this._plot
-    if (currentConfig?.axes?.[this._name]?.visible === false) return
-    const scale = axisRegistry.getScale(this._name)
-    if (!scale) return
-
-    const geom   = AXIS_GEOMETRY[this._name]
-    const isLog  = typeof scale.base === 'function'
-    const domain = scale.domain()
+  // Model-space offsets of tick marks, labels and title from the axis line.
+  _offsets(axisMvp, cw, ch, is3D) {
     const { start, end } = axisEndpoints(this._name)
-    const ow = geom.outward   // [ox, oy, oz]
-
-    // ── 0. Outward screen direction + model-space offset resolution ──────────
+    const ow = AXIS_GEOMETRY[this._name].outward   // [ox, oy, oz]
     const mid3D = [(start[0]+end[0])/2, (start[1]+end[1])/2, (start[2]+end[2])/2]
     const tip3D = [mid3D[0]+ow[0]*0.2, mid3D[1]+ow[1]*0.2, mid3D[2]+ow[2]*0.2]
     const midS  = projectToScreen(mid3D, axisMvp, cw, ch)
@@ -238,13 +541,127 @@ export class Axis {
       titleLineStep  = TITLE_LINE_STEP_3D
     }
 
-    // ── 1. Tick count based on projected screen length ──────────────────────
-    const screenLen   = this._projectedLength(axisMvp, cw, ch)
-    const pxPerTick   = geom.dir === 'y' ? 27 : 40
-    const tickCount   = Math.max(2, Math.floor(screenLen / pxPerTick))
-    const ticks       = this._computeTicks(scale, tickCount)
+    return { mid3D, tickModelLen, labelModelDist, titleModelDist, titleLineStep }
+  }
+
+  // Ticks, labels and label anchors for one frame, plus the indices of the ticks
+  // whose labels survive overlap rejection. Shared by render() and renderGrid().
+  _layoutTicks(axisMvp, cw, ch, is3D, atlas) {
+    const { axisRegistry } = this._plot
+    const scale     = axisRegistry.getScale(this._name)
+    const transform = axisRegistry.getScaleTransform(this._name)
+    const domain    = axisRegistry.getDisplayDomain(this._name)
+    const ow        = AXIS_GEOMETRY[this._name].outward
+    const offsets   = this._offsets(axisMvp, cw, ch, is3D)
+    const { labelModelDist } = offsets
+
+    const tickCount  = this._tickCount(axisMvp, cw, ch)
+    const ticks      = this._computeTicks(scale, tickCount)
+    const minorTicks = this._computeMinorTicks(scale, ticks)
+    const labels     = this._formatTicks(scale, ticks, tickCount)
+
+    // Label anchor positions in model space, projected to screen.
+    const anchors3D = ticks.map((t) => {
+      const n = normaliseValue(t, domain, transform)
+      if (!isFinite(n)) return null
+      const pos = axisPosAtN(this._name, n)
+      return [pos[0] + ow[0]*labelModelDist, pos[1] + ow[1]*labelModelDist, pos[2] + ow[2]*labelModelDist]
+    })
+    const screenPositions = anchors3D.map(a => a ? projectToScreen(a, axisMvp, cw, ch) : null)
+    const visIdx = this._visibleTickIndices(labels, screenPositions, atlas)
+
+    return { scale, domain, transform, ticks, minorTicks, labels, anchors3D, visIdx, offsets }
+  }
+
+  /**
+   * Draw gridlines for this axis (if its `grid` option is set): major lines at the
+   * ticks whose labels survive overlap rejection, minor lines at the minor ticks.
+   * Plot calls this before drawing data layers so the grid stays behind them.
+   *
+   * @param {Float32Array} axisMvp - MVP that maps model space to full-canvas NDC
+   * @param {number} cw            - canvas width in pixels
+   * @param {number} ch            - canvas height in pixels
+   * @param {boolean} is3D         - draw on the back faces of the bounding box
+   * @param {TickLabelAtlas} atlas - shared label atlas (for label overlap rejection)
+   * @param {Function} gridCmd     - compiled regl command for dashed, blended lines
+   * @param {number[]|null} eye    - camera position in model space (3D only)
+   */
+  renderGrid(axisMvp, cw, ch, is3D, atlas, gridCmd, eye = null) {
+    if (!this.isSpatial) return
+    const styles = gridStyles(this._axisOption('grid'))
+    if (!styles) return
+    const scale = this._plot.axisRegistry.getScale(this._name)
+    if (!scale) return
+
+    const { domain, transform, ticks, minorTicks, visIdx } = this._layoutTicks(axisMvp, cw, ch, is3D, atlas)
+    const dirIdx = { x: 0, y: 1, z: 2 }[AXIS_GEOMETRY[this._name].dir]
+    const faces  = gridFaces(dirIdx, is3D, eye)
+    const fullViewport = { x: 0, y: 0, width: cw, height: ch }
+
+    const draw = (values, style) => {
+      // a_dist is the on-screen distance along each line, for dashing.
+      const positions = [], dists = []
+      for (const t of values) {
+        const n = normaliseValue(t, domain, transform)
+        if (!isFinite(n) || n < 0 || n > 1) continue
+        for (const [fixedIdx, fixedVal, spanIdx] of faces) {
+          const a = [0, 0, 0], b = [0, 0, 0]
+          a[dirIdx] = b[dirIdx] = n * 2 - 1
+          a[fixedIdx] = b[fixedIdx] = fixedVal
+          a[spanIdx] = -1; b[spanIdx] = +1
+          const sa = projectToScreen(a, axisMvp, cw, ch)
+          const sb = projectToScreen(b, axisMvp, cw, ch)
+          positions.push(...a, ...b)
+          dists.push(0, (sa && sb) ? Math.hypot(sb[0] - sa[0], sb[1] - sa[1]) : 0)
+        }
+      }
+      if (positions.length === 0) return
+      const [r, g, b, a] = parseCssColor(style.color)
+      gridCmd({
+        positions:   new Float32Array(positions),
+        dists:       new Float32Array(dists),
+        mvp:         axisMvp,
+        color:       [r, g, b, a * style.opacity],
+        dash:        style.dash ?? [0, 0],
+        viewport:    fullViewport,
+        count:       positions.length / 3,
+        depthEnable: is3D,
+      })
+    }
+
+    if (styles.minor) {
+      const minor = minorTicks.length ? minorTicks : this._computeMinorTicks(scale, ticks, true)
+      draw(minor, styles.minor)
+    }
+    draw(visIdx.map(i => ticks[i]), styles.major)
+  }
+
+  /**
+   * Render this axis using the shared WebGL draw commands supplied by Plot.
+   *
+   * @param {object} regl          - regl instance
+   * @param {Float32Array} axisMvp - MVP that maps model space to full-canvas NDC
+   * @param {number} cw            - canvas width in pixels
+   * @param {number} ch            - canvas height in pixels
+   * @param {boolean} is3D         - enables depth testing (3D) vs always-on-top (2D)
+   * @param {TickLabelAtlas} atlas - shared label atlas
+   * @param {Function} lineCmd     - compiled regl command for axis/tick lines
+   * @param {Function} billboardCmd- compiled regl command for label billboards
+   */
+  render(regl, axisMvp, cw, ch, is3D, atlas, lineCmd, billboardCmd) {
+    if (!this.isSpatial) return
+    const { axisRegistry, currentConfig } = this._plot
+    if (currentConfig?.axes?.[this._name]?.visible === false) return
+    const scale = axisRegistry.getScale(this._name)
+    if (!scale) return
+
+    const layout = this._layoutTicks(axisMvp, cw, ch, is3D, atlas)
+    const { domain, transform, ticks, minorTicks, labels, anchors3D, visIdx } = layout
+    const { mid3D, tickModelLen, titleModelDist, titleLineStep } = layout.offsets
+    const { start, end } = axisEndpoints(this._name)
+    const ow = AXIS_GEOMETRY[this._name].outward   // [ox, oy, oz]
 
-    // ── 2. Build axis line + tick-mark geometry ─────────────────────────────
+    // ── 1. Axis line + tick-mark geometry ───────────────────────────────────
     // Each pair of consecutive floats = one endpoint of a line segment (primitive: 'lines').
     const lineVerts = []
 
@@ -253,7 +670,7 @@ export class Axis {
 
     // Tick marks
     for (const t of ticks) {
-      const n = normaliseValue(t, domain, isLog)
+      const n = normaliseValue(t, domain, transform)
       if (!isFinite(n)) continue
       const pos = axisPosAtN(this._name, n)
       lineVerts.push(
@@ -262,6 +679,33 @@ export class Axis {
       )
     }
 
+    // Minor tick marks: half length, no labels
+    for (const t of minorTicks) {
+      const n = normaliseValue(t, domain, transform)
+      if (!isFinite(n)) continue
+      const pos = axisPosAtN(this._name, n)
+      const len = tickModelLen / 2
+      lineVerts.push(
+        pos[0],              pos[1],              pos[2],
+        pos[0] + ow[0]*len,  pos[1] + ow[1]*len,  pos[2] + ow[2]*len,
+      )
+    }
+
+    // Break markers: a pair of slanted strokes across the axis line at each break
+    const along = [end[0] - start[0], end[1] - start[1], end[2] - start[2]].map(c => c / 2)
+    for (const [a] of axisRegistry.getBreaks(this._name)) {
+      const n = normaliseValue(a, domain, transform)
+      if (!isFinite(n) || n < 0 || n > 1) continue
+      const pos = axisPosAtN(this._name, n)
+      for (const side of [-1, +1]) {
+        const c = pos.map((p, k) => p + along[k] * side * BREAK_GAP)
+        lineVerts.push(
+          ...c.map((p, k) => p - along[k] * BREAK_SLANT - ow[k] * tickModelLen),
+          ...c.map((p, k) => p + along[k] * BREAK_SLANT + ow[k] * tickModelLen),
+        )
+      }
+    }
+
     const fullViewport = { x: 0, y: 0, width: cw, height: ch }
 
     lineCmd({
@@ -273,22 +717,9 @@ export class Axis {
       depthEnable: is3D,
     })
 
-    // ── 3. Tick labels ──────────────────────────────────────────────────────
-    const labels = ticks.map(t => formatTick(t))
-
+    // ── 2. Tick labels ──────────────────────────────────────────────────────
     if (!atlas.texture) return
 
-    // Compute label anchor positions in model space and project to screen.
-    const anchors3D = ticks.map((t) => {
-      const n = normaliseValue(t, domain, isLog)
-      if (!isFinite(n)) return null
-      const pos = axisPosAtN(this._name, n)
-      return [pos[0] + ow[0]*labelModelDist, pos[1] + ow[1]*labelModelDist, pos[2] + ow[2]*labelModelDist]
-    })
-    const screenPositions = anchors3D.map(a => a ? projectToScreen(a, axisMvp, cw, ch) : null)
-
-    const visIdx = this._visibleTickIndices(ticks, screenPositions, atlas)
-
     // Build billboard vertex arrays.
     const aAnchor = [], aOffsetPx = [], aUV = []
 
@@ -329,7 +760,7 @@ export class Axis {
       })
     }
 
-    // ── 4. Axis title ───────────────────────────────────────────────────────
+    // ── 3. Axis title ───────────────────────────────────────────────────────
     const qk        = axisRegistry.getQkForSlot(this._name)
     if (!qk) return
     const axisConfig = currentConfig?.axes?.[this._name] ?? {}
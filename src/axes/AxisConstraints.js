@@ -0,0 +1,48 @@
+// Axis range constraints: `bounds`, `minSpan` and `maxSpan` limit where a single
+// axis may go; `aspect` ties the scales of an x and a y axis together.
+
+// Clamp a domain to span limits and bounds. Span limits rescale the domain about
+// its centre; bounds then shift it inside [bounds[0], bounds[1]] (either end may
+// be null), and only shrink it when it is wider than the bounds. A domain given
+// high-to-low is returned high-to-low.
+export function constrainDomain(domain, { bounds = null, minSpan = null, maxSpan = null } = {}) {
+  const flipped = domain[0] > domain[1]
+  let lo = Math.min(domain[0], domain[1])
+  let hi = Math.max(domain[0], domain[1])
+
+  const span = hi - lo
+  const target = Math.min(Math.max(span, minSpan ?? 0), maxSpan ?? Infinity)
+  if (target !== span) {
+    const c = (lo + hi) / 2
+    lo = c - target / 2
+    hi = c + target / 2
+  }
+
+  const [b0, b1] = bounds ?? []
+  if (b0 != null && b1 != null && hi - lo >= b1 - b0) {
+    lo = b0
+    hi = b1
+  } else {
+    if (b0 != null && lo < b0) { hi += b0 - lo; lo = b0 }
+    if (b1 != null && hi > b1) { lo -= hi - b1; hi = b1 }
+  }
+  return flipped ? [hi, lo] : [lo, hi]
+}
+
+export function hasRangeConstraints(cfg) {
+  return cfg != null && (cfg.bounds != null || cfg.minSpan != null || cfg.maxSpan != null)
+}
+
+// `aspect` config value → pixels per y unit divided by pixels per x unit.
+export function aspectRatio(aspect) {
+  if (aspect === 'equal') return 1
+  return typeof aspect === 'number' && aspect > 0 ? aspect : null
+}
+
+// t-space span an axis of `pixels` length needs to match `refSpan` over
+// `refPixels` on the other axis. `ratio` is the aspect ratio and `isY` says
+// whether the axis being fitted is the y axis.
+export function aspectSpan(refSpan, refPixels, pixels, ratio, isY) {
+  const perPixel = refSpan / refPixels
+  return (isY ? perPixel / ratio : perPixel * ratio) * pixels
+}
@@ -22,9 +22,62 @@ export function getRegisteredAxisQuantityKinds() {
   return Array.from(registry.keys())
 }
 
+// Returns the scale name ("linear", "log", "symlog", "sqrt", "pow", "time") for a quantity kind. A slot-level
+// override (axesConfig[slotId].scale) takes priority over the QK-level one.
+export function getScaleType(quantityKind, axesConfig, slotId = null) {
+  return (slotId ? axesConfig?.[slotId]?.scale : undefined)
+    ?? axesConfig?.[quantityKind]?.scale
+    ?? getAxisQuantityKind(quantityKind).scale
+    ?? "linear"
+}
+
+// Returns the shape parameter of a scale: the linear threshold (`constant`) for
+// "symlog", the `exponent` for "pow" (0.5 for "sqrt"), and 1 for other scales.
+export function getScaleParam(quantityKind, axesConfig, slotId = null) {
+  const pick = (key) => (slotId ? axesConfig?.[slotId]?.[key] : undefined)
+    ?? axesConfig?.[quantityKind]?.[key]
+    ?? getAxisQuantityKind(quantityKind)[key]
+  const scaleType = getScaleType(quantityKind, axesConfig, slotId)
+  if (scaleType === "symlog") return pick("constant") ?? 1
+  if (scaleType === "pow")    return pick("exponent") ?? 2
+  if (scaleType === "sqrt")   return 0.5
+  return 1
+}
+
 // Returns 1.0 for log scale, 0.0 for linear. axesConfig is the `axes` sub-object of plot config.
 export function getScaleTypeFloat(quantityKind, axesConfig) {
-  const configScale = axesConfig?.[quantityKind]?.scale
-  const defScale = getAxisQuantityKind(quantityKind).scale
-  return (configScale ?? defScale) === "log" ? 1.0 : 0.0
+  return getScaleType(quantityKind, axesConfig) === "log" ? 1.0 : 0.0
+}
+
+// ── Units ─────────────────────────────────────────────────────────────────────
+// A quantity kind with a `dimension` holds values in its `unit`; `factor` and
+// `offset` convert them to the dimension's base unit: base = v * factor + offset.
+// Quantity kinds of the same dimension are compatible and can share an axis.
+
+// Returns { dimension, unit, factor, offset } for a quantity kind, or null.
+export function getUnit(quantityKind) {
+  const def = getAxisQuantityKind(quantityKind)
+  if (!def.dimension) return null
+  return { dimension: def.dimension, unit: def.unit ?? quantityKind, factor: def.factor ?? 1, offset: def.offset ?? 0 }
+}
+
+export function unitsCompatible(a, b) {
+  if (a === b) return true
+  const ua = getUnit(a), ub = getUnit(b)
+  return !!ua && !!ub && ua.dimension === ub.dimension
+}
+
+// Affine map converting values of quantity kind `from` into `to`:
+// to = from * scale + shift. null if the two are not compatible.
+export function unitConversion(from, to) {
+  if (from === to) return { scale: 1, shift: 0 }
+  if (!unitsCompatible(from, to)) return null
+  const ua = getUnit(from), ub = getUnit(to)
+  return { scale: ua.factor / ub.factor, shift: (ua.offset - ub.offset) / ub.factor }
+}
+
+export function convertUnit(value, from, to) {
+  const c = unitConversion(from, to)
+  if (!c) throw new Error(`[gladly] Cannot convert '${from}' to '${to}': incompatible units`)
+  return value * c.scale + c.shift
 }
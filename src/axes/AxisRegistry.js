@@ -1,7 +1,10 @@
 import * as d3 from "d3-scale"
-import { getAxisQuantityKind, getScaleTypeFloat } from "./AxisQuantityKindRegistry.js"
+import { getAxisQuantityKind, getScaleTypeFloat, unitConversion, unitsCompatible } from "./AxisQuantityKindRegistry.js"
 import { getColorscaleIndex } from "../colorscales/ColorscaleRegistry.js"
 
+// Breaks per spatial axis supported by the GPU projection.
+export const MAX_AXIS_BREAKS = 4
+
 export function buildSpatialGlsl() {
   return `uniform vec2 xDomain;
 uniform vec2 yDomain;
@@ -9,25 +12,60 @@ uniform vec2 zDomain;
 uniform float xScaleType;
 uniform float yScaleType;
 uniform float zScaleType;
+uniform float xScaleParam;
+uniform float yScaleParam;
+uniform float zScaleParam;
+uniform vec2 xBreaks[${MAX_AXIS_BREAKS}];
+uniform vec2 yBreaks[${MAX_AXIS_BREAKS}];
+uniform vec2 zBreaks[${MAX_AXIS_BREAKS}];
+uniform float xBreakCount;
+uniform float yBreakCount;
+uniform float zBreakCount;
 uniform float u_is3D;
 uniform mat4 u_mvp;
 out vec3 v_clip_pos;
+// scaleType: 0 linear, 1 log, 2 symlog (param = linear threshold), 3 pow (param = exponent)
+float scale_transform(float v, float scaleType, float param) {
+  if (scaleType > 2.5) return sign(v) * pow(abs(v), param);
+  if (scaleType > 1.5) return sign(v) * log(1.0 + abs(v) / param);
+  if (scaleType > 0.5) return log(v);
+  return v;
+}
+float normalize_axis(float v, vec2 domain, float scaleType, float scaleParam) {
+  float vt = scale_transform(v, scaleType, scaleParam);
+  float d0 = scale_transform(domain.x, scaleType, scaleParam);
+  float d1 = scale_transform(domain.y, scaleType, scaleParam);
+  return (vt - d0) / (d1 - d0);
+}
 float normalize_axis(float v, vec2 domain, float scaleType) {
-  float vt = scaleType > 0.5 ? log(v) : v;
-  float d0 = scaleType > 0.5 ? log(domain.x) : domain.x;
-  float d1 = scaleType > 0.5 ? log(domain.y) : domain.y;
+  return normalize_axis(v, domain, scaleType, 1.0);
+}
+// Axis breaks, given in t-space (sorted, disjoint): each [a, b] collapses to a.
+float collapse_breaks(float t, vec2 breaks[${MAX_AXIS_BREAKS}], float count) {
+  float shift = 0.0;
+  for (int i = 0; i < ${MAX_AXIS_BREAKS}; i++) {
+    if (float(i) >= count) break;
+    if (t >= breaks[i].y) shift += breaks[i].y - breaks[i].x;
+    else if (t > breaks[i].x) shift += t - breaks[i].x;
+  }
+  return t - shift;
+}
+float normalize_axis(float v, vec2 domain, float scaleType, float scaleParam, vec2 breaks[${MAX_AXIS_BREAKS}], float breakCount) {
+  float vt = collapse_breaks(scale_transform(v, scaleType, scaleParam), breaks, breakCount);
+  float d0 = collapse_breaks(scale_transform(domain.x, scaleType, scaleParam), breaks, breakCount);
+  float d1 = collapse_breaks(scale_transform(domain.y, scaleType, scaleParam), breaks, breakCount);
   return (vt - d0) / (d1 - d0);
 }
 vec4 plot_pos_3d(vec3 pos) {
-  float nx = normalize_axis(pos.x, xDomain, xScaleType);
-  float ny = normalize_axis(pos.y, yDomain, yScaleType);
-  float nz = normalize_axis(pos.z, zDomain, zScaleType);
+  float nx = normalize_axis(pos.x, xDomain, xScaleType, xScaleParam, xBreaks, xBreakCount);
+  float ny = normalize_axis(pos.y, yDomain, yScaleType, yScaleParam, yBreaks, yBreakCount);
+  float nz = normalize_axis(pos.z, zDomain, zScaleType, zScaleParam, zBreaks, zBreakCount);
   v_clip_pos = vec3(nx, ny, nz);
   return u_mvp * vec4(nx*2.0-1.0, ny*2.0-1.0, nz*2.0-1.0, 1.0);
 }
 vec4 plot_pos(vec2 pos) {
-  float nx = normalize_axis(pos.x, xDomain, xScaleType);
-  float ny = normalize_axis(pos.y, yDomain, yScaleType);
+  float nx = normalize_axis(pos.x, xDomain, xScaleType, xScaleParam, xBreaks, xBreakCount);
+  float ny = normalize_axis(pos.y, yDomain, yScaleType, yScaleParam, yBreaks, yBreakCount);
   if (u_is3D > 0.5) {
     return plot_pos_3d(vec3(pos, zDomain.x));
   }
@@ -36,6 +74,203 @@ vec4 plot_pos(vec2 pos) {
 }`
 }
 
+// Time axes hold epoch milliseconds and are linear on the GPU, so they use a plain
+// linear D3 scale (keeping numeric domains); Axis handles calendar ticks/labels.
+function makeScale(scaleType, range, param = 1) {
+  switch (scaleType) {
+    case 'log':    return d3.scaleLog().range(range)
+    case 'symlog': return d3.scaleSymlog().constant(param).range(range)
+    case 'sqrt':
+    case 'pow':    return d3.scalePow().exponent(param).range(range)
+    default:       return d3.scaleLinear().range(range)
+  }
+}
+
+function defaultScaleParam(scaleType, qkDef) {
+  if (scaleType === 'symlog') return qkDef.constant ?? 1
+  if (scaleType === 'pow')    return qkDef.exponent ?? 2
+  if (scaleType === 'sqrt')   return 0.5
+  return 1
+}
+
+// Codes for the xScaleType/yScaleType/zScaleType uniforms (see scale_transform).
+const SCALE_TYPE_CODES = { linear: 0, time: 0, log: 1, symlog: 2, sqrt: 3, pow: 3 }
+
+// The transform that makes a scale linear on screen ("t-space"), with its inverse.
+// Matches scale_transform in buildSpatialGlsl.
+export function scaleTransform(scaleType, param = 1) {
+  switch (scaleType) {
+    case 'log':
+      return { forward: Math.log, inverse: Math.exp }
+    case 'symlog':
+      return {
+        forward: v => Math.sign(v) * Math.log1p(Math.abs(v) / param),
+        inverse: t => Math.sign(t) * Math.expm1(Math.abs(t)) * param,
+      }
+    case 'sqrt':
+    case 'pow':
+      return {
+        forward: v => Math.sign(v) * Math.pow(Math.abs(v), param),
+        inverse: t => Math.sign(t) * Math.pow(Math.abs(t), 1 / param),
+      }
+    default:
+      return { forward: v => v, inverse: t => t }
+  }
+}
+
+// regl uniform bindings for the xBreaks/yBreaks/zBreaks arrays declared by
+// buildSpatialGlsl; the matching props come from breakProps().
+export function breakUniforms(regl) {
+  const uniforms = {}
+  for (const a of ['x', 'y', 'z']) {
+    for (let i = 0; i < MAX_AXIS_BREAKS; i++) uniforms[`${a}Breaks[${i}]`] = regl.prop(`${a}Breaks_${i}`)
+    uniforms[`${a}BreakCount`] = regl.prop(`${a}BreakCount`)
+  }
+  return uniforms
+}
+
+// Draw props for one axis direction's breaks: `breaksT` in t-space, shifted by the
+// layer's rebasing offset (only linear axes are rebased, so the shift is exact).
+export function breakProps(axis, breaksT, offset = 0) {
+  const props = { [`${axis}BreakCount`]: breaksT.length }
+  for (let i = 0; i < MAX_AXIS_BREAKS; i++) {
+    const r = breaksT[i]
+    props[`${axis}Breaks_${i}`] = r ? [r[0] - offset, r[1] - offset] : [0, 0]
+  }
+  return props
+}
+
+// Compose a scale transform with axis breaks. `breaksT` are [a, b] ranges in
+// t-space (sorted, disjoint); each collapses to its start, so the screen shows
+// the remaining segments back to back. Matches collapse_breaks in buildSpatialGlsl.
+export function withBreaks({ forward, inverse }, breaksT) {
+  if (!breaksT.length) return { forward, inverse }
+  const collapse = (t) => {
+    let shift = 0
+    for (const [a, b] of breaksT) {
+      if (t >= b) shift += b - a
+      else if (t > a) shift += t - a
+    }
+    return t - shift
+  }
+  // A collapsed coordinate that lands exactly on a break maps to the break start.
+  const expand = (c) => {
+    let t = c
+    for (const [a, b] of breaksT) {
+      if (t > a) t += b - a
+      else break
+    }
+    return t
+  }
+  return { forward: v => collapse(forward(v)), inverse: c => inverse(expand(c)) }
+}
+
+// Functions and constants allowed in axis expressions (optionally written Math.name).
+const EXPR_FUNCTIONS = {
+  abs: Math.abs, sign: Math.sign, sqrt: Math.sqrt, cbrt: Math.cbrt, exp: Math.exp,
+  log: Math.log, log10: Math.log10, log2: Math.log2, pow: Math.pow, min: Math.min, max: Math.max,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  atan2: Math.atan2, sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+}
+const EXPR_CONSTANTS = { PI: Math.PI, E: Math.E }
+
+// Parse an arithmetic expression in `x` into a function without evaluating any
+// code: numbers, x, + - * / ** (or ^), parentheses and EXPR_FUNCTIONS. Configs
+// are shared through getConfig()/update(), so a string must never become code.
+function parseArithmetic(src) {
+  const tokens = src.match(/\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[A-Za-z_][\w.]*|\*\*|[-+*/^(),]|\S)/gi)
+    ?.map(t => t.trim()) ?? []
+  let pos = 0
+  const peek = () => tokens[pos]
+  const next = () => tokens[pos++]
+  const expect = (t) => {
+    if (next() !== t) throw new Error(`expected '${t}'`)
+  }
+
+  const sum = () => {
+    let f = product()
+    while (peek() === '+' || peek() === '-') {
+      const op = next(), a = f, b = product()
+      f = op === '+' ? x => a(x) + b(x) : x => a(x) - b(x)
+    }
+    return f
+  }
+  const product = () => {
+    let f = unary()
+    while (peek() === '*' || peek() === '/') {
+      const op = next(), a = f, b = unary()
+      f = op === '*' ? x => a(x) * b(x) : x => a(x) / b(x)
+    }
+    return f
+  }
+  const unary = () => {
+    if (peek() === '-') { next(); const a = unary(); return x => -a(x) }
+    if (peek() === '+') { next(); return unary() }
+    return power()
+  }
+  const power = () => {
+    const a = primary()
+    if (peek() === '**' || peek() === '^') { next(); const b = unary(); return x => Math.pow(a(x), b(x)) }
+    return a
+  }
+  const primary = () => {
+    const t = next()
+    if (t === undefined) throw new Error('unexpected end')
+    if (t === '(') { const f = sum(); expect(')'); return f }
+    if (/^[\d.]/.test(t)) {
+      const v = Number(t)
+      if (!isFinite(v)) throw new Error(`bad number '${t}'`)
+      return () => v
+    }
+    if (t === 'x') return x => x
+    const name = t.startsWith('Math.') ? t.slice(5) : t
+    if (Object.hasOwn(EXPR_CONSTANTS, name)) { const v = EXPR_CONSTANTS[name]; return () => v }
+    if (Object.hasOwn(EXPR_FUNCTIONS, name)) {
+      const fn = EXPR_FUNCTIONS[name], args = []
+      expect('(')
+      if (peek() !== ')') {
+        args.push(sum())
+        while (peek() === ',') { next(); args.push(sum()) }
+      }
+      expect(')')
+      return x => fn(...args.map(a => a(x)))
+    }
+    throw new Error(`unknown token '${t}'`)
+  }
+
+  const f = sum()
+  if (pos < tokens.length) throw new Error(`unexpected '${tokens[pos]}'`)
+  return f
+}
+
+// A derived axis' forward/inverse: a function, or an arithmetic expression
+// string in `x` such as "x * 1e-3" or "299792.458 / x" (see parseArithmetic).
+export function axisExpression(expr, slotId, key) {
+  if (typeof expr === 'function') return expr
+  if (typeof expr !== 'string' || !expr.trim())
+    throw new Error(`[gladly] Axis '${slotId}': '${key}' must be a function or an expression in x`)
+  try {
+    return parseArithmetic(expr)
+  } catch (e) {
+    throw new Error(`[gladly] Axis '${slotId}': invalid ${key} expression '${expr}': ${e.message}`)
+  }
+}
+
+// Sort, validate and merge [[a, b], ...] break ranges (data space).
+export function normalizeBreaks(breaks) {
+  const ranges = (breaks ?? [])
+    .filter(r => Array.isArray(r) && r.length === 2 && isFinite(r[0]) && isFinite(r[1]) && r[0] !== r[1])
+    .map(([a, b]) => a < b ? [a, b] : [b, a])
+    .sort((p, q) => p[0] - q[0])
+  const merged = []
+  for (const r of ranges) {
+    const last = merged[merged.length - 1]
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1])
+    else merged.push([...r])
+  }
+  return merged
+}
+
 export const AXIS_GEOMETRY = {
   'xaxis_bottom':      { dir: 'x', fixed: { y: -1, z: +1 }, outward: [0, -1, 0] },
   'xaxis_top':         { dir: 'x', fixed: { y: +1, z: +1 }, outward: [0, +1, 0] },
@@ -101,6 +336,18 @@ export class AxisRegistry {
     this.height = height
     this._entries  = new Map()  // qk → entry
     this._slotToQk = new Map()  // slotId → qk
+    this._scaleTypes = new Map() // slotId → { type: scale name, param: symlog constant / pow exponent }
+    this._reversed = new Set()   // slotIds whose values increase right-to-left / top-to-bottom
+    this._breaks = new Map()     // slotId → [[a, b], ...] break ranges in data space
+    this._derived = new Map()    // slotId → { from, forward, inverse } for derived axes
+  }
+
+  _slotRange(slotId) {
+    const dir = AXIS_GEOMETRY[slotId].dir
+    const range = dir === 'z' ? [0, 1]
+      : dir === 'y' ? [this.height, 0]
+      : [0, this.width]
+    return this._reversed.has(slotId) ? [range[1], range[0]] : range
   }
 
   _ensureEntry(qk) {
@@ -115,6 +362,8 @@ export class AxisRegistry {
         alphaBlend: 0.0,
         hasFilter:  false,
         dataExtent: null,      // [min, max] raw data extent for filterbar display
+        categories: null,      // ordered labels for a categorical (band) axis
+        levels:     null,      // contour levels on a color axis, or null
       })
     }
     return this._entries.get(qk)
@@ -122,27 +371,28 @@ export class AxisRegistry {
 
   // ── Registration ──────────────────────────────────────────────────────────
 
-  ensureSpatialSlot(slotId, qk, scaleOverride = null) {
+  ensureSpatialSlot(slotId, qk, scaleOverride = null, scaleParam = null) {
     if (!AXES.includes(slotId))
       throw new Error(`Unknown axis '${slotId}'`)
     const existingQk = this._slotToQk.get(slotId)
-    if (existingQk && existingQk !== qk)
-      throw new Error(`Axis quantity kind mismatch on '${slotId}': ${existingQk} vs ${qk}`)
+    if (existingQk && existingQk !== qk) {
+      if (!unitsCompatible(existingQk, qk))
+        throw new Error(`Axis quantity kind mismatch on '${slotId}': ${existingQk} vs ${qk}`)
+      // Another unit of the same dimension: the layer shares the slot and is
+      // converted at draw time (see Plot._buildLayerProps).
+      return
+    }
 
     const entry = this._ensureEntry(qk)
     if (!entry.slots.has(slotId)) {
       const qkDef     = getAxisQuantityKind(qk)
-      const scaleType = scaleOverride ?? qkDef.scale
-      const dir       = AXIS_GEOMETRY[slotId].dir
-      const range     = dir === 'z' ? [0, 1]
-        : dir === 'y' ? [this.height, 0]
-        : [0, this.width]
-      const scale = scaleType === 'log'
-        ? d3.scaleLog().range(range)
-        : d3.scaleLinear().range(range)
+      const scaleType = scaleOverride ?? qkDef.scale ?? 'linear'
+      const param     = scaleParam ?? defaultScaleParam(scaleType, qkDef)
+      const scale     = makeScale(scaleType, this._slotRange(slotId), param)
       if (entry.domain) scale.domain(entry.domain)
       entry.slots.set(slotId, scale)
       this._slotToQk.set(slotId, qk)
+      this._scaleTypes.set(slotId, { type: scaleType, param })
     }
   }
 
@@ -158,18 +408,61 @@ export class AxisRegistry {
 
   // ── Domain ────────────────────────────────────────────────────────────────
 
-  // Set the shared domain for a QK. Updates all spatial D3 scales for this QK.
+  // Set the shared domain for a QK. Updates all spatial D3 scales for this QK,
+  // and those of axes derived from them.
   setDomain(qk, domain) {
     const entry = this._entries.get(qk)
     if (!entry) return
     entry.domain = domain
     for (const scale of entry.slots.values()) scale.domain(domain)
+    for (const [slotId, { from }] of this._derived) {
+      if (this._slotToQk.get(from) === qk) this._syncDerived(slotId)
+    }
   }
 
   getDomain(qk) {
     return this._entries.get(qk)?.domain ?? null
   }
 
+  // ── Derived axes ──────────────────────────────────────────────────────────
+
+  // Make `slotId` show the slot `from` through forward (primary → derived value)
+  // and inverse. The derived slot has its own quantity kind but no layers; its
+  // domain is always forward(primary domain), which may run high-to-low.
+  setDerived(slotId, qk, from, forward, inverse) {
+    if (slotId === from || this._derived.has(from))
+      throw new Error(`[gladly] Axis '${slotId}': cannot derive from '${from}'`)
+    if (!this.getScale(from))
+      throw new Error(`[gladly] Axis '${slotId}': derivedFrom axis '${from}' is not used by any layer`)
+    if (this._slotToQk.has(slotId))
+      throw new Error(`[gladly] Axis '${slotId}' is used by a layer and cannot be derived from '${from}'`)
+    if (this._entries.has(qk))
+      throw new Error(`[gladly] Axis '${slotId}': quantity kind '${qk}' is already in use`)
+    this.ensureSpatialSlot(slotId, qk, 'linear')
+    this._derived.set(slotId, { from, forward, inverse })
+    this.setReversed(slotId, this.isReversed(from))
+    this._syncDerived(slotId)
+  }
+
+  // { from, forward, inverse } for a derived slot, or null.
+  getDerived(slotId) {
+    return this._derived.get(slotId) ?? null
+  }
+
+  // Slots derived from `slotId`.
+  getDerivedSlots(slotId) {
+    return [...this._derived].filter(([, d]) => d.from === slotId).map(([id]) => id)
+  }
+
+  _syncDerived(slotId) {
+    const { from, forward } = this._derived.get(slotId)
+    const primary = this.getScale(from).domain()
+    const entry = this._entries.get(this._slotToQk.get(slotId))
+    if (!entry) return
+    entry.domain = [forward(+primary[0]), forward(+primary[1])]
+    entry.slots.get(slotId).domain(entry.domain)
+  }
+
   // ── Spatial ───────────────────────────────────────────────────────────────
 
   getScale(slotId) {
@@ -182,23 +475,106 @@ export class AxisRegistry {
     return !!scale && typeof scale.base === 'function'
   }
 
-  setScaleType(slotId, scaleType) {
+  // A reversed axis keeps its domain as [min, max]; only the screen direction flips
+  // (the D3 range here, and the domain handed to shaders via getDisplayDomain).
+  setReversed(slotId, reversed) {
+    if (reversed === this._reversed.has(slotId)) return
+    if (reversed) this._reversed.add(slotId)
+    else this._reversed.delete(slotId)
+    this.getScale(slotId)?.range(this._slotRange(slotId))
+  }
+
+  isReversed(slotId) {
+    return this._reversed.has(slotId)
+  }
+
+  // Domain in screen order: [value at the axis start, value at the axis end].
+  getDisplayDomain(slotId) {
+    const domain = this.getScale(slotId)?.domain()
+    if (!domain) return null
+    return this._reversed.has(slotId) ? [domain[1], domain[0]] : domain
+  }
+
+  // Scale name for a spatial slot: "linear", "log", "symlog", "sqrt", "pow" or "time".
+  getScaleType(slotId) {
+    return this._scaleTypes.get(slotId)?.type ?? 'linear'
+  }
+
+  // Symlog constant (linear threshold) or pow exponent; 1 for other scales.
+  getScaleParam(slotId) {
+    return this._scaleTypes.get(slotId)?.param ?? 1
+  }
+
+  // Numeric scale-type code for the shader uniforms.
+  getScaleTypeCode(slotId) {
+    return SCALE_TYPE_CODES[this.getScaleType(slotId)] ?? 0
+  }
+
+  // Data → t-space mapping of a slot (see scaleTransform), with its breaks collapsed.
+  getScaleTransform(slotId) {
+    const derived = this._derived.get(slotId)
+    if (derived) {
+      // Derived values are placed where their primary value is: t = T_primary(inverse(v)).
+      const primary = this.getScaleTransform(derived.from)
+      return {
+        forward: v => primary.forward(derived.inverse(v)),
+        inverse: t => derived.forward(primary.inverse(t)),
+      }
+    }
+    const transform = scaleTransform(this.getScaleType(slotId), this.getScaleParam(slotId))
+    return withBreaks(transform, this.getBreaksT(slotId))
+  }
+
+  // ── Breaks ────────────────────────────────────────────────────────────────
+
+  setBreaks(slotId, breaks) {
+    let ranges = normalizeBreaks(breaks)
+    if (ranges.length > MAX_AXIS_BREAKS) {
+      console.warn(`[gladly] Axis '${slotId}': at most ${MAX_AXIS_BREAKS} breaks are supported; ignoring the rest`)
+      ranges = ranges.slice(0, MAX_AXIS_BREAKS)
+    }
+    if (ranges.length) this._breaks.set(slotId, ranges)
+    else this._breaks.delete(slotId)
+  }
+
+  // Break ranges in data space (sorted, disjoint).
+  getBreaks(slotId) {
+    return this._breaks.get(slotId) ?? []
+  }
+
+  // Break ranges in t-space, i.e. passed through the scale transform. With `unit`,
+  // the ranges are first converted into that compatible quantity kind.
+  getBreaksT(slotId, unit = null) {
+    const breaks = this._breaks.get(slotId)
+    if (!breaks) return []
+    const { forward } = scaleTransform(this.getScaleType(slotId), this.getScaleParam(slotId))
+    const c = (unit && unitConversion(this._slotToQk.get(slotId), unit)) || { scale: 1, shift: 0 }
+    return breaks
+      .map(([a, b]) => [forward(a * c.scale + c.shift), forward(b * c.scale + c.shift)])
+      .filter(([a, b]) => isFinite(a) && isFinite(b))
+  }
+
+  // Display domain of a slot converted into the compatible quantity kind `unit`
+  // (the unit a layer's data is in).
+  getDisplayDomainIn(slotId, unit) {
+    const domain = this.getDisplayDomain(slotId)
+    const c = domain && unitConversion(this._slotToQk.get(slotId), unit)
+    if (!c || (c.scale === 1 && c.shift === 0)) return domain
+    return domain.map(v => v * c.scale + c.shift)
+  }
+
+  setScaleType(slotId, scaleType, scaleParam = null) {
     const qk = this._slotToQk.get(slotId)
     if (!qk) return
     const entry = this._entries.get(qk)
     const scale = entry?.slots.get(slotId)
     if (!scale) return
-    const wantLog = scaleType === 'log'
-    if ((typeof scale.base === 'function') === wantLog) return
-    const dir   = AXIS_GEOMETRY[slotId].dir
-    const range = dir === 'z' ? [0, 1]
-      : dir === 'y' ? [this.height, 0]
-      : [0, this.width]
-    const newScale = wantLog
-      ? d3.scaleLog().range(range)
-      : d3.scaleLinear().range(range)
+    const param = scaleParam ?? defaultScaleParam(scaleType, getAxisQuantityKind(qk))
+    if (this.getScaleType(slotId) === scaleType && this.getScaleParam(slotId) === param) return
+    const newScale = makeScale(scaleType, this._slotRange(slotId), param)
     newScale.domain(scale.domain())
     entry.slots.set(slotId, newScale)
+    this._scaleTypes.set(slotId, { type: scaleType, param })
   }
 
   getQkForSlot(slotId) {
@@ -214,6 +590,22 @@ export class AxisRegistry {
 
   hasSpatialSlot(slotId) { return this._slotToQk.has(slotId) }
 
+  // ── Categorical ───────────────────────────────────────────────────────────
+
+  // Categorical axes place category i at value i, with its band spanning
+  // [i - 0.5, i + 0.5]. The GPU mapping is plain linear.
+  getCategories(qk) { return this._entries.get(qk)?.categories ?? null }
+
+  setCategories(qk, categories) {
+    const entry = this._entries.get(qk)
+    if (entry) entry.categories = categories
+  }
+
+  isCategorical(slotId) {
+    const qk = this._slotToQk.get(slotId)
+    return !!qk && this.getCategories(qk) !== null
+  }
+
   // ── Querying ──────────────────────────────────────────────────────────────
 
   hasAxis(qk)       { return this._entries.has(qk) }
@@ -238,6 +630,15 @@ export class AxisRegistry {
     return cs ? getColorscaleIndex(cs) : 0
   }
 
+  // Contour levels drawn on a color axis; axes and colorbars of the quantity
+  // kind tick at them.
+  getColorLevels(qk) { return this._entries.get(qk)?.levels ?? null }
+
+  setColorLevels(qk, levels) {
+    const entry = this._entries.get(qk)
+    if (entry) entry.levels = levels
+  }
+
   getAlphaBlend(qk) { return this._entries.get(qk)?.alphaBlend ?? 0.0 }
 
   getClampMin(qk) { return this._entries.get(qk)?.clampMin ?? true }
@@ -310,57 +711,21 @@ export class AxisRegistry {
   // ── Auto-domain from layers ───────────────────────────────────────────────
 
   applyAutoDomainsFromLayers(layers, axesOverrides) {
+    const derivedQks = new Set([...this._derived.keys()].map(slotId => this._slotToQk.get(slotId)))
     for (const [qk, entry] of this._entries) {
-      // Collect domain extent from every layer that uses this QK in any role.
-      let min = Infinity, max = -Infinity
-
-      for (const layer of layers) {
-        const usedSpatially =
-          (layer.xAxisQuantityKind === qk && layer.xAxis) ||
-          (layer.yAxisQuantityKind === qk && layer.yAxis) ||
-          (layer.zAxisQuantityKind === qk && layer.zAxis)
-        const usedAsColor  = Object.values(layer.colorAxes  ?? {}).includes(qk)
-        const usedAsFilter = Object.values(layer.filterAxes ?? {}).includes(qk)
-
-        if (usedSpatially || usedAsColor || usedAsFilter) {
-          if (layer.domains[qk] !== undefined) {
-            const [dMin, dMax] = layer.domains[qk]
-            if (dMin < min) min = dMin
-            if (dMax > max) max = dMax
-          } else if (usedSpatially && !layer.type?.suppressWarnings) {
-            console.warn(
-              `[gladly] Layer '${layer.type?.name ?? 'unknown'}' has no domain for ` +
-              `quantity kind '${qk}'. Auto-domain cannot be computed from this layer.`
-            )
-          }
-        }
+      if (derivedQks.has(qk)) continue
+      // Categories: axis config (slot, then QK) → quantity kind registry → layer data.
+      entry.categories = this._resolveCategories(qk, layers, axesOverrides)
+      entry.levels = layers.find(l => l.colorLevels?.[qk])?.colorLevels[qk] ?? null
+
+      const { domain, extent } = this.computeAutoDomain(qk, layers, axesOverrides, entry.categories)
+      if (domain) {
+        if (domain[0] === domain[1])
+          console.warn(`[gladly] Axis '${qk}': domain is degenerate (all data at ${domain[0]}).`)
+        this.setDomain(qk, domain)
       }
 
-      // Resolve override: slot-level overrides take priority over QK-level.
-      let overrideMin, overrideMax
-      for (const [slotId, slotQk] of this._slotToQk) {
-        if (slotQk !== qk) continue
-        const so = axesOverrides[slotId]
-        if (so?.min != null && overrideMin === undefined) overrideMin = so.min
-        if (so?.max != null && overrideMax === undefined) overrideMax = so.max
-      }
       const qkOv = axesOverrides[qk]
-      if (overrideMin === undefined && qkOv?.min != null) overrideMin = qkOv.min
-      if (overrideMax === undefined && qkOv?.max != null) overrideMax = qkOv.max
-
-      let finalMin = overrideMin ?? (min !== Infinity  ? min : undefined)
-      const finalMax = overrideMax ?? (max !== -Infinity ? max : undefined)
-
-      if (finalMin !== undefined && finalMax !== undefined) {
-        if (!isFinite(finalMin) || !isFinite(finalMax))
-          throw new Error(`[gladly] Axis '${qk}': computed domain [${finalMin}, ${finalMax}] is non-finite.`)
-        if (finalMin <= 0 && getScaleTypeFloat(qk, axesOverrides) > 0.5)
-          finalMin = Number.MIN_VALUE
-        if (finalMin === finalMax)
-          console.warn(`[gladly] Axis '${qk}': domain is degenerate (all data at ${finalMin}).`)
-        this.setDomain(qk, [finalMin, finalMax])
-      }
-
       // Color-specific overrides.
       if (entry.hasColor && qkOv) {
         if (qkOv.colorscale && qkOv.colorscale !== "none") entry.colorscale = qkOv.colorscale
@@ -372,10 +737,101 @@ export class AxisRegistry {
       if (qkOv?.clamp_max !== undefined) entry.clampMax = !!qkOv.clamp_max
 
       // Store data extent for filter axis (Filterbar display).
-      if (entry.hasFilter && min !== Infinity) entry.dataExtent = [min, max]
+      if (entry.hasFilter && extent) entry.dataExtent = extent
     }
 
   }
+
+  // Domain applyAutoDomainsFromLayers gives `qk`, without changing the registry:
+  // the extent of every layer using it in any role, replaced by min/max from
+  // `axesOverrides` and by the band range on a categorical axis. Returns
+  // { domain, extent } — domain null when nothing determines it, extent the
+  // [min, max] before overrides (or null).
+  computeAutoDomain(qk, layers, axesOverrides, categories = this._resolveCategories(qk, layers, axesOverrides), { quiet = false } = {}) {
+    // Collect domain extent from every layer that uses this QK in any role.
+    let min = Infinity, max = -Infinity
+
+    for (const layer of layers) {
+      // A spatial layer may hold its data in another unit of the axis' quantity kind.
+      const layerQk = ['x', 'y', 'z']
+        .filter(d => layer[`${d}Axis`] && this._slotToQk.get(layer[`${d}Axis`]) === qk)
+        .map(d => layer[`${d}AxisQuantityKind`])
+        .find(lqk => lqk != null && unitsCompatible(lqk, qk))
+      const usedSpatially = layerQk !== undefined
+      const usedAsColor  = Object.values(layer.colorAxes  ?? {}).includes(qk)
+      const usedAsFilter = Object.values(layer.filterAxes ?? {}).includes(qk)
+      const domainQk = usedSpatially && layer.domains[qk] === undefined ? layerQk : qk
+
+      if (usedSpatially || usedAsColor || usedAsFilter) {
+        if (layer.domains[domainQk] !== undefined) {
+          const c = unitConversion(domainQk, qk)
+          const ends = layer.domains[domainQk].map(v => v * c.scale + c.shift)
+          const dMin = Math.min(...ends), dMax = Math.max(...ends)
+          if (dMin < min) min = dMin
+          if (dMax > max) max = dMax
+        } else if (usedSpatially && !quiet && !layer.type?.suppressWarnings) {
+          console.warn(
+            `[gladly] Layer '${layer.type?.name ?? 'unknown'}' has no domain for ` +
+            `quantity kind '${domainQk}'. Auto-domain cannot be computed from this layer.`
+          )
+        }
+      }
+    }
+
+    // Resolve override: slot-level overrides take priority over QK-level.
+    let overrideMin, overrideMax
+    for (const [slotId, slotQk] of this._slotToQk) {
+      if (slotQk !== qk) continue
+      const so = axesOverrides[slotId]
+      if (so?.min != null && overrideMin === undefined) overrideMin = so.min
+      if (so?.max != null && overrideMax === undefined) overrideMax = so.max
+    }
+    const qkOv = axesOverrides[qk]
+    if (overrideMin === undefined && qkOv?.min != null) overrideMin = qkOv.min
+    if (overrideMax === undefined && qkOv?.max != null) overrideMax = qkOv.max
+
+    // A categorical axis shows every band by default.
+    if (categories) {
+      min = -0.5
+      max = categories.length - 0.5
+    }
+    const extent = min !== Infinity ? [min, max] : null
+
+    let finalMin = overrideMin ?? (min !== Infinity  ? min : undefined)
+    const finalMax = overrideMax ?? (max !== -Infinity ? max : undefined)
+    if (finalMin === undefined || finalMax === undefined) return { domain: null, extent }
+
+    if (!isFinite(finalMin) || !isFinite(finalMax))
+      throw new Error(`[gladly] Axis '${qk}': computed domain [${finalMin}, ${finalMax}] is non-finite.`)
+    if (finalMin <= 0 && getScaleTypeFloat(qk, axesOverrides) > 0.5)
+      finalMin = Number.MIN_VALUE
+    return { domain: [finalMin, finalMax], extent }
+  }
+
+  _resolveCategories(qk, layers, axesOverrides) {
+    for (const [slotId, slotQk] of this._slotToQk) {
+      if (slotQk === qk && axesOverrides[slotId]?.categories) return axesOverrides[slotId].categories
+    }
+    if (axesOverrides[qk]?.categories) return axesOverrides[qk].categories
+    const registered = getAxisQuantityKind(qk).categories
+    if (registered) return registered
+
+    let found = null
+    for (const layer of layers) {
+      const labels = layer.categories?.[qk]
+      if (!labels) continue
+      if (!found) {
+        found = labels
+      } else if (labels.length !== found.length || labels.some((c, i) => c !== found[i])) {
+        console.warn(
+          `[gladly] Axis '${qk}': layers disagree on category order; using the first layer's ` +
+          `categories. Register the quantity kind with a 'categories' list to fix the order.`
+        )
+        break
+      }
+    }
+    return found
+  }
 }
 
 // GLSL helper injected into layer shaders for filter axis bounds checking.
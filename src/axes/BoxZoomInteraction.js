@@ -0,0 +1,194 @@
+import { AXIS_GEOMETRY } from './AxisRegistry.js'
+
+const MIN_BOX_PX = 5
+
+// Drag a rectangle to zoom into it; double-click steps back through the plot's
+// view history (the same as undoView / Ctrl+Z). 2D plots only. `axes` is "xy", "x" or "y"; in the
+// single-direction modes the box spans the full height (or width) of the plot.
+export class BoxZoomInteraction {
+  constructor(plot, { axes = 'xy', trigger = 'alt' } = {}) {
+    this._plot = plot
+    this._axes = axes
+    this._trigger = trigger
+    this._start = null
+    this._end = null
+
+    this._regl = null
+    this._vertexBuf = null
+    this._drawCmd = null
+
+    this._onMouseDown = this._onMouseDown.bind(this)
+    this._onMouseMove = this._onMouseMove.bind(this)
+    this._onMouseUp   = this._onMouseUp.bind(this)
+    this._onDblClick  = this._onDblClick.bind(this)
+
+    this._renderCb = () => {
+      if (!this._start || !this._end) return
+      this._ensureGl()
+      if (!this._drawCmd) return
+      const [x0, y0, x1, y1] = this._box()
+      this._vertexBuf(new Float32Array([x0, y0, x1, y0, x1, y1, x0, y1]))
+      this._drawCmd({ count: 4, size: [plot.width, plot.height] })
+    }
+    plot._renderCallbacks.add(this._renderCb)
+
+    plot.canvas.addEventListener('mousedown', this._onMouseDown)
+    plot.canvas.addEventListener('dblclick', this._onDblClick)
+    window.addEventListener('mousemove', this._onMouseMove)
+    window.addEventListener('mouseup', this._onMouseUp)
+  }
+
+  _ensureGl() {
+    const regl = this._plot.regl
+    if (!regl || this._regl === regl) return
+    this._regl = regl
+    this._vertexBuf = regl.buffer({ usage: 'dynamic', type: 'float', length: 0 })
+    this._drawCmd = regl({
+      vert: `#version 300 es
+in vec2 a_pos;
+uniform vec2 u_size;
+void main() {
+  vec2 ndc = (a_pos / u_size) * 2.0 - 1.0;
+  gl_Position = vec4(ndc.x, -ndc.y, 0.0, 1.0);
+}`,
+      frag: `#version 300 es
+precision mediump float;
+out vec4 fragColor;
+void main() { fragColor = vec4(0.2, 0.2, 0.2, 1.0); }`,
+      attributes: { a_pos: this._vertexBuf },
+      uniforms: {
+        u_size: regl.prop('size'),
+      },
+      primitive: 'line loop',
+      count: regl.prop('count'),
+      depth: { enable: false },
+      blend: { enable: false },
+    })
+  }
+
+  // True when a left-button mousedown should start a box rather than a pan.
+  claimsDrag(e) {
+    return e.button === 0 && !this._plot._is3D && this._shouldActivate(e)
+  }
+
+  _shouldActivate(e) {
+    if (this._trigger === 'alt')   return e.altKey
+    if (this._trigger === 'ctrl')  return e.ctrlKey || e.metaKey
+    if (this._trigger === 'shift') return e.shiftKey
+    return !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey
+  }
+
+  _canvasPos(e) {
+    const r = this._plot.canvas.getBoundingClientRect()
+    return [e.clientX - r.left, e.clientY - r.top]
+  }
+
+  _inPlotArea([x, y]) {
+    const { margin, plotWidth, plotHeight } = this._plot
+    return x >= margin.left && x < margin.left + plotWidth && y >= margin.top && y < margin.top + plotHeight
+  }
+
+  // Box corners in canvas pixels, clipped to the plot area and widened to its
+  // full extent in the direction that is not zoomed.
+  _box() {
+    const { margin, plotWidth, plotHeight } = this._plot
+    const clampX = x => Math.min(Math.max(x, margin.left), margin.left + plotWidth)
+    const clampY = y => Math.min(Math.max(y, margin.top), margin.top + plotHeight)
+    let x0 = clampX(Math.min(this._start[0], this._end[0])), x1 = clampX(Math.max(this._start[0], this._end[0]))
+    let y0 = clampY(Math.min(this._start[1], this._end[1])), y1 = clampY(Math.max(this._start[1], this._end[1]))
+    if (this._axes === 'y') { x0 = margin.left; x1 = margin.left + plotWidth }
+    if (this._axes === 'x') { y0 = margin.top;  y1 = margin.top + plotHeight }
+    return [x0, y0, x1, y1]
+  }
+
+  _onMouseDown(e) {
+    if (!this.claimsDrag(e)) return
+    const pos = this._canvasPos(e)
+    if (!this._inPlotArea(pos)) return
+    e.preventDefault()
+    this._start = pos
+    this._end = null
+  }
+
+  _onMouseMove(e) {
+    if (!this._start) return
+    this._end = this._canvasPos(e)
+    this._plot.scheduleRender()
+  }
+
+  _onMouseUp() {
+    if (!this._start) return
+    const done = this._end !== null
+    const box = done ? this._box() : null
+    this._start = null
+    this._end = null
+    this._plot.scheduleRender()
+    if (done) this.zoomToBox(...box)
+  }
+
+  _onDblClick(e) {
+    if (this._plot._is3D || !this._inPlotArea(this._canvasPos(e))) return
+    e.preventDefault()
+    this.back()
+  }
+
+  // Spatial axes zoomed in a direction: the active 2D axes, minus derived ones
+  // (they follow their primary).
+  _axesFor(dir) {
+    const ar = this._plot.axisRegistry
+    return ['xaxis_bottom', 'xaxis_top', 'yaxis_left', 'yaxis_right']
+      .filter(a => AXIS_GEOMETRY[a].dir === dir && ar.getScale(a) && !ar.getDerived(a))
+  }
+
+  // Zoom to the canvas-pixel rectangle [x0, y0]–[x1, y1]. Boxes smaller than a
+  // few pixels in a zoomed direction are ignored (a click, not a drag).
+  zoomToBox(x0, y0, x1, y1) {
+    const plot = this._plot
+    if (!plot.axisRegistry) return
+    const { margin, plotWidth, plotHeight } = plot
+    const spans = []
+    if (this._axes !== 'y') {
+      if (x1 - x0 < MIN_BOX_PX) return
+      const n0 = (x0 - margin.left) / plotWidth, n1 = (x1 - margin.left) / plotWidth
+      for (const axisId of this._axesFor('x')) spans.push([axisId, n0, n1])
+    }
+    if (this._axes !== 'x') {
+      if (y1 - y0 < MIN_BOX_PX) return
+      // Screen y grows downward; normalised axis position grows upward.
+      const n0 = 1 - (y1 - margin.top) / plotHeight, n1 = 1 - (y0 - margin.top) / plotHeight
+      for (const axisId of this._axesFor('y')) spans.push([axisId, n0, n1])
+    }
+    if (!spans.length) return
+
+    // Work out every target in t-space before applying any: one axis may move
+    // another (aspect lock, derived axes).
+    const zoom = plot._zoomController
+    const targets = spans.map(([axisId, n0, n1]) => {
+      const [a, b] = plot.axisRegistry.getDisplayDomain(axisId)
+      const ta = zoom._toT(axisId, a), tb = zoom._toT(axisId, b)
+      const t0 = ta + n0 * (tb - ta), t1 = ta + n1 * (tb - ta)
+      return [axisId, Math.min(t0, t1), Math.max(t0, t1)]
+    })
+    // The view left and the box zoom are history entries of their own, never
+    // merged with a burst of wheel steps.
+    if (plot._viewHistory.record()) plot._emitViewChange('record')
+    for (const [axisId, t0, t1] of targets) zoom._setDomainT(axisId, t0, t1)
+    plot.scheduleRender()
+    if (plot._viewHistory.record()) plot._emitViewChange('record')
+    plot._zoomEndCallbacks.forEach(cb => cb())
+  }
+
+  // Step back to the previous view in the plot's history. Returns false if there is none.
+  back() {
+    return this._plot.undoView()
+  }
+
+  destroy() {
+    this._plot._renderCallbacks.delete(this._renderCb)
+    if (this._vertexBuf) this._vertexBuf.destroy()
+    this._plot.canvas.removeEventListener('mousedown', this._onMouseDown)
+    this._plot.canvas.removeEventListener('dblclick', this._onDblClick)
+    window.removeEventListener('mousemove', this._onMouseMove)
+    window.removeEventListener('mouseup', this._onMouseUp)
+  }
+}
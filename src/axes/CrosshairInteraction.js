@@ -0,0 +1,266 @@
+import { AXES_2D, AXIS_GEOMETRY } from './AxisRegistry.js'
+import { TickLabelAtlas } from './TickLabelAtlas.js'
+import { convertUnit, unitsCompatible } from './AxisQuantityKindRegistry.js'
+
+const LABEL_GAP_PX = 3
+const MAX_LABELS = 256     // readout labels kept in the atlas before it is cleared
+const LINE_COLOR = [0.3, 0.3, 0.3, 0.7]
+const BOX_COLOR  = [1, 1, 1, 0.92]
+
+// Guide lines through the cursor with a value label on every active 2D axis.
+// With `snap` (a config layer index) the crosshair jumps to the nearest data
+// point of that layer within `radius` pixels. With `shared`, the position is
+// passed by quantity kind to the other plots of the PlotGroup, which show it on
+// their axes of the same quantity kinds.
+export class CrosshairInteraction {
+  constructor(plot, { snap = null, radius = 20, shared = true } = {}) {
+    this._plot = plot
+    this._snap = snap
+    this._radius = radius
+    this._shared = shared
+    this._values = null      // { axisId: value } shown, or null when hidden
+    this._pending = null     // cursor [x, y] waiting for a snap pick
+    this._busy = false
+
+    this._regl = null
+    this._vertexBuf = null
+    this._drawCmd = null
+    this._atlas = null
+
+    this._onMouseMove  = this._onMouseMove.bind(this)
+    this._onMouseLeave = this._onMouseLeave.bind(this)
+
+    this._renderCb = () => this._draw()
+    plot._renderCallbacks.add(this._renderCb)
+
+    plot.canvas.addEventListener('mousemove', this._onMouseMove)
+    plot.canvas.addEventListener('mouseleave', this._onMouseLeave)
+  }
+
+  _ensureGl() {
+    const regl = this._plot.regl
+    if (!regl || this._regl === regl) return
+    this._regl = regl
+    if (this._atlas) this._atlas.destroy()
+    this._atlas = new TickLabelAtlas(regl)
+    this._vertexBuf = regl.buffer({ usage: 'dynamic', type: 'float', length: 0 })
+    this._drawCmd = regl({
+      vert: `#version 300 es
+in vec2 a_pos;
+uniform vec2 u_size;
+void main() {
+  vec2 ndc = (a_pos / u_size) * 2.0 - 1.0;
+  gl_Position = vec4(ndc.x, -ndc.y, 0.0, 1.0);
+}`,
+      frag: `#version 300 es
+precision mediump float;
+uniform vec4 u_color;
+out vec4 fragColor;
+void main() { fragColor = u_color; }`,
+      attributes: { a_pos: this._vertexBuf },
+      uniforms: {
+        u_size:  regl.prop('size'),
+        u_color: regl.prop('color'),
+      },
+      primitive: regl.prop('primitive'),
+      count: regl.prop('count'),
+      depth: { enable: false },
+      blend: {
+        enable: true,
+        func: { srcRGB: 'src alpha', dstRGB: 'one minus src alpha', srcAlpha: 0, dstAlpha: 1 },
+      },
+    })
+  }
+
+  // Current position as { axisId: value }, or null when hidden.
+  get position() {
+    return this._values ? { ...this._values } : null
+  }
+
+  // Show the crosshair at data values keyed by axis id or quantity kind; axes
+  // given neither get no line. null hides it. Shared with the group like a
+  // cursor move.
+  setPosition(values) {
+    this._show(values ? this._resolve(values) : null)
+    this._broadcast()
+  }
+
+  // Position from another plot of the group, keyed by quantity kind.
+  _receive(byQk) {
+    if (!this._shared) return
+    this._show(byQk ? this._resolve(byQk) : null)
+  }
+
+  _activeAxes() {
+    const registry = this._plot.axisRegistry
+    return registry ? AXES_2D.filter(a => registry.getScale(a)) : []
+  }
+
+  // { axisId | quantityKind: value } → { axisId: value } for the active axes.
+  _resolve(values) {
+    const registry = this._plot.axisRegistry
+    const out = {}
+    for (const axisId of this._activeAxes()) {
+      const v = values[axisId] ?? values[registry.getQkForSlot(axisId)]
+      if (v != null && isFinite(v)) out[axisId] = v
+    }
+    return Object.keys(out).length ? out : null
+  }
+
+  _show(values) {
+    this._values = values
+    this._plot.scheduleRender()
+  }
+
+  _broadcast() {
+    const group = this._plot._group
+    if (!this._shared || !group) return
+    let byQk = null
+    if (this._values) {
+      byQk = {}
+      for (const [axisId, v] of Object.entries(this._values)) {
+        const qk = this._plot.axisRegistry.getQkForSlot(axisId)
+        if (qk) byQk[qk] = v
+      }
+    }
+    for (const plot of group._plots.values()) {
+      if (plot === this._plot) continue
+      for (const i of plot._interactions ?? []) {
+        if (i instanceof CrosshairInteraction) i._receive(byQk)
+      }
+    }
+  }
+
+  _inPlotArea([x, y]) {
+    const { margin, plotWidth, plotHeight } = this._plot
+    return x >= margin.left && x < margin.left + plotWidth && y >= margin.top && y < margin.top + plotHeight
+  }
+
+  _onMouseMove(e) {
+    if (this._plot._is3D || !this._plot.axisRegistry) return
+    const r = this._plot.canvas.getBoundingClientRect()
+    const pos = [e.clientX - r.left, e.clientY - r.top]
+    if (!this._inPlotArea(pos)) return this._onMouseLeave()
+    this._show(this._resolve(this._plot.lookup(...pos)))
+    this._broadcast()
+    // No snapping mid-drag: the view is moving under the cursor.
+    if (this._snap != null && e.buttons === 0) {
+      this._pending = pos
+      if (!this._busy) this._runSnap()
+    }
+  }
+
+  _onMouseLeave() {
+    this._pending = null
+    if (!this._values) return
+    this._show(null)
+    this._broadcast()
+  }
+
+  async _runSnap() {
+    this._busy = true
+    try {
+      while (this._pending) {
+        const pos = this._pending
+        this._pending = null
+        const hit = await this._plot.pick(...pos, { radius: this._radius, layers: [this._snap] })
+        // The cursor has moved on (or left) meanwhile; only the latest pick counts.
+        if (this._pending || !this._values) continue
+        const snapped = hit && this._snappedValues(hit)
+        if (snapped) {
+          this._show(snapped)
+          this._broadcast()
+        }
+      }
+    } catch (e) {
+      console.error('[gladly] Crosshair snap pick failed:', e)
+    } finally {
+      this._busy = false
+    }
+  }
+
+  // Axis values of a picked data point: its own x/y column values on the
+  // layer's axes, everything else looked up at the point's pixel.
+  _snappedValues(hit) {
+    const plot = this._plot
+    const { layer } = hit
+    const spec = plot.currentConfig?.layers?.[hit.configLayerIndex]
+    const params = spec ? Object.values(spec)[0] ?? {} : {}
+    const value = (name, qk, axisId) => {
+      const array = typeof name === 'string' ? plot.currentData?.getData(name)?.array : null
+      if (!array || hit.index >= array.length || !axisId || !plot.axisRegistry.getScale(axisId)) return null
+      const axisQk = plot.axisRegistry.getQkForSlot(axisId)
+      const v = array[hit.index]
+      return qk && axisQk && qk !== axisQk && unitsCompatible(qk, axisQk) ? convertUnit(v, qk, axisQk) : v
+    }
+    const x = value(params.xData, layer.xAxisQuantityKind, layer.xAxis)
+    const y = value(params.yData, layer.yAxisQuantityKind, layer.yAxis)
+    if (x == null || y == null) return null
+    const values = plot.lookup(plot._valueToPixel(layer.xAxis, x), plot._valueToPixel(layer.yAxis, y))
+    values[layer.xAxis] = x
+    values[layer.yAxis] = y
+    return this._resolve(values)
+  }
+
+  _draw() {
+    const plot = this._plot
+    if (!this._values || plot._is3D || !plot._axisBillboardCmd) return
+    this._ensureGl()
+    if (!this._drawCmd) return
+
+    const { margin, plotWidth, plotHeight, width, height } = plot
+    const left = margin.left, right = margin.left + plotWidth
+    const top = margin.top, bottom = margin.top + plotHeight
+
+    // Guide lines, and where each axis's label goes.
+    const lines = [], labels = []
+    for (const [axisId, value] of Object.entries(this._values)) {
+      if (!plot.axisRegistry.getScale(axisId)) continue
+      const p = plot._valueToPixel(axisId, value)
+      const isX = AXIS_GEOMETRY[axisId].dir === 'x'
+      if (!isFinite(p) || (isX ? p < left || p > right : p < top || p > bottom)) continue
+      if (isX) lines.push(p, top, p, bottom)
+      else lines.push(left, p, right, p)
+      labels.push({ axisId, p, text: plot._getAxis(axisId).formatValue(value) })
+    }
+    if (!lines.length) return
+
+    this._vertexBuf(new Float32Array(lines))
+    this._drawCmd({ count: lines.length / 2, size: [width, height], color: LINE_COLOR, primitive: 'lines' })
+
+    if (this._atlas.size > MAX_LABELS) this._atlas.clear()
+    this._atlas.markLabels(labels.map(l => l.text))
+    this._atlas.flush()
+    if (!this._atlas.texture) return
+
+    // Label centres just outside the plot area, over the tick labels.
+    const boxes = [], items = []
+    for (const { axisId, p, text } of labels) {
+      const entry = this._atlas.getEntry(text)
+      if (!entry) continue
+      const hw = entry.pw / 2, hh = entry.ph / 2
+      const cx = axisId === 'yaxis_left'  ? left - LABEL_GAP_PX - hw
+        : axisId === 'yaxis_right' ? right + LABEL_GAP_PX + hw
+        : p
+      const cy = axisId === 'xaxis_bottom' ? bottom + LABEL_GAP_PX + hh
+        : axisId === 'xaxis_top' ? top - LABEL_GAP_PX - hh
+        : p
+      const x0 = cx - hw, x1 = cx + hw, y0 = cy - hh, y1 = cy + hh
+      boxes.push(x0, y0, x1, y0, x0, y1, x1, y0, x1, y1, x0, y1)
+      items.push({ cx, cy, text })
+    }
+    if (!boxes.length) return
+
+    this._vertexBuf(new Float32Array(boxes))
+    this._drawCmd({ count: boxes.length / 2, size: [width, height], color: BOX_COLOR, primitive: 'triangles' })
+    plot._drawScreenLabels(items, this._atlas)
+  }
+
+  destroy() {
+    this._plot._renderCallbacks.delete(this._renderCb)
+    if (this._vertexBuf) this._vertexBuf.destroy()
+    if (this._atlas) this._atlas.destroy()
+    this._plot.canvas.removeEventListener('mousemove', this._onMouseMove)
+    this._plot.canvas.removeEventListener('mouseleave', this._onMouseLeave)
+  }
+}
@@ -93,6 +93,15 @@ export class TickLabelAtlas {
 
   get texture() { return this._texture }
 
+  // Number of labels held, built or pending.
+  get size() { return this._entries.size }
+
+  // Drop every label; the next flush() rebuilds from whatever is marked again.
+  clear() {
+    this._entries.clear()
+    this._needsRebuild = true
+  }
+
   destroy() {
     if (this._texture) { this._texture.destroy(); this._texture = null }
   }
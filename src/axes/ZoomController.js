@@ -1,12 +1,123 @@
 import { AXIS_GEOMETRY, axisEndpoints } from './AxisRegistry.js'
 import { mat4Multiply, mat4Identity, projectToScreen, sphericalToCartesian } from '../math/mat4.js'
 
+const KEY_PAN_STEP    = 0.1    // fraction of the visible range per arrow key
+const KEY_ZOOM_FACTOR = 1.25
+const KEY_ROTATE_STEP = 0.1    // radians per arrow key (3D)
+
+// Categorical axes move in whole bands: band i spans [i - 0.5, i + 0.5].
+function snapToBands([d0, d1]) {
+  const s0 = Math.round(d0 + 0.5) - 0.5
+  let   s1 = Math.round(d1 + 0.5) - 0.5
+  if (s1 - s0 < 1) s1 = s0 + 1
+  return [s0, s1]
+}
+
 export class ZoomController {
   constructor(plot) {
     this._plot = plot
+    this._bandState = new Map()  // axisId → { raw, snapped } for categorical axes
     this._init()
   }
 
+  // Pan/zoom math runs in "t-space", where the axis is linear on screen.
+  _toT(axisId, v) {
+    return this._plot.axisRegistry.getScaleTransform(axisId).forward(v)
+  }
+
+  _fromT(axisId, t) {
+    return this._plot.axisRegistry.getScaleTransform(axisId).inverse(t)
+  }
+
+  // +1, or -1 when the axis is reversed (domain[0] at the far end of the axis).
+  _dirSign(axisId) {
+    return this._plot.axisRegistry.isReversed(axisId) ? -1 : 1
+  }
+
+  // Domain a zoom step starts from. For a categorical axis this is the unsnapped
+  // domain left by the previous step, so steps smaller than one band accumulate.
+  _zoomBase(axisId) {
+    const domain = this._plot.axisRegistry.getScale(axisId).domain()
+    const band = this._bandState.get(axisId)
+    if (band && band.snapped[0] === domain[0] && band.snapped[1] === domain[1]) return band.raw
+    return domain
+  }
+
+  // Apply a t-space domain to an axis; categorical axes snap to whole bands.
+  _setDomainT(axisId, t0, t1) {
+    let domain = [this._fromT(axisId, t0), this._fromT(axisId, t1)]
+    if (this._plot.axisRegistry.isCategorical(axisId)) {
+      const raw = domain
+      domain = snapToBands(raw)
+      this._bandState.set(axisId, { raw, snapped: domain })
+    }
+    this._plot._getAxis(axisId).setDomain(domain)
+  }
+
+  // Zoom `axes` by `factor` about the world-space cursor. All new domains are
+  // computed before any is applied: applying one may move another (aspect lock).
+  _zoomAxes(axes, worldCursor, factor) {
+    const targets = []
+    for (const axisId of axes) {
+      if (!this._plot.axisRegistry.getScale(axisId)) continue
+      const { dir } = AXIS_GEOMETRY[axisId]
+      const dirIdx   = dir === 'x' ? 0 : dir === 'y' ? 1 : 2
+      const [d0, d1] = this._zoomBase(axisId)
+      const t0       = this._toT(axisId, d0)
+      const t1       = this._toT(axisId, d1)
+      // Cursor t-position: worldCursor[dirIdx] ∈ [-1,+1] → t-space
+      const tCursor  = (this._dirSign(axisId) * worldCursor[dirIdx] + 1) / 2 * (t1 - t0) + t0
+      // Zoom around cursor: keep tCursor fixed, scale the domain
+      targets.push([axisId, tCursor + (t0 - tCursor) * factor, tCursor + (t1 - tCursor) * factor])
+    }
+    for (const [axisId, t0, t1] of targets) this._setDomainT(axisId, t0, t1)
+  }
+
+  // Shift the active, non-derived axes of direction `dir` by `fraction` of
+  // their visible range, in screen terms (a reversed axis moves the other way).
+  _panAxes(dir, fraction) {
+    const ar = this._plot.axisRegistry
+    for (const axisId of Object.keys(AXIS_GEOMETRY)) {
+      if (AXIS_GEOMETRY[axisId].dir !== dir || !ar.getScale(axisId) || ar.getDerived(axisId)) continue
+      const [d0, d1] = ar.getScale(axisId).domain()
+      const t0 = this._toT(axisId, d0), t1 = this._toT(axisId, d1)
+      const deltaT = this._dirSign(axisId) * fraction * (t1 - t0)
+      this._setDomainT(axisId, t0 + deltaT, t1 + deltaT)
+    }
+  }
+
+  _rotate(dTheta, dPhi) {
+    const cam = this._plot._camera
+    cam._theta += dTheta
+    cam._phi = Math.max(-Math.PI / 2 + 0.02, Math.min(Math.PI / 2 - 0.02, cam._phi + dPhi))
+  }
+
+  // Keyboard navigation while the canvas has focus: arrow keys pan (2D) or
+  // rotate (3D; Shift+arrows pan), + and - zoom about the centre. Returns true
+  // if the key was handled.
+  _handleKey(e) {
+    const plot = this._plot
+    if (!plot.axisRegistry || plot.currentConfig?.interactions?.keyboard === false) return false
+    if (e.ctrlKey || e.metaKey || e.altKey) return false
+    const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }
+    if (e.key in arrows) {
+      const [dx, dy] = arrows[e.key]
+      if (plot._is3D && !e.shiftKey) this._rotate(-dx * KEY_ROTATE_STEP, -dy * KEY_ROTATE_STEP)
+      else if (dx) this._panAxes('x', dx * KEY_PAN_STEP)
+      else this._panAxes('y', dy * KEY_PAN_STEP)
+    } else if (e.key === '+' || e.key === '=' || e.key === '-' || e.key === '_') {
+      const factor = e.key === '-' || e.key === '_' ? KEY_ZOOM_FACTOR : 1 / KEY_ZOOM_FACTOR
+      const ar = plot.axisRegistry
+      const axes = Object.keys(AXIS_GEOMETRY).filter(a => ar.getScale(a) && !ar.getDerived(a))
+      this._zoomAxes(axes, [0, 0, 0], factor)
+    } else {
+      return false
+    }
+    plot.scheduleRender()
+    plot._zoomEndCallbacks.forEach(cb => cb())
+    return true
+  }
+
   // Recompute the axis MVP — same matrix Plot.render() uses for axis lines/labels.
   _computeAxisMvp() {
     const { width, height, plotWidth, plotHeight, margin, _camera } = this._plot
@@ -34,7 +145,7 @@ export class ZoomController {
     const inY = my >= margin.top  && my < margin.top  + plotHeight
 
     if (inX && inY)
-      return { axes: ['xaxis_bottom','xaxis_top','yaxis_left','yaxis_right'].filter(a => ar.getScale(a)), type: 'plot_area' }
+      return { axes: ['xaxis_bottom','xaxis_top','yaxis_left','yaxis_right'].filter(a => ar.getScale(a) && !ar.getDerived(a)), type: 'plot_area' }
     if (inX && my < margin.top              && ar.getScale('xaxis_top'))    return { axes: ['xaxis_top'],    type: 'axis' }
     if (inX && my >= margin.top + plotHeight && ar.getScale('xaxis_bottom')) return { axes: ['xaxis_bottom'], type: 'axis' }
     if (inY && mx < margin.left              && ar.getScale('yaxis_left'))   return { axes: ['yaxis_left'],   type: 'axis' }
@@ -103,8 +214,8 @@ export class ZoomController {
 
     if (bestAxis) return { axes: [bestAxis], type: 'axis' }
 
-    // Inside plot: all active spatial axes
-    return { axes: Object.keys(AXIS_GEOMETRY).filter(a => ar.getScale(a)), type: 'plot_area' }
+    // Inside plot: all active spatial axes (derived axes follow their primary)
+    return { axes: Object.keys(AXIS_GEOMETRY).filter(a => ar.getScale(a) && !ar.getDerived(a)), type: 'plot_area' }
   }
 
   // Unproject a canvas pixel to a point in normalised [-1,+1]³ world space.
@@ -143,6 +254,7 @@ export class ZoomController {
     const canvas = plot.canvas
 
     canvas.addEventListener('contextmenu', e => e.preventDefault())
+    canvas.addEventListener('keydown', e => { if (this._handleKey(e)) e.preventDefault() })
 
     let isDragging   = false
     let isRotating   = false
@@ -188,15 +300,12 @@ export class ZoomController {
 
         const { dir } = AXIS_GEOMETRY[axisId]
         const dirIdx  = dir === 'x' ? 0 : dir === 'y' ? 1 : 2
-        const isLog   = plot.axisRegistry.isLogScale(axisId)
-        const t0      = isLog ? Math.log(startDomain[0]) : startDomain[0]
-        const t1      = isLog ? Math.log(startDomain[1]) : startDomain[1]
+        const t0      = this._toT(axisId, startDomain[0])
+        const t1      = this._toT(axisId, startDomain[1])
         // Normalised world space: delta_normalised = delta_t * 2 / (t1-t0)
-        // → delta_t = dw[dirIdx] * (t1-t0) / 2
-        const deltaT  = dw[dirIdx] * (t1 - t0) / 2
-        const newT0   = t0 + deltaT
-        const newT1   = t1 + deltaT
-        plot._getAxis(axisId).setDomain(isLog ? [Math.exp(newT0), Math.exp(newT1)] : [newT0, newT1])
+        // → delta_t = dw[dirIdx] * (t1-t0) / 2 (negated on a reversed axis)
+        const deltaT  = this._dirSign(axisId) * dw[dirIdx] * (t1 - t0) / 2
+        this._setDomainT(axisId, t0 + deltaT, t1 + deltaT)
       }
 
       plot.scheduleRender()
@@ -221,6 +330,8 @@ export class ZoomController {
       e.preventDefault()
       // Shift+drag is reserved for lasso selection — do not pan
       if (e.button === 0 && e.shiftKey) return
+      // Neither when another interaction (e.g. box zoom) takes this drag
+      if ((plot._interactions ?? []).some(i => i.claimsDrag?.(e))) return
 
       dragRect = canvas.getBoundingClientRect()
       const mx = e.clientX - dragRect.left
@@ -356,13 +467,10 @@ export class ZoomController {
           if (!plot.axisRegistry.getScale(axisId)) continue
           const { dir } = AXIS_GEOMETRY[axisId]
           const dirIdx  = dir === 'x' ? 0 : dir === 'y' ? 1 : 2
-          const isLog   = plot.axisRegistry.isLogScale(axisId)
-          const t0      = isLog ? Math.log(startDomain[0]) : startDomain[0]
-          const t1      = isLog ? Math.log(startDomain[1]) : startDomain[1]
-          const deltaT  = dw[dirIdx] * (t1 - t0) / 2
-          plot._getAxis(axisId).setDomain(isLog
-            ? [Math.exp(t0 + deltaT), Math.exp(t1 + deltaT)]
-            : [t0 + deltaT, t1 + deltaT])
+          const t0      = this._toT(axisId, startDomain[0])
+          const t1      = this._toT(axisId, startDomain[1])
+          const deltaT  = this._dirSign(axisId) * dw[dirIdx] * (t1 - t0) / 2
+          this._setDomainT(axisId, t0 + deltaT, t1 + deltaT)
         }
         plot.scheduleRender()
       } else if (touchZooming && e.touches.length === 2) {
@@ -373,21 +481,7 @@ export class ZoomController {
         const [midX, midY] = getTouchMid(e.touches)
         const mx = midX - touchRect.left
         const my = midY - touchRect.top
-        const worldCursor = this._unproject(mx, my)
-        for (const axisId of touchZoomRegion.axes) {
-          const scale = plot.axisRegistry.getScale(axisId)
-          if (!scale) continue
-          const { dir } = AXIS_GEOMETRY[axisId]
-          const dirIdx   = dir === 'x' ? 0 : dir === 'y' ? 1 : 2
-          const [d0, d1] = scale.domain()
-          const isLog    = plot.axisRegistry.isLogScale(axisId)
-          const t0       = isLog ? Math.log(d0) : d0
-          const t1       = isLog ? Math.log(d1) : d1
-          const tCursor  = (worldCursor[dirIdx] + 1) / 2 * (t1 - t0) + t0
-          const newT0    = tCursor + (t0 - tCursor) * factor
-          const newT1    = tCursor + (t1 - tCursor) * factor
-          plot._getAxis(axisId).setDomain(isLog ? [Math.exp(newT0), Math.exp(newT1)] : [newT0, newT1])
-        }
+        this._zoomAxes(touchZoomRegion.axes, this._unproject(mx, my), factor)
         plot.scheduleRender()
         plot._zoomEndCallbacks.forEach(cb => cb())
       }
@@ -439,25 +533,7 @@ export class ZoomController {
       const region = this._getRegion(mx, my)
       if (!region) return
 
-      const worldCursor = this._unproject(mx, my)
-
-      for (const axisId of region.axes) {
-        const scale = plot.axisRegistry.getScale(axisId)
-        if (!scale) continue
-
-        const { dir } = AXIS_GEOMETRY[axisId]
-        const dirIdx   = dir === 'x' ? 0 : dir === 'y' ? 1 : 2
-        const [d0, d1] = scale.domain()
-        const isLog    = plot.axisRegistry.isLogScale(axisId)
-        const t0       = isLog ? Math.log(d0) : d0
-        const t1       = isLog ? Math.log(d1) : d1
-        // Cursor t-position: worldCursor[dirIdx] ∈ [-1,+1] → t-space
-        const tCursor  = (worldCursor[dirIdx] + 1) / 2 * (t1 - t0) + t0
-        // Zoom around cursor: keep tCursor fixed, scale the domain
-        const newT0    = tCursor + (t0 - tCursor) * factor
-        const newT1    = tCursor + (t1 - tCursor) * factor
-        plot._getAxis(axisId).setDomain(isLog ? [Math.exp(newT0), Math.exp(newT1)] : [newT0, newT1])
-      }
+      this._zoomAxes(region.axes, this._unproject(mx, my), factor)
 
       plot.scheduleRender()
       plot._zoomEndCallbacks.forEach(cb => cb())
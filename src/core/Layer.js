@@ -1,5 +1,5 @@
 export class Layer {
-  constructor({ type, attributes, uniforms, domains = {}, lineWidth = 1, primitive = "points", xAxis = "xaxis_bottom", yAxis = "yaxis_left", zAxis = null, xAxisQuantityKind, yAxisQuantityKind, zAxisQuantityKind, colorAxes = {}, colorAxes2d = {}, filterAxes = {}, vertexCount = null, instanceCount = null, attributeDivisors = {}, blend = null }) {
+  constructor({ type, attributes, uniforms, domains = {}, lineWidth = 1, primitive = "points", xAxis = "xaxis_bottom", yAxis = "yaxis_left", zAxis = null, xAxisQuantityKind, yAxisQuantityKind, zAxisQuantityKind, colorAxes = {}, colorAxes2d = {}, filterAxes = {}, vertexCount = null, instanceCount = null, attributeDivisors = {}, blend = null, spatialOffsets = {}, categories = {}, gridShape = null, colorLevels = {}, labels = null }) {
     // Validate that all attributes are non-null/undefined
     // (Float32Array, regl textures, numbers, and expression objects are all valid)
     for (const [key, value] of Object.entries(attributes)) {
@@ -55,5 +55,17 @@ export class Layer {
     this.instanceCount = instanceCount
     this.attributeDivisors = attributeDivisors
     this.blend = blend
+    // spatialOffsets: { x?, y?, z? } — amount subtracted from the spatial data before upload
+    // (see ColumnData.rebase); Plot subtracts it from the axis domain to match.
+    this.spatialOffsets = spatialOffsets
+    // categories: Record<qk, string[]> — category labels for categorical data on an axis
+    this.categories = categories
+    // gridShape: [nx, ny] for layers drawing one instance per grid cell (pick index i + nx * j,
+    // taken modulo nx * ny when the grid is drawn several times, as contour levels are)
+    this.gridShape = gridShape
+    // colorLevels: Record<qk, number[]> — contour levels on a color axis (colorbars tick at them)
+    this.colorLevels = colorLevels
+    // labels: [{ x, y, text }] — text drawn over the plot at data positions, or null
+    this.labels = labels
   }
 }
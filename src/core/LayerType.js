@@ -1,7 +1,8 @@
 import { Layer } from "./Layer.js"
 import { buildColorGlsl, getRegisteredColorscales } from "../colorscales/ColorscaleRegistry.js"
-import { buildFilterGlsl, buildColorFilterGlsl, buildSpatialGlsl } from "../axes/AxisRegistry.js"
+import { buildFilterGlsl, buildColorFilterGlsl, buildSpatialGlsl, breakUniforms } from "../axes/AxisRegistry.js"
 import { resolveAttributeExpr } from "../compute/ComputationRegistry.js"
+import { getScaleType } from "../axes/AxisQuantityKindRegistry.js"
 import { SAMPLE_COLUMN_GLSL, SAMPLE_COLUMN_ND_GLSL } from "../data/ColumnData.js"
 
 function buildClipFragGlsl() {
@@ -15,6 +16,7 @@ uniform float u_pickingMode;
 uniform float u_pickLayerIndex;
 in float v_pickId;
 in float v_selection;
+in vec4 v_highlight;
 vec4 gladly_apply_color(vec4 color) {
   if (u_pickingMode > 0.5) {
     float layerIdx = u_pickLayerIndex + 1.0;
@@ -26,7 +28,7 @@ vec4 gladly_apply_color(vec4 color) {
       mod(dataIdx, 256.0) / 255.0
     );
   }
-  return color;
+  return vec4(mix(color.rgb, v_highlight.rgb, v_highlight.a), color.a);
 }`
 }
 
@@ -240,8 +242,13 @@ export class LayerType {
       xScaleType: regl.prop("xScaleType"),
       yScaleType: regl.prop("yScaleType"),
       zScaleType: regl.prop("zScaleType"),
+      xScaleParam: regl.prop("xScaleParam"),
+      yScaleParam: regl.prop("yScaleParam"),
+      zScaleParam: regl.prop("zScaleParam"),
+      ...breakUniforms(regl),
       u_is3D:     regl.prop("u_is3D"),
       u_mvp:      regl.prop("u_mvp"),
+      u_viewportSize: regl.prop("u_viewportSize"),
       u_pickingMode:    regl.prop('u_pickingMode'),
       u_pickLayerIndex: regl.prop('u_pickLayerIndex'),
       ...layer.uniforms,
@@ -275,6 +282,9 @@ export class LayerType {
     vertSrc = removeUniformDecl(vertSrc, 'xScaleType')
     vertSrc = removeUniformDecl(vertSrc, 'yScaleType')
     vertSrc = removeUniformDecl(vertSrc, 'zScaleType')
+    vertSrc = removeUniformDecl(vertSrc, 'xScaleParam')
+    vertSrc = removeUniformDecl(vertSrc, 'yScaleParam')
+    vertSrc = removeUniformDecl(vertSrc, 'zScaleParam')
     vertSrc = removeUniformDecl(vertSrc, 'u_is3D')
     vertSrc = removeUniformDecl(vertSrc, 'u_mvp')
 
@@ -318,16 +328,27 @@ export class LayerType {
     // when a selection column is bound.  gladly_apply_color reads it directly,
     // so fading applies to ALL color paths (1D, 2D, custom).
     const selCol = layer.selectionColumn ?? null
+    // v_highlight: colour of the last selection set with a highlight colour that
+    // holds the point (alpha = mix strength), or transparent.
+    const highlightSets = (layer.selectionSets ?? []).filter(set => set.color)
     const selectionVertDecls = [
       selCol && allDataColumns.length === 0 ? 'precision highp sampler2D;' : '',
       selCol && allDataColumns.length === 0 ? SAMPLE_COLUMN_GLSL : '',
       selCol ? 'uniform sampler2D u_sel_col;' : '',
       selCol ? 'uniform float u_sel_length;' : '',
       'out float v_selection;',
+      ...highlightSets.flatMap((_, i) => [
+        `uniform sampler2D u_set_col_${i};`,
+        `uniform float u_set_active_${i};`,
+        `uniform vec4 u_set_color_${i};`,
+      ]),
+      'out vec4 v_highlight;',
     ].filter(Boolean).join('\n')
+    // 1×1 zero texture used when a tile slot has no texture yet (e.g. before first rebuild).
+    const nullSelTex = selCol
+      ? regl.texture({ width: 1, height: 1, format: 'rgba', type: 'float', data: new Float32Array(4) })
+      : null
     if (selCol) {
-      // 1×1 zero texture used when a tile slot has no texture yet (e.g. before first rebuild).
-      const nullSelTex = regl.texture({ width: 1, height: 1, format: 'rgba', type: 'float', data: new Float32Array(4) })
       // Proxy fn[]: length and per-tile closures read live from the current _tiles array.
       // Always length ≥ 1 so isTiledTexClosure() treats it as a tiled uniform and the tile
       // loop rebinds u_sel_col per tile.  Returns nullSelTex for out-of-range tile indices
@@ -346,6 +367,22 @@ export class LayerType {
       ? `u_sel_length > 0.5 ? sampleColumn(u_sel_col, a_pickId) : -1.0`
       : `-1.0`
     vertSrc = injectIntoMainStart(vertSrc, `v_selection = ${selExpr};`)
+    highlightSets.forEach(({ column, color }, i) => {
+      uniforms[`u_set_col_${i}`] = new Proxy([], {
+        get(target, prop) {
+          if (prop === 'length') return Math.max(column._tiles.length, 1)
+          const t = Number(prop)
+          if (!isNaN(t)) return () => column._tiles[t]?.texture ?? nullSelTex
+          return Reflect.get(target, prop)
+        }
+      })
+      uniforms[`u_set_active_${i}`] = () => column._active ? 1 : 0
+      uniforms[`u_set_color_${i}`] = color
+    })
+    const highlightCode = highlightSets.map((_, i) =>
+      `if (u_set_active_${i} > 0.5 && sampleColumn(u_set_col_${i}, a_pickId) > 0.5) v_highlight = u_set_color_${i};`
+    )
+    vertSrc = injectIntoMainStart(vertSrc, ['v_highlight = vec4(0.0);', ...highlightCode].join('\n  '))
 
     const colorHelperLines = []
     let fragSrc = this.frag
@@ -412,6 +449,12 @@ export class LayerType {
 
     const clipFragDiscard = `if (u_is3D > 0.5 && (v_clip_pos.x < 0.0 || v_clip_pos.x > 1.0 || v_clip_pos.y < 0.0 || v_clip_pos.y > 1.0 || v_clip_pos.z < 0.0 || v_clip_pos.z > 1.0)) discard;`
 
+    // Blending is a prop so pick() can turn it off: the pick colour's alpha
+    // would otherwise scale the layer index written to R.
+    const blend = Object.keys(layer.colorAxes).length > 0 || Object.keys(layer.colorAxes2d).length > 0
+      ? { enable: true, func: { srcRGB: 'src alpha', dstRGB: 'one minus src alpha', srcAlpha: 0, dstAlpha: 1 } }
+      : layer.blend
+
     const drawConfig = {
       vert: injectPickIdAssignment(injectInto(vertSrc, [spatialGlsl, filterGlsl, filterHelpers, colorFilterGlsl, colorFilterHelpers, columnHelpers, pickVertDecls, selectionVertDecls])),
       frag: injectIntoMainStart(injectInto(fragSrc, [buildApplyColorGlsl(), buildClipFragGlsl(), colorGlsl, colorHelpers, color2dHelpers, filterGlsl, filterHelpers, ndFragHelpers]), clipFragDiscard),
@@ -421,9 +464,7 @@ export class LayerType {
       primitive: layer.primitive,
       lineWidth: layer.lineWidth,
       count: regl.prop("count"),
-      ...(Object.keys(layer.colorAxes).length > 0 || Object.keys(layer.colorAxes2d).length > 0
-        ? { blend: { enable: true, func: { srcRGB: 'src alpha', dstRGB: 'one minus src alpha', srcAlpha: 0, dstAlpha: 1 } } }
-        : layer.blend ? { blend: layer.blend } : {})
+      ...(blend ? { blend: blend.enable ? { ...blend, enable: regl.prop('blendEnable') } : blend } : {})
     }
 
     if (layer.instanceCount !== null) {
@@ -442,6 +483,28 @@ export class LayerType {
     return drawConfig
   }
 
+  // Rebase float64 spatial columns (e.g. epoch milliseconds on a time axis) so their
+  // fine detail survives the float32 upload. Non-affine axes (log, symlog, pow) need
+  // absolute values, so they are left alone. Returns { col, offset }; offset goes into gpuConfig.spatialOffsets.
+  _rebaseSpatial(col, axisId, qk, plot) {
+    const { cols: [rebased], offset } = this._rebaseSpatialColumns([col], axisId, qk, plot)
+    return { col: rebased, offset }
+  }
+
+  // _rebaseSpatial for several columns drawn on the same axis (e.g. a band's low
+  // and high edges): all share the offset of the first Float64Array column.
+  // Columns not held in memory cannot be shifted, so with one among them none
+  // is rebased. Null entries pass through. Returns { cols, offset }.
+  _rebaseSpatialColumns(cols, axisId, qk, plot) {
+    const present = cols.filter(Boolean)
+    const lead = present.find(c => c.array instanceof Float64Array)
+    if (!lead || !qk || present.some(c => !c.array)) return { cols, offset: 0 }
+    const scaleType = getScaleType(qk, plot?.currentConfig?.axes, axisId)
+    if (scaleType !== 'linear' && scaleType !== 'time') return { cols, offset: 0 }
+    const { offset } = lead.rebase()
+    return { cols: cols.map(c => c && c.rebase(offset).col), offset }
+  }
+
   schema(data) {
     if (this._schema) return this._schema(data)
     throw new Error(`LayerType '${this.name}' does not implement schema()`)
@@ -494,6 +557,11 @@ export class LayerType {
       instanceCount: gpuConfig.instanceCount ?? null,
       attributeDivisors: gpuConfig.attributeDivisors ?? {},
       blend: gpuConfig.blend ?? null,
+      spatialOffsets: gpuConfig.spatialOffsets ?? {},
+      categories: gpuConfig.categories ?? {},
+      gridShape: gpuConfig.gridShape ?? null,
+      colorLevels: gpuConfig.colorLevels ?? {},
+      labels: gpuConfig.labels ?? null,
       xAxis: axisConfig.xAxis,
       yAxis: axisConfig.yAxis,
       zAxis: axisConfig.zAxis,
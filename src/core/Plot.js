@@ -1,10 +1,11 @@
-import { AXES, AXES_2D, AXIS_GEOMETRY, AxisRegistry } from "../axes/AxisRegistry.js"
+import { AXES, AXES_2D, AXIS_GEOMETRY, AxisRegistry, axisExpression, breakProps } from "../axes/AxisRegistry.js"
+import { aspectRatio, aspectSpan, constrainDomain, hasRangeConstraints } from "../axes/AxisConstraints.js"
 import { Camera } from "../axes/Camera.js"
 import { TickLabelAtlas } from "../axes/TickLabelAtlas.js"
-import { mat4Identity, mat4Multiply } from "../math/mat4.js"
+import { mat4Identity, mat4Multiply, sphericalToCartesian } from "../math/mat4.js"
 import { ZoomController } from "../axes/ZoomController.js"
 import { getLayerType, getRegisteredLayerTypes } from "./LayerTypeRegistry.js"
-import { getAxisQuantityKind, getScaleTypeFloat } from "../axes/AxisQuantityKindRegistry.js"
+import { getAxisQuantityKind, getScaleTypeFloat, getScaleType, getScaleParam, unitsCompatible } from "../axes/AxisQuantityKindRegistry.js"
 import { getRegisteredColorscales, getRegistered2DColorscales, buildColorscaleTexture, getColorscalesVersion } from "../colorscales/ColorscaleRegistry.js"
 import { Float } from "../floats/Float.js"
 import { computationSchema, buildTransformSchema, getComputedData } from "../compute/ComputationRegistry.js"
@@ -12,9 +13,17 @@ import { DataGroup, normalizeData } from "../data/Data.js"
 import { enqueueRegl, compileEnqueuedShaders } from "./ShaderQueue.js"
 import { GlBase } from "./GlBase.js"
 import { tdrYield } from "../tdr.js"
+import { parseCssColor } from "./colorUtils.js"
 import { globalSelectionRegistry } from "../selection/SelectionRegistry.js"
 import { SelectionPipeline } from "../selection/SelectionPipeline.js"
+import { checkCombine } from "../selection/Selection.js"
 import { LassoInteraction } from "../selection/LassoInteraction.js"
+import { ClickSelectInteraction } from "../selection/ClickSelectInteraction.js"
+import { BoxZoomInteraction } from "../axes/BoxZoomInteraction.js"
+import { CrosshairInteraction } from "../axes/CrosshairInteraction.js"
+import { ViewHistory } from "./ViewHistory.js"
+import { TooltipInteraction } from "./TooltipInteraction.js"
+import { PlotAccessibility } from "./PlotAccessibility.js"
 
 // Throttle linked-plot renders when the source plot's "blocked lag" is high.
 // Blocked lag = max(0, RAF_wait - own_render_time): high when other plots' renders
@@ -23,6 +32,8 @@ const LINK_THROTTLE_MS      = 150   // ms between renders of a throttled linked
 const BLOCKED_LAG_THRESHOLD = 30    // ms: throttle kicks in above this blocked lag
 const BLOCKED_LAG_ALPHA     = 0.5   // EMA weight — reacts within ~2 samples
 
+const IDENTITY_MAT4 = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1])
+
 function arraysEqual(a, b) {
   if (a.length !== b.length) return false
   for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false
@@ -119,7 +130,63 @@ function buildPlotSchema(data, config) {
             min: { type: "number" },
             max: { type: "number" },
             label: { type: "string" },
-            scale: { type: "string", enum: ["linear", "log"] },
+            scale: { type: "string", enum: ["linear", "log", "symlog", "sqrt", "pow", "time"] },
+            constant: { type: "number", exclusiveMinimum: 0 },
+            exponent: { type: "number", exclusiveMinimum: 0 },
+            categories: { type: "array", items: { type: "string" } },
+            reverse: { type: "boolean" },
+            derivedFrom: { type: "string", enum: AXES, description: "Show this axis as a transform of another spatial axis" },
+            forward: { type: "string", description: "Arithmetic expression in x mapping primary-axis values to this axis, e.g. \"x * 1e-3\" (or a function)" },
+            inverse: { type: "string", description: "Arithmetic expression in x mapping this axis' values back to the primary axis (or a function)" },
+            displayUnit: { type: "string", description: "Quantity kind of a compatible unit to show this axis in" },
+            bounds: {
+              type: "array",
+              items: { type: ["number", "null"] }, minItems: 2, maxItems: 2,
+              description: "Hard limits [min, max] for panning and zooming; either may be null"
+            },
+            minSpan: { type: "number", exclusiveMinimum: 0, description: "Smallest visible range (data units)" },
+            maxSpan: { type: "number", exclusiveMinimum: 0, description: "Largest visible range (data units)" },
+            aspect: {
+              oneOf: [{ type: "string", enum: ["equal"] }, { type: "number", exclusiveMinimum: 0 }],
+              description: "Lock x/y scales: \"equal\" or pixels per y unit ÷ pixels per x unit"
+            },
+            breaks: {
+              type: "array",
+              items: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 }
+            },
+            tickFormat: { type: "string", description: "d3-format specifier (d3-time-format on time axes). A function (value) → string is also accepted." },
+            tickValues: { type: "array", items: { type: ["number", "string"] } },
+            tickCount: { type: "integer", minimum: 1 },
+            minorTicks: { type: ["boolean", "integer"] },
+            tickSuffix: { type: "string" },
+            grid: {
+              description: "Gridlines at this axis' ticks. true = default style; object = { color, opacity, dash, minor }.",
+              oneOf: [
+                { type: "boolean" },
+                {
+                  type: "object",
+                  properties: {
+                    color: { type: "string", description: "CSS hex color" },
+                    opacity: { type: "number", minimum: 0, maximum: 1 },
+                    dash: { type: "array", items: { type: "number" }, description: "[on, off] lengths in pixels" },
+                    minor: {
+                      description: "Minor gridlines; true or a style object overriding the major style.",
+                      oneOf: [
+                        { type: "boolean" },
+                        {
+                          type: "object",
+                          properties: {
+                            color: { type: "string" },
+                            opacity: { type: "number", minimum: 0, maximum: 1 },
+                            dash: { type: "array", items: { type: "number" } }
+                          }
+                        }
+                      ]
+                    }
+                  }
+                }
+              ]
+            },
             rotate: { type: "boolean" },
             colorscale: {
               type: "string",
@@ -164,7 +231,7 @@ function buildPlotSchema(data, config) {
         description: "Interactive behaviours. All share the same data-point selection mechanism.",
         properties: {
           lasso: {
-            description: "Lasso selection. true = one lasso per selection name found in layers, trigger=shift. Array = explicit list.",
+            description: "Mouse selection. true = one freehand lasso per selection name found in layers, trigger=shift. Array = explicit list.",
             oneOf: [
               { type: "boolean", const: true },
               {
@@ -172,17 +239,138 @@ function buildPlotSchema(data, config) {
                 items: {
                   type: "object",
                   properties: {
-                    selection: { type: "string", description: "Selection channel name matching the layer's selection field." },
-                    trigger: { type: "string", enum: ["shift", "ctrl"], default: "shift" }
+                    selection: { type: "string", description: "Selection channel name matching the layer's selection field or a selectionSets entry." },
+                    trigger: { type: "string", enum: ["shift", "ctrl"], default: "shift" },
+                    mode: {
+                      type: "string", enum: ["lasso", "rect", "polygon", "xbrush", "ybrush"], default: "lasso",
+                      description: "Freehand outline, dragged rectangle, clicked polygon, or x/y range brush"
+                    },
+                    combine: {
+                      type: "string", enum: ["replace", "union", "intersect", "subtract"], default: "replace",
+                      description: "How a new selection merges with the existing one"
+                    },
+                    storeRegion: {
+                      type: "boolean", default: false,
+                      description: "Keep the outline in data space, so the selection is saved as a region and redrawn when the data changes (2D)"
+                    }
                   },
                   required: ["selection"],
                   additionalProperties: false
                 }
               }
             ]
+          },
+          clickSelect: {
+            description: "Click a point to select it, shift-click to add or remove it. true = every selection name found in layers.",
+            oneOf: [
+              { type: "boolean" },
+              {
+                type: "object",
+                properties: {
+                  selection: { type: "string", description: "Selection channel name matching the layer's selection field or a selectionSets entry." },
+                  radius: { type: "number", description: "Pick radius in pixels; defaults to pickRadius, or 3" }
+                },
+                required: ["selection"],
+                additionalProperties: false
+              }
+            ]
+          },
+          pickRadius: {
+            type: "number",
+            default: 0,
+            description: "Pixels around the cursor searched for the nearest data point by pick(), tooltips and click selection."
+          },
+          boxZoom: {
+            description: "Drag a rectangle to zoom into it; double-click goes back. true = both axes, alt-drag.",
+            oneOf: [
+              { type: "boolean" },
+              {
+                type: "object",
+                properties: {
+                  axes: { type: "string", enum: ["xy", "x", "y"], default: "xy" },
+                  trigger: { type: "string", enum: ["alt", "ctrl", "shift", "none"], default: "alt" }
+                },
+                additionalProperties: false
+              }
+            ]
+          },
+          tooltip: {
+            description: "Show the column values of the data point under the cursor. true = every column the picked layer uses.",
+            oneOf: [
+              { type: "boolean" },
+              {
+                type: "object",
+                properties: {
+                  columns: { type: "array", items: { type: "string" }, description: "Further data columns to show, e.g. \"input.name\"" },
+                  template: { type: "string", description: "Text with {column} placeholders ({index} = row). A function (hit) → string | Node is also accepted." },
+                  throttle: { type: "number", default: 50, description: "Minimum ms between picks" },
+                  className: { type: "string", description: "CSS class for the tooltip element, replacing the built-in styling" }
+                },
+                additionalProperties: false
+              }
+            ]
+          },
+          crosshair: {
+            description: "Guide lines through the cursor with its value on every axis (2D). true = follow the cursor, shared with the PlotGroup.",
+            oneOf: [
+              { type: "boolean" },
+              {
+                type: "object",
+                properties: {
+                  snap: { type: "integer", minimum: 0, description: "Config index of a layer whose nearest data point the crosshair snaps to" },
+                  radius: { type: "number", default: 20, description: "Snap search radius in pixels" },
+                  shared: { type: "boolean", default: true, description: "Show the position on the other plots of the PlotGroup, on axes of the same quantity kind" }
+                },
+                additionalProperties: false
+              }
+            ]
+          },
+          historyKeys: {
+            type: "boolean",
+            default: true,
+            description: "Keyboard shortcuts for the view history while the plot is hovered or focused: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo, Home reset."
+          },
+          keyboard: {
+            type: "boolean",
+            default: true,
+            description: "Pan, zoom and (3D) rotate with the keyboard while the plot canvas has focus: arrow keys, + and -."
           }
         },
         additionalProperties: false
+      },
+      selectionState: {
+        type: "object",
+        description: "Saved selections, { name: selection.toJSON() }, written by getConfig() and restored by update()",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            tiles: { type: "array", items: { type: "object" }, description: "Per tile { n, runs } (run lengths, unselected first) or { n, bits } (base64 bitset)" },
+            regions: { type: "array", items: { type: "object" }, description: "Data-space polygons [{ polygon, xAxis, yAxis, combine }] drawn in order" }
+          },
+          additionalProperties: false
+        }
+      },
+      selectionSets: {
+        type: "object",
+        description: "Named selection sets held alongside the selection of every layer with a selection binding, e.g. { cohortA: { color: \"#e41a1c\" } }. Fill them through plot.selections[name] or a lasso bound to the name.",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            color: { type: "string", description: "Highlight colour of the set's points as #rgb, #rgba, #rrggbb or #rrggbbaa; the alpha is the mix strength. Where sets overlap, the later one wins." }
+          },
+          additionalProperties: false
+        }
+      },
+      accessibility: {
+        type: "object",
+        description: "Screen reader support. The canvas is always focusable and described.",
+        properties: {
+          label: { type: "string", description: "Accessible name of the plot; default \"2D plot\" or \"3D plot\"" },
+          description: { type: "string", description: "Replaces the description generated from the config (axes, ranges, layers)" },
+          table: { type: "boolean", default: false, description: "Keep a hidden table of the selected rows, or else the last picked row" },
+          maxRows: { type: "integer", minimum: 1, default: 20, description: "Most rows listed in the table" }
+        },
+        additionalProperties: false
       }
     }
   }
@@ -219,6 +407,7 @@ export class Plot extends GlBase {
     this._zoomEndCallbacks = new Set()
     this._errorListeners = new Set()
     this._noErrorListeners = new Set()
+    this._viewChangeListeners = new Set()
     this._hasError = false
     this._currentRenderHasError = false
     this._dirty = false
@@ -233,6 +422,8 @@ export class Plot extends GlBase {
     this._tickLabelAtlas = null
     this._axisLineCmd = null
     this._axisBillboardCmd = null
+    this._gridLineCmd = null
+    this._pickFbo = null
 
     // Compiled regl draw commands keyed by vert+frag shader source.
     // Persists across update() calls so shader recompilation is avoided.
@@ -242,6 +433,19 @@ export class Plot extends GlBase {
     // Covers 1D colorbars, 2D colorbars, and filterbars in a single unified Map.
     this._floats = new Map()
 
+    // View history for undo/redo. A PlotGroup replaces it with one shared by all
+    // its plots (see the _viewHistory getter).
+    this._ownViewHistory = new ViewHistory(() => [this])
+    this._zoomEndCallbacks.add(() => {
+      if (this._viewHistory.record({ coalesce: true })) this._emitViewChange('record')
+    })
+    this._onHistoryKey = this._onHistoryKey.bind(this)
+    window.addEventListener('keydown', this._onHistoryKey)
+
+    // Focusable canvas, ARIA description and optional hidden data table.
+    this._accessibility = new PlotAccessibility(this)
+    this._zoomEndCallbacks.add(() => this._accessibility.update())
+
     this._setupResizeObserver()
   }
 
@@ -275,10 +479,16 @@ export class Plot extends GlBase {
     this.plotWidth = Math.max(1, plotWidth)
     this.plotHeight = Math.max(1, plotHeight)
 
+    // Rebuilding the layers loses the selection textures. Selections saved as
+    // data-space regions are redrawn, on new data too; a config carrying
+    // selectionState (e.g. from getConfig()) restores that instead.
+    const restore = config?.selectionState ?? this._selectionState(true)
+
     this._warnedMissingDomains = false
     await this._initialize()
     this._selectionPipeline?.resize(Math.max(1, width), Math.max(1, height))
     this._syncFloats()
+    if (restore) await this._restoreSelections(restore)
   }
 
   // Validates that all axes on this plot that are linked to axes on other plots
@@ -330,7 +540,9 @@ export class Plot extends GlBase {
     await this.update({})
   }
 
-  getConfig() {
+  // `selectionState: false` leaves out the saved selections, which are costly
+  // to encode for large selections (the accessibility summary runs on every zoom).
+  getConfig({ selectionState: withSelections = true } = {}) {
     const axes = { ...(this.currentConfig?.axes ?? {}) }
 
     if (this.axisRegistry) {
@@ -339,7 +551,8 @@ export class Plot extends GlBase {
         if (scale) {
           const qk          = this.axisRegistry.getQkForSlot(axisId)
           const qkDef       = qk ? getAxisQuantityKind(qk) : {}
-          const initialized = qk ? this.axisRegistry.getDomain(qk) != null : false
+          // Derived axes follow their primary, so they carry no range of their own.
+          const initialized = qk && !this.axisRegistry.getDerived(axisId) ? this.axisRegistry.getDomain(qk) != null : false
           const [min, max]  = scale.domain()
           axes[axisId] = {
             ...qkDef,
@@ -377,7 +590,33 @@ export class Plot extends GlBase {
       }
     }
 
-    return { transforms: [], colorbars: [], ...this.currentConfig, axes}
+    const config = { transforms: [], colorbars: [], ...this.currentConfig, axes}
+    const selectionState = withSelections ? this._selectionState() : null
+    if (selectionState) config.selectionState = selectionState
+    else delete config.selectionState
+    return config
+  }
+
+  // { name: selection.toJSON() } for the selections the layers hold (only
+  // those saved as regions with `regionsOnly`), or null when there are none.
+  _selectionState(regionsOnly = false) {
+    const state = {}
+    const names = new Set(this.layers.flatMap(l => [...(l.selectionColumns?.keys() ?? [])]))
+    for (const name of names) {
+      const json = this._getSelection(name).toJSON()
+      if (json && (!regionsOnly || json.regions)) state[name] = json
+    }
+    return Object.keys(state).length ? state : null
+  }
+
+  async _restoreSelections(state) {
+    for (const [name, json] of Object.entries(state)) {
+      try {
+        await this._getSelection(name).fromJSON(json)
+      } catch (e) {
+        console.warn(`[gladly] Could not restore selection '${name}':`, e.message)
+      }
+    }
   }
 
   async _initialize() {
@@ -394,8 +633,8 @@ export class Plot extends GlBase {
 
     // Unregister selection columns from previous layer set
     for (const layer of this.layers) {
-      if (layer.selectionName) {
-        globalSelectionRegistry.unregister(this._lastRawDataArg, layer.selectionName, this)
+      for (const name of layer.selectionColumns?.keys() ?? []) {
+        globalSelectionRegistry.unregister(this._lastRawDataArg, name, this)
       }
     }
 
@@ -429,6 +668,7 @@ export class Plot extends GlBase {
     if (this._initEpoch !== epoch) return
     await this._processLayers(layers, this.currentData, epoch)
     if (this._initEpoch !== epoch) return
+    this._registerDerivedAxes(axes)
 
     // Discard any spatial axis config whose stored quantity_kind doesn't match
     // Discard any spatial axis config whose stored quantity_kind doesn't match
@@ -436,8 +676,13 @@ export class Plot extends GlBase {
     const cleanAxes = { ...axes }
     for (const axisId of AXES) {
       const cfg = cleanAxes[axisId]
-      if (cfg?.quantity_kind != null &&
-          cfg.quantity_kind !== this.axisRegistry.getQkForSlot(axisId)) {
+      const slotQk = this.axisRegistry.getQkForSlot(axisId)
+      if (cfg?.quantity_kind == null || cfg.quantity_kind === slotQk) continue
+      if (cfg.displayUnit != null && cfg.displayUnit === slotQk) {
+        // Unit switched in config: keep the settings, but the range was in the old unit.
+        const { min, max, ...rest } = cfg
+        cleanAxes[axisId] = { ...rest, quantity_kind: slotQk }
+      } else {
         delete cleanAxes[axisId]
       }
     }
@@ -447,6 +692,7 @@ export class Plot extends GlBase {
 
     // Detect 3D mode: any axis outside the 4 standard 2D positions has a scale.
     this._is3D = AXES.some(a => !AXES_2D.includes(a) && this.axisRegistry.getScale(a) !== null)
+    this._applyAxisConstraints()
 
     // Camera (recreated each _initialize so aspect ratio and 3D flag stay in sync).
     this._camera = new Camera(this._is3D)
@@ -484,10 +730,36 @@ export class Plot extends GlBase {
       } else {
         lassoSpecs = interactions.lasso
       }
-      this._interactions = lassoSpecs.map(({ selection, trigger = 'shift' }) =>
-        new LassoInteraction(this, { selectionName: selection, trigger })
+      this._interactions = lassoSpecs.map(({ selection, trigger = 'shift', mode = 'lasso', combine = 'replace', storeRegion = false }) =>
+        new LassoInteraction(this, { selectionName: selection, trigger, mode, combine, storeRegion })
       )
     }
+    if (interactions.clickSelect != null && interactions.clickSelect !== false) {
+      const radius = interactions.pickRadius ?? 3
+      const clickSpecs = interactions.clickSelect === true
+        ? [...new Set(layers.flatMap(layerSpec => Object.values(layerSpec).map(cfg => cfg.selection).filter(Boolean)))]
+            .map(selection => ({ selection }))
+        : [interactions.clickSelect]
+      for (const { selection, radius: r = radius } of clickSpecs) {
+        this._interactions.push(new ClickSelectInteraction(this, { selectionName: selection, radius: r }))
+      }
+    }
+    if (interactions.boxZoom != null && interactions.boxZoom !== false) {
+      const { axes = 'xy', trigger = 'alt' } = interactions.boxZoom === true ? {} : interactions.boxZoom
+      this._interactions.push(new BoxZoomInteraction(this, { axes, trigger }))
+    }
+    if (interactions.tooltip != null && interactions.tooltip !== false) {
+      this._interactions.push(new TooltipInteraction(this, interactions.tooltip === true ? {} : interactions.tooltip))
+    }
+    if (interactions.crosshair != null && interactions.crosshair !== false) {
+      this._interactions.push(new CrosshairInteraction(this, interactions.crosshair === true ? {} : interactions.crosshair))
+    }
+
+    this._accessibility.configure()
+
+    // The first view, and the one after an update() that changed it, is a
+    // history entry of its own.
+    if (this._viewHistory.record()) this._emitViewChange('record')
 
     this.scheduleRender()
   }
@@ -561,6 +833,52 @@ void main() { fragColor = u_color; }`,
       },
     })
 
+    // Gridlines: blended, optionally dashed line segments. a_dist is the on-screen
+    // distance along the line; u_dash = [on, off] in pixels ([0, 0] = solid).
+    this._gridLineCmd = regl({
+      vert: `#version 300 es
+precision highp float;
+in vec3 a_position;
+in float a_dist;
+uniform mat4 u_mvp;
+out float v_dist;
+void main() {
+  v_dist = a_dist;
+  gl_Position = u_mvp * vec4(a_position, 1.0);
+}`,
+      frag: `#version 300 es
+precision highp float;
+uniform vec4 u_color;
+uniform vec2 u_dash;
+in float v_dist;
+out vec4 fragColor;
+void main() {
+  float period = u_dash.x + u_dash.y;
+  if (period > 0.0 && mod(v_dist, period) > u_dash.x) discard;
+  fragColor = u_color;
+}`,
+      attributes: {
+        a_position: regl.prop('positions'),
+        a_dist:     regl.prop('dists'),
+      },
+      uniforms: {
+        u_mvp:   regl.prop('mvp'),
+        u_color: regl.prop('color'),
+        u_dash:  regl.prop('dash'),
+      },
+      primitive: 'lines',
+      count:     regl.prop('count'),
+      viewport:  regl.prop('viewport'),
+      depth: {
+        enable: regl.prop('depthEnable'),
+        mask:   false,
+      },
+      blend: {
+        enable: true,
+        func: { srcRGB: 'src alpha', dstRGB: 'one minus src alpha', srcAlpha: 0, dstAlpha: 1 },
+      },
+    })
+
     // Billboard quads for tick labels and axis titles.
     // a_anchor:    vec3 — label centre in model space
     // a_offset_px: vec2 — corner offset in HTML pixels (x right, y down)
@@ -661,10 +979,8 @@ void main() {
   // Build the regl props for a single layer draw call. Used by render(), pick(),
   // and the selection pipeline.
   _buildLayerProps(layer, layerIdx, { pickMode = 0.0, viewport = null, mvp = null } = {}) {
-    const xIsLog = layer.xAxis ? this.axisRegistry.isLogScale(layer.xAxis) : false
-    const yIsLog = layer.yAxis ? this.axisRegistry.isLogScale(layer.yAxis) : false
-    const zIsLog = layer.zAxis ? this.axisRegistry.isLogScale(layer.zAxis) : false
-    const zScale = layer.zAxis ? this.axisRegistry.getScale(layer.zAxis) : null
+    const scaleCode  = (axisId) => axisId ? this.axisRegistry.getScaleTypeCode(axisId) : 0.0
+    const scaleParam = (axisId) => axisId ? this.axisRegistry.getScaleParam(axisId) : 1.0
     const camMvp = this._camera ? this._camera.getMVP() : mat4Identity()
 
     const resolvedMvp = mvp ?? camMvp
@@ -675,22 +991,40 @@ void main() {
       height: this.plotHeight,
     }
 
+    // Rebased layers hold (value - offset); shift the domain by the same amount in
+    // float64 so the shader only ever sees small, precise numbers.
+    const offsets = layer.spatialOffsets ?? {}
+    const shifted = (domain, offset) => offset ? [domain[0] - offset, domain[1] - offset] : domain
+
+    // Domains and breaks are handed over in the unit of the layer's data, which may
+    // differ from (but is compatible with) the axis' quantity kind.
+    const domainOf = (axisId, qk) => axisId ? (this.axisRegistry.getDisplayDomainIn(axisId, qk) ?? [0, 1]) : [0, 1]
+    const breaksOf = (axisId, qk) => axisId ? this.axisRegistry.getBreaksT(axisId, qk) : []
+
     const props = {
-      xDomain: layer.xAxis ? (this.axisRegistry.getScale(layer.xAxis)?.domain() ?? [0, 1]) : [0, 1],
-      yDomain: layer.yAxis ? (this.axisRegistry.getScale(layer.yAxis)?.domain() ?? [0, 1]) : [0, 1],
-      zDomain: zScale ? zScale.domain() : [0, 1],
-      xScaleType: xIsLog ? 1.0 : 0.0,
-      yScaleType: yIsLog ? 1.0 : 0.0,
-      zScaleType: zIsLog ? 1.0 : 0.0,
+      xDomain: shifted(domainOf(layer.xAxis, layer.xAxisQuantityKind), offsets.x),
+      yDomain: shifted(domainOf(layer.yAxis, layer.yAxisQuantityKind), offsets.y),
+      zDomain: shifted(domainOf(layer.zAxis, layer.zAxisQuantityKind), offsets.z),
+      xScaleType: scaleCode(layer.xAxis),
+      yScaleType: scaleCode(layer.yAxis),
+      zScaleType: scaleCode(layer.zAxis),
+      xScaleParam: scaleParam(layer.xAxis),
+      yScaleParam: scaleParam(layer.yAxis),
+      zScaleParam: scaleParam(layer.zAxis),
+      ...breakProps('x', breaksOf(layer.xAxis, layer.xAxisQuantityKind), offsets.x ?? 0),
+      ...breakProps('y', breaksOf(layer.yAxis, layer.yAxisQuantityKind), offsets.y ?? 0),
+      ...breakProps('z', breaksOf(layer.zAxis, layer.zAxisQuantityKind), offsets.z ?? 0),
       u_is3D:    this._is3D ? 1.0 : 0.0,
       u_mvp:     resolvedMvp,
       viewport:  resolvedViewport,
+      u_viewportSize: [resolvedViewport.width, resolvedViewport.height],
       count: layer.vertexCount
         ?? Object.values(layer.attributes).find(v => v instanceof Float32Array)?.length
         ?? Object.values(layer.attributes).find(v => Array.isArray(v) && v.length > 0 && v[0] instanceof Float32Array)?.[0]?.length
         ?? 0,
       u_pickingMode:    pickMode,
       u_pickLayerIndex: layerIdx,
+      blendEnable:      !pickMode,
       u_mode:             0.0,
       u_capture_tex_size: [0, 0],
       u_capture_endpoint: 0.0,
@@ -743,6 +1077,13 @@ void main() {
 
   // Unified domain setter for spatial, color, and filter axes.
   setAxisDomain(axisId, domain) {
+    const derived = this.axisRegistry?.getDerived(axisId)
+    if (derived) {
+      // A derived axis has no domain of its own: move its primary axis instead.
+      const mapped = [derived.inverse(domain[0]), derived.inverse(domain[1])]
+      this.setAxisDomain(derived.from, mapped[0] <= mapped[1] ? mapped : [mapped[1], mapped[0]])
+      return
+    }
     if (Object.prototype.hasOwnProperty.call(AXIS_GEOMETRY, axisId)) {
       const qk = this.axisRegistry?.getQkForSlot(axisId)
       if (qk) {
@@ -760,6 +1101,94 @@ void main() {
     }
   }
 
+  // ── Axis range constraints ────────────────────────────────────────────────
+
+  // bounds / minSpan / maxSpan for a spatial axis: slot config, then QK config.
+  _axisRangeConfig(axisId) {
+    const axes = this.currentConfig?.axes ?? {}
+    const qk = this.axisRegistry?.getQkForSlot(axisId)
+    const pick = (key) => axes[axisId]?.[key] ?? (qk ? axes[qk]?.[key] : undefined) ?? null
+    return { bounds: pick('bounds'), minSpan: pick('minSpan'), maxSpan: pick('maxSpan') }
+  }
+
+  // Domain `axisId` will actually take when asked for `domain`.
+  _constrainAxisDomain(axisId, domain) {
+    if (!Object.prototype.hasOwnProperty.call(AXIS_GEOMETRY, axisId)) return domain
+    const cfg = this._axisRangeConfig(axisId)
+    return hasRangeConstraints(cfg) ? constrainDomain(domain, cfg) : domain
+  }
+
+  // { x, y, ratio } for a 2D plot whose axes config sets `aspect`, or null.
+  _aspectPair() {
+    if (this._is3D || !this.axisRegistry) return null
+    const axes = this.currentConfig?.axes ?? {}
+    const active = (ids) => ids.find(a => this.axisRegistry.getScale(a) && !this.axisRegistry.getDerived(a))
+    const x = active(['xaxis_bottom', 'xaxis_top'])
+    const y = active(['yaxis_left', 'yaxis_right'])
+    if (!x || !y) return null
+    const ratio = aspectRatio(axes[y]?.aspect ?? axes[x]?.aspect)
+    return ratio ? { x, y, ratio } : null
+  }
+
+  // Domain for `axisId` that matches the scale of the other axis of the aspect pair,
+  // keeping its current centre (in t-space, so log axes match decades per pixel).
+  _aspectDomain(axisId, { x, y, ratio }) {
+    const isY = axisId === y
+    const ref = isY ? x : y
+    const span = (id) => {
+      const [d0, d1] = this.axisRegistry.getScale(id).domain()
+      const { forward } = this.axisRegistry.getScaleTransform(id)
+      return [forward(d0), forward(d1)]
+    }
+    const [r0, r1] = span(ref)
+    const [t0, t1] = span(axisId)
+    const spanT = aspectSpan(r1 - r0, isY ? this.plotWidth : this.plotHeight,
+      isY ? this.plotHeight : this.plotWidth, ratio, isY)
+    const c = (t0 + t1) / 2
+    const { inverse } = this.axisRegistry.getScaleTransform(axisId)
+    return [inverse(c - spanT / 2), inverse(c + spanT / 2)]
+  }
+
+  // After `axisId` changed, move the other axis of the aspect pair to match.
+  _enforceAspect(axisId, sourcePlot = null) {
+    const pair = this._aspectPair()
+    if (!pair || this._enforcingAspect || (axisId !== pair.x && axisId !== pair.y)) return
+    const other = axisId === pair.x ? pair.y : pair.x
+    const target = this._aspectDomain(other, pair)
+    const current = this.axisRegistry.getScale(other).domain()
+    const eps = Math.abs(current[1] - current[0]) * 1e-9
+    if (Math.abs(target[0] - current[0]) <= eps && Math.abs(target[1] - current[1]) <= eps) return
+    this._enforcingAspect = true
+    try {
+      this._getAxis(other).setDomain(target, { sourcePlot })
+    } finally {
+      this._enforcingAspect = false
+    }
+  }
+
+  // Apply range constraints and the aspect lock to the domains set up by
+  // _initialize (silently, like the rest of initialization). The aspect lock
+  // widens whichever axis is too narrow, so all data stays in view.
+  _applyAxisConstraints() {
+    for (const axisId of AXES) {
+      const scale = this.axisRegistry.getScale(axisId)
+      if (!scale || this.axisRegistry.getDerived(axisId)) continue
+      const domain = scale.domain()
+      const constrained = this._constrainAxisDomain(axisId, domain)
+      if (constrained !== domain) this.axisRegistry.setDomain(this.axisRegistry.getQkForSlot(axisId), constrained)
+    }
+    const pair = this._aspectPair()
+    if (!pair) return
+    for (const axisId of [pair.y, pair.x]) {
+      const target = this._aspectDomain(axisId, pair)
+      const current = this.axisRegistry.getScale(axisId).domain()
+      if (Math.abs(target[1] - target[0]) > Math.abs(current[1] - current[0])) {
+        this.axisRegistry.setDomain(this.axisRegistry.getQkForSlot(axisId), target)
+        break
+      }
+    }
+  }
+
   _syncFloats() {
     const config = this.currentConfig ?? {}
     const axes = config.axes ?? {}
@@ -862,6 +1291,11 @@ void main() {
 
     this._shaderCache.clear()
 
+    if (this._pickFbo) {
+      this._pickFbo.destroy()
+      this._pickFbo = null
+    }
+
     if (this.regl) {
       this.regl.destroy()
       this.regl = null
@@ -870,6 +1304,9 @@ void main() {
     for (const i of (this._interactions ?? [])) i.destroy()
     this._interactions = []
 
+    window.removeEventListener('keydown', this._onHistoryKey)
+    this._accessibility.destroy()
+    this._viewChangeListeners.clear()
     this._renderCallbacks.clear()
     this.canvas.remove()
   }
@@ -896,9 +1333,19 @@ void main() {
 
       // Register spatial axes (null means no axis for that direction).
       // Pass any scale override from config (e.g. "log") so the D3 scale is created correctly.
-      if (ac.xAxis && ac.xAxisQuantityKind != null) this.axisRegistry.ensureSpatialSlot(ac.xAxis, ac.xAxisQuantityKind, axesConfig[ac.xAxis]?.scale ?? axesConfig[ac.xAxisQuantityKind]?.scale)
-      if (ac.yAxis && ac.yAxisQuantityKind != null) this.axisRegistry.ensureSpatialSlot(ac.yAxis, ac.yAxisQuantityKind, axesConfig[ac.yAxis]?.scale ?? axesConfig[ac.yAxisQuantityKind]?.scale)
-      if (ac.zAxis && ac.zAxisQuantityKind != null) this.axisRegistry.ensureSpatialSlot(ac.zAxis, ac.zAxisQuantityKind, axesConfig[ac.zAxis]?.scale ?? axesConfig[ac.zAxisQuantityKind]?.scale)
+      // A `displayUnit` on the axis config shows the axis in that compatible quantity kind.
+      const registerSpatial = (slot, layerQk) => {
+        const unit = axesConfig[slot]?.displayUnit
+        if (unit && !unitsCompatible(unit, layerQk))
+          console.warn(`[gladly] Axis '${slot}': displayUnit '${unit}' is not compatible with '${layerQk}'`)
+        const qk = unit && unitsCompatible(unit, layerQk) ? unit : layerQk
+        this.axisRegistry.ensureSpatialSlot(slot, qk, getScaleType(qk, axesConfig, slot), getScaleParam(qk, axesConfig, slot))
+        this.axisRegistry.setReversed(slot, !!axesConfig[slot]?.reverse)
+        this.axisRegistry.setBreaks(slot, axesConfig[slot]?.breaks)
+      }
+      if (ac.xAxis && ac.xAxisQuantityKind != null) registerSpatial(ac.xAxis, ac.xAxisQuantityKind)
+      if (ac.yAxis && ac.yAxisQuantityKind != null) registerSpatial(ac.yAxis, ac.yAxisQuantityKind)
+      if (ac.zAxis && ac.zAxisQuantityKind != null) registerSpatial(ac.zAxis, ac.zAxisQuantityKind)
 
       // Register color axes (colorscale comes from config or quantity kind registry, not from here)
       for (const quantityKind of Object.values(ac.colorAxisQuantityKinds)) {
@@ -935,6 +1382,16 @@ void main() {
           )
           layer.selectionName   = selectionName
           layer.selectionColumn = selCol
+          // Every selection column of the layer, keyed by name: its own, then the
+          // config's selection sets, which share its tile structure.
+          layer.selectionColumns = new Map([[selectionName, selCol]])
+          layer.selectionSets = []
+          for (const [name, { color = null } = {}] of Object.entries(this.currentConfig.selectionSets ?? {})) {
+            if (name === selectionName) continue
+            const column = globalSelectionRegistry.register(this._lastRawDataArg, name, this, this.regl, N > 0 ? [N] : [])
+            layer.selectionColumns.set(name, column)
+            layer.selectionSets.push({ name, column, color: color ? parseCssColor(color) : null })
+          }
         }
 
         layer.configLayerIndex = configLayerIndex
@@ -954,6 +1411,26 @@ void main() {
     await compileEnqueuedShaders(this.regl)
   }
 
+  // Axes configured with `derivedFrom` show another axis in different units; they
+  // are registered after the layers so the primary axis already exists.
+  _registerDerivedAxes(axesConfig) {
+    for (const axisId of AXES) {
+      const cfg = axesConfig[axisId]
+      if (!cfg?.derivedFrom) continue
+      try {
+        this.axisRegistry.setDerived(
+          axisId,
+          cfg.quantity_kind ?? axisId,
+          cfg.derivedFrom,
+          axisExpression(cfg.forward, axisId, 'forward'),
+          axisExpression(cfg.inverse, axisId, 'inverse'),
+        )
+      } catch (e) {
+        this._emitError(e)
+      }
+    }
+  }
+
   async _compileLayerDraw(layer) {
     const drawConfigRaw = await layer.type.createDrawCommand(this.regl, layer, this)
 
@@ -1052,11 +1529,12 @@ void main() {
         // If the selection column's tile structure no longer matches the current tile layout
         // (e.g. because new tiled data arrived over the network), rebuild it so the shader
         // samples from the right number of per-tile textures.
-        const selCol = layer.selectionColumn
-        if (selCol && layer._tileSizes.every(n => n > 0)) {
-          const currentSizes = selCol._tiles.map(t => t.n)
-          if (!arraysEqual(currentSizes, layer._tileSizes)) {
-            selCol._rebuild(layer._tileSizes)
+        if (layer.selectionColumns && layer._tileSizes.every(n => n > 0)) {
+          for (const selCol of layer.selectionColumns.values()) {
+            const currentSizes = selCol._tiles.map(t => t.n)
+            if (!arraysEqual(currentSizes, layer._tileSizes)) {
+              selCol._rebuild(layer._tileSizes)
+            }
           }
         }
 
@@ -1310,6 +1788,31 @@ void main() {
     await tdrYield()
     this.regl.clear({ color: [1,1,1,1], depth:1 })
 
+    // Mark all tick labels needed this frame and flush the atlas once; gridlines
+    // (drawn next, behind the data) and axes both depend on label sizes. Layer
+    // labels share the atlas.
+    const drawAxes = this._axisLineCmd && this._axisBillboardCmd && this._gridLineCmd && this._tickLabelAtlas
+    if (drawAxes) {
+      for (const axisId of AXES) {
+        if (!this.axisRegistry.getScale(axisId)) continue
+        this._getAxis(axisId).prepareAtlas(this._tickLabelAtlas, axisMvp, this.width, this.height)
+      }
+      for (const layer of this.layers) {
+        if (layer.labels) this._tickLabelAtlas.markLabels(layer.labels.map(l => l.text))
+      }
+      this._tickLabelAtlas.flush()
+
+      const cam = this._camera
+      const eye = this._is3D && cam ? sphericalToCartesian(cam._theta, cam._phi, cam._radius) : null
+      for (const axisId of AXES) {
+        if (!this.axisRegistry.getScale(axisId)) continue
+        this._getAxis(axisId).renderGrid(
+          axisMvp, this.width, this.height, this._is3D,
+          this._tickLabelAtlas, this._gridLineCmd, eye,
+        )
+      }
+    }
+
     for (let i = 0; i < this.layers.length; i++) {
       const layer = this.layers[i]
 
@@ -1338,15 +1841,10 @@ void main() {
       }
     }
 
-    // Render all registered spatial axes via WebGL (axis lines + tick marks + labels).
-    if (this._axisLineCmd && this._axisBillboardCmd && this._tickLabelAtlas) {
-      // Pre-pass: mark all labels needed this frame, then flush the atlas once.
-      for (const axisId of AXES) {
-        if (!this.axisRegistry.getScale(axisId)) continue
-        this._getAxis(axisId).prepareAtlas(this._tickLabelAtlas, axisMvp, this.width, this.height)
-      }
-      this._tickLabelAtlas.flush()
+    if (drawAxes && !this._is3D) this._drawLayerLabels()
 
+    // Render all registered spatial axes via WebGL (axis lines + tick marks + labels).
+    if (drawAxes) {
       for (const axisId of AXES) {
         if (!this.axisRegistry.getScale(axisId)) continue
         this._getAxis(axisId).render(
@@ -1376,13 +1874,177 @@ void main() {
       const scale = this.axisRegistry.getScale(axisId)
       if (!scale) continue
       const qk = this.axisRegistry.getQkForSlot(axisId)
-      const value = axisId.includes('y') ? scale.invert(plotY) : scale.invert(plotX)
+      const pixel = axisId.includes('y') ? plotY : plotX
+      const value = this.axisRegistry.getBreaks(axisId).length || this.axisRegistry.getDerived(axisId)
+        ? this._invertTransformed(axisId, scale, pixel)
+        : scale.invert(pixel)
       result[axisId] = value
       if (qk) result[qk] = value
     }
     return result
   }
 
+  // scale.invert for axes whose screen position is not affine in their D3 scale
+  // (breaks, derived axes): interpolate in the registry's t-space.
+  _invertTransformed(axisId, scale, pixel) {
+    const [r0, r1] = scale.range()
+    const [d0, d1] = scale.domain().map(Number)
+    const { forward, inverse } = this.axisRegistry.getScaleTransform(axisId)
+    const n = (pixel - r0) / (r1 - r0)
+    return inverse(forward(d0) + n * (forward(d1) - forward(d0)))
+  }
+
+  // Text a layer places at data positions (layer.labels, e.g. contour levels),
+  // drawn over the layers. Labels not wholly inside the plot area are skipped.
+  _drawLayerLabels() {
+    const { margin, plotWidth, plotHeight } = this
+    const items = []
+    for (const layer of this.layers) {
+      if (!layer.labels || !this.axisRegistry.getScale(layer.xAxis) || !this.axisRegistry.getScale(layer.yAxis)) continue
+      for (const { x, y, text } of layer.labels) {
+        const entry = this._tickLabelAtlas.getEntry(text)
+        if (!entry) continue
+        const hw = entry.pw / 2, hh = entry.ph / 2
+        const cx = this._valueToPixel(layer.xAxis, x)
+        const cy = this._valueToPixel(layer.yAxis, y)
+        if (!(cx - hw >= margin.left && cx + hw <= margin.left + plotWidth &&
+              cy - hh >= margin.top && cy + hh <= margin.top + plotHeight)) continue
+        items.push({ cx, cy, text })
+      }
+    }
+    this._drawScreenLabels(items, this._tickLabelAtlas)
+  }
+
+  // Draws atlas text centred on canvas pixels [{ cx, cy, text }], unrotated and
+  // without depth test. Texts missing from the atlas are skipped.
+  _drawScreenLabels(items, atlas) {
+    if (!this._axisBillboardCmd || !atlas.texture) return
+    const { width, height } = this
+    const anchors = [], offsets = [], uvs = []
+    for (const { cx, cy, text } of items) {
+      const entry = atlas.getEntry(text)
+      if (!entry) continue
+      const { pw, ph, u, v, uw, vh } = entry
+      const hw = pw / 2, hh = ph / 2
+      const anchor = [cx / width * 2 - 1, 1 - cy / height * 2, 0]
+      for (const [ox, oy, tu, tv] of [
+        [-hw, -hh, u, v], [+hw, -hh, u + uw, v], [-hw, +hh, u, v + vh],
+        [+hw, -hh, u + uw, v], [+hw, +hh, u + uw, v + vh], [-hw, +hh, u, v + vh],
+      ]) {
+        anchors.push(...anchor)
+        offsets.push(ox, oy)
+        uvs.push(tu, tv)
+      }
+    }
+    if (!anchors.length) return
+    this._axisBillboardCmd({
+      anchors:     new Float32Array(anchors),
+      offsetsPx:   new Float32Array(offsets),
+      uvs:         new Float32Array(uvs),
+      mvp:         IDENTITY_MAT4,
+      canvasSize:  [width, height],
+      atlas:       atlas.texture,
+      viewport:    { x: 0, y: 0, width, height },
+      count:       anchors.length / 3,
+      depthEnable: false,
+    })
+  }
+
+  // Canvas pixel of `value` along a 2D axis — the inverse of lookup().
+  _valueToPixel(axisId, value) {
+    const scale = this.axisRegistry.getScale(axisId)
+    let p
+    if (this.axisRegistry.getBreaks(axisId).length || this.axisRegistry.getDerived(axisId)) {
+      const [r0, r1] = scale.range()
+      const [d0, d1] = scale.domain().map(Number)
+      const { forward } = this.axisRegistry.getScaleTransform(axisId)
+      p = r0 + (forward(value) - forward(d0)) / (forward(d1) - forward(d0)) * (r1 - r0)
+    } else {
+      p = scale(value)
+    }
+    return p + (AXIS_GEOMETRY[axisId].dir === 'y' ? this.margin.top : this.margin.left)
+  }
+
+  // ── View history ──────────────────────────────────────────────────────────
+
+  get _viewHistory() {
+    return this._group?._viewHistory ?? this._ownViewHistory
+  }
+
+  // Step back to the previous view. Returns false if there is none.
+  undoView() {
+    if (!this._viewHistory.undo()) return false
+    this._emitViewChange('undo')
+    return true
+  }
+
+  // Step forward again after undoView(). Returns false if there is nothing to redo.
+  redoView() {
+    if (!this._viewHistory.redo()) return false
+    this._emitViewChange('redo')
+    return true
+  }
+
+  // Return the spatial axes to the domains computed from the layers, ignoring
+  // any min/max set by zooming or in the config, and the 3D camera to its
+  // default orbit. The reset is itself a history entry, so it can be undone.
+  resetView() {
+    if (!this.axisRegistry) return
+    for (const [axisId, domain] of Object.entries(this._autoSpatialDomains())) {
+      this._getAxis(axisId).setDomain(domain)
+    }
+    if (this._is3D && this._camera) {
+      const home = new Camera(true)
+      this._camera._theta = home._theta
+      this._camera._phi = home._phi
+      this._camera._radius = home._radius
+    }
+    this.scheduleRender()
+    this._viewHistory.record()
+    this._emitViewChange('reset')
+  }
+
+  // Spatial domains applyAutoDomainsFromLayers picks with no min/max in the
+  // axis config, computed without touching the registry (categories, colour
+  // and filter ranges stay as they are).
+  _autoSpatialDomains() {
+    const registry = this.axisRegistry
+    const slots = AXES.filter(a => registry.getScale(a) && !registry.getDerived(a))
+    const overrides = { ...this.currentConfig.axes }
+    for (const key of [...slots, ...slots.map(a => registry.getQkForSlot(a))]) {
+      if (!overrides[key]) continue
+      const { min, max, ...rest } = overrides[key]
+      overrides[key] = rest
+    }
+    const auto = {}
+    for (const axisId of slots) {
+      const { domain } = registry.computeAutoDomain(registry.getQkForSlot(axisId), this.layers, overrides, undefined, { quiet: true })
+      if (domain) auto[axisId] = domain
+    }
+    return auto
+  }
+
+  _emitViewChange(action) {
+    const history = this._viewHistory
+    const plots = this._group ? [...this._group._plots.values()] : [this]
+    const event = { type: 'viewchange', action, canUndo: history.canUndo(), canRedo: history.canRedo() }
+    for (const plot of plots) {
+      for (const cb of plot._viewChangeListeners) cb(event)
+    }
+  }
+
+  _onHistoryKey(e) {
+    if (this.currentConfig?.interactions?.historyKeys === false) return
+    if (!this.container.matches(':hover') && !this.container.contains(document.activeElement)) return
+    const mod = e.ctrlKey || e.metaKey
+    const key = e.key.toLowerCase()
+    let handled
+    if (mod && key === 'z') handled = e.shiftKey ? this.redoView() : this.undoView()
+    else if (mod && key === 'y') handled = this.redoView()
+    else if (e.key === 'Home' && !mod) { this.resetView(); handled = true }
+    if (handled) e.preventDefault()
+  }
+
   onZoomEnd(cb) {
     this._zoomEndCallbacks.add(cb)
     return { remove: () => this._zoomEndCallbacks.delete(cb) }
@@ -1397,6 +2059,10 @@ void main() {
       this._noErrorListeners.add(callback)
       return { remove: () => this._noErrorListeners.delete(callback) }
     }
+    if (eventType === 'viewchange') {
+      this._viewChangeListeners.add(callback)
+      return { remove: () => this._viewChangeListeners.delete(callback) }
+    }
     const handler = (e) => {
       if (!this.container.contains(e.target)) return
       const rect = this.container.getBoundingClientRect()
@@ -1408,7 +2074,10 @@ void main() {
     return { remove: () => window.removeEventListener(eventType, handler, { capture: true }) }
   }
 
-  async pick(x, y) {
+  // `radius` (pixels) widens the search to a (2r+1)×(2r+1) block and returns
+  // the hit nearest to (x, y). Defaults to config.interactions.pickRadius.
+  // `layers` (config layer indices) restricts the pick to those layers.
+  async pick(x, y, { radius = this.currentConfig?.interactions?.pickRadius ?? 0, layers = null } = {}) {
     if (!this.regl || !this.layers.length) return null
 
     const glX = Math.round(x)
@@ -1416,10 +2085,11 @@ void main() {
 
     if (glX < 0 || glX >= this.width || glY < 0 || glY >= this.height) return null
 
-    const fbo = this.regl.framebuffer({
-      width: this.width, height: this.height,
-      colorFormat: 'rgba', colorType: 'uint8', depth: false,
-    })
+    // Pixel block to read, clipped to the canvas.
+    const r = Math.max(0, Math.round(radius))
+    const x0 = Math.max(0, glX - r), y0 = Math.max(0, glY - r)
+    const w = Math.min(this.width, glX + r + 1) - x0
+    const h = Math.min(this.height, glY + r + 1) - y0
 
     // Refresh transform nodes before picking (same as render)
     for (const node of this._dataTransformNodes) {
@@ -1431,57 +2101,100 @@ void main() {
       for (const col of layer._dataColumns ?? []) await col.refresh(this)
     }
 
+    // Layers are drawn into a persistent FBO, scissored to the block read back.
+    const fbo = this._ensurePickFbo()
     let result = null
-    try {
-    this.regl({ framebuffer: fbo })(() => {
+    this.regl({ framebuffer: fbo, scissor: { enable: true, box: { x: x0, y: y0, width: w, height: h } } })(() => {
       this.regl.clear({ color: [0, 0, 0, 0] })
       for (let i = 0; i < this.layers.length; i++) {
         const layer = this.layers[i]
+        if (layers && !layers.includes(layer.configLayerIndex)) continue
         const props = this._buildLayerProps(layer, i, { pickMode: 1.0 })
         layer.draw(props)
       }
       var pixels;
       try {
-        pixels = this.regl.read({ x: glX, y: glY, width: 1, height: 1 })
+        pixels = this.regl.read({ x: x0, y: y0, width: w, height: h })
       } catch (e) {
         pixels = [0];
       }
-      if (pixels[0] === 0) {
+      // Nearest non-empty pixel to the centre of the block.
+      let best = -1, bestDist = Infinity
+      for (let p = 0; p < w * h; p++) {
+        if (!pixels[p * 4]) continue
+        const dx = x0 + (p % w) - glX, dy = y0 + Math.floor(p / w) - glY
+        const dist = dx * dx + dy * dy
+        if (dist < bestDist) { best = p; bestDist = dist }
+      }
+      if (best < 0) {
         result = null
       } else {
-        const layerIndex = pixels[0] - 1
-        const dataIndex = (pixels[1] << 16) | (pixels[2] << 8) | pixels[3]
+        const o = best * 4
+        const layerIndex = pixels[o] - 1
+        const dataIndex = (pixels[o + 1] << 16) | (pixels[o + 2] << 8) | pixels[o + 3]
         const layer = this.layers[layerIndex]
         const offsets = layer._tilePickOffsets ?? [0]
         let tile = 0
         for (let t = offsets.length - 1; t >= 0; t--) {
           if (offsets[t] <= dataIndex) { tile = t; break }
         }
-        const index = dataIndex - offsets[tile]
-        result = { layerIndex, configLayerIndex: layer.configLayerIndex, tile, index, layer }
+        let index = dataIndex - offsets[tile]
+        // Grid layers (image, contour): the (i, j) cell of the index. Instances
+        // past nx · ny (one grid per contour level) repeat the cells.
+        let cell
+        if (layer.gridShape) {
+          const [nx, ny] = layer.gridShape
+          index %= nx * ny
+          cell = [index % nx, Math.floor(index / nx)]
+        }
+        result = { layerIndex, configLayerIndex: layer.configLayerIndex, tile, index, layer, ...(cell ? { cell } : {}) }
       }
     })
-    } finally {
-      fbo.destroy()
-    }
+    if (result) this._accessibility.setPicked(result)
     return result
   }
 
-  // Run a GPU lasso selection on all layers that declare a selection binding.
+  _ensurePickFbo() {
+    if (!this._pickFbo) {
+      this._pickFbo = this.regl.framebuffer({
+        width: this.width, height: this.height,
+        colorFormat: 'rgba', colorType: 'uint8', depth: false,
+      })
+    } else if (this._pickFbo.width !== this.width || this._pickFbo.height !== this.height) {
+      this._pickFbo.resize(this.width, this.height)
+    }
+    return this._pickFbo
+  }
+
+  // Run a GPU polygon selection on all layers that declare a selection binding,
+  // or only into `selection` (a layer's selection or a selection set) of the
+  // layers holding it. `combine` merges the result with the current selection:
+  // "replace", "union", "intersect" or "subtract". With `storeRegion` (2D), each
+  // selection keeps the polygon in data space of its first layer's axes, for
+  // toJSON() and for redrawing on new data; selectRegion() passes its own
+  // { polygon, xAxis, yAxis } instead of true.
   // vertices: [[x, y], ...] in HTML canvas coords (top-left origin)
-  async selectLasso(vertices) {
+  async selectLasso(vertices, { selection = null, combine = 'replace', storeRegion = false } = {}) {
     if (!this.regl || !this.layers.length || !this._lastRawDataArg) return
+    checkCombine(combine)
 
     // Build map of layerIdx → SelectionColumn for layers with active selection columns
     const selectionColumns = new Map()
+    const names = new Set()
     for (let i = 0; i < this.layers.length; i++) {
       const layer = this.layers[i]
-      if (layer.selectionName && layer.selectionColumn) {
-        selectionColumns.set(i, layer.selectionColumn)
+      const name = selection ?? layer.selectionName
+      const selCol = name != null ? layer.selectionColumns?.get(name) : null
+      if (selCol) {
+        selectionColumns.set(i, selCol)
+        names.add(name)
       }
     }
     if (selectionColumns.size === 0) return
 
+    // The pass clears the selection textures; keep what was selected to combine with.
+    const previous = new Map([...names].map(name => [name, this._getSelection(name).arrays]))
+
     if (!this._selectionPipeline) {
       this._selectionPipeline = new SelectionPipeline(this.regl, this)
     }
@@ -1489,12 +2202,20 @@ void main() {
     await this._selectionPipeline.runLasso(vertices, selectionColumns)
 
     // Read back GPU → CPU and notify subscribers (which propagate to linked plots).
-    const notified = new Set()
-    for (const layer of this.layers) {
-      if (layer.selectionName && layer.selectionColumn && !notified.has(layer.selectionName)) {
-        notified.add(layer.selectionName)
-        this._getSelection(layer.selectionName)._readbackAndNotify()
+    for (const name of names) {
+      let region = null
+      if (storeRegion === true && !this._is3D) {
+        const layer = this.layers.find(l => l.selectionColumns?.has(name))
+        const { xAxis, yAxis } = layer
+        const polygon = vertices.map(([x, y]) => {
+          const values = this.lookup(x, y)
+          return [values[xAxis], values[yAxis]]
+        })
+        region = { polygon, xAxis, yAxis }
+      } else if (storeRegion) {
+        region = storeRegion
       }
+      this._getSelection(name)._readbackAndNotify(combine, previous.get(name), region)
     }
   }
 }
@@ -0,0 +1,202 @@
+import { AXES } from '../axes/AxisRegistry.js'
+import { pickedValues } from './TooltipInteraction.js'
+
+const AXIS_NAMES = {
+  xaxis_bottom: 'Bottom x axis',
+  xaxis_top:    'Top x axis',
+  yaxis_left:   'Left y axis',
+  yaxis_right:  'Right y axis',
+  zaxis_bottom_left:  'Bottom-left z axis',
+  zaxis_bottom_right: 'Bottom-right z axis',
+  zaxis_top_left:     'Top-left z axis',
+  zaxis_top_right:    'Top-right z axis',
+}
+
+// Visually hidden, still read by screen readers.
+const HIDDEN_STYLE = {
+  position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: '0',
+  overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap', border: '0',
+}
+
+let nextId = 0
+
+function formatNumber(v) {
+  return typeof v === 'number' && !Number.isInteger(v) ? String(+v.toPrecision(4)) : String(v)
+}
+
+// Rows of a config layer: the length of the first data column its config names.
+function layerRowCount(plot, configLayerIndex) {
+  const spec = plot.currentConfig?.layers?.[configLayerIndex]
+  const params = spec ? Object.values(spec)[0] ?? {} : {}
+  for (const v of Object.values(params)) {
+    if (typeof v !== 'string') continue
+    const length = plot.currentData?.getData(v)?.length
+    if (length != null) return length
+  }
+  const layers = plot.layers.filter(l => l.configLayerIndex === configLayerIndex)
+  const counts = layers.map(l => l.instanceCount ?? l.vertexCount).filter(n => n != null)
+  return counts.length ? counts.reduce((a, b) => a + b, 0) : null
+}
+
+// Plain-text summary of a plot, built from getConfig() (without the selection
+// state, which it does not use): dimensionality, layer types with their row
+// counts, and every axis with its quantity and range.
+export function describePlot(plot) {
+  const config = plot.getConfig({ selectionState: false })
+  const parts = [`Interactive ${plot._is3D ? '3D' : '2D'} plot.`]
+
+  const layers = (config.layers ?? []).map((spec, i) => {
+    const type = Object.keys(spec)[0]
+    const rows = layerRowCount(plot, i)
+    return rows != null ? `${type} with ${rows} ${rows === 1 ? 'row' : 'rows'}` : type
+  })
+  parts.push(layers.length ? `Layers: ${layers.join('; ')}.` : 'No layers.')
+
+  const registry = plot.axisRegistry
+  for (const axisId of AXES) {
+    const axis = config.axes?.[axisId]
+    if (!axis || !registry?.getScale(axisId)) continue
+    const title = String(axis.label ?? axis.quantity_kind ?? '').replace(/\n/g, ' ')
+    const [min, max] = registry.getScale(axisId).domain().map(Number)
+    const format = v => plot._getAxis(axisId).formatValue(v)
+    parts.push(`${AXIS_NAMES[axisId]}${title ? `, ${title}` : ''}: ${format(min)} to ${format(max)}.`)
+  }
+  for (const qk of registry?.getColorQuantityKinds() ?? []) {
+    const { min, max, label } = config.axes[qk] ?? {}
+    if (min == null || max == null) continue
+    parts.push(`Color axis ${label ?? qk}: ${formatNumber(min)} to ${formatNumber(max)}.`)
+  }
+  for (const qk of registry?.getFilterQuantityKinds() ?? []) {
+    const { min, max, label } = config.axes[qk] ?? {}
+    if (min == null && max == null) continue
+    const range = min != null && max != null ? `${formatNumber(min)} to ${formatNumber(max)}`
+      : min != null ? `at least ${formatNumber(min)}` : `at most ${formatNumber(max)}`
+    parts.push(`Filter ${label ?? qk}: ${range}.`)
+  }
+
+  if (config.interactions?.keyboard !== false) {
+    parts.push(plot._is3D
+      ? 'Arrow keys rotate, Shift+arrow keys pan, + and - zoom, Home resets the view.'
+      : 'Arrow keys pan, + and - zoom, Home resets the view.')
+  }
+  return parts.join(' ')
+}
+
+// Makes the canvas a focusable, labelled control and keeps a hidden text
+// description (and optionally a table of selected or picked rows) in the
+// container for screen readers. Options come from config.accessibility.
+export class PlotAccessibility {
+  constructor(plot) {
+    this._plot = plot
+    this._picked = null
+    this._subscriptions = []
+
+    const id = `gladly-description-${nextId++}`
+    this._description = document.createElement('div')
+    this._description.id = id
+    this._description.className = 'gladly-description'
+    Object.assign(this._description.style, HIDDEN_STYLE)
+
+    this._table = document.createElement('table')
+    this._table.className = 'gladly-data-table'
+    Object.assign(this._table.style, HIDDEN_STYLE)
+
+    const { canvas, container } = plot
+    canvas.tabIndex = 0
+    canvas.setAttribute('role', 'application')
+    canvas.setAttribute('aria-roledescription', 'plot')
+    canvas.setAttribute('aria-describedby', id)
+    container.appendChild(this._description)
+  }
+
+  get _options() {
+    return this._plot.currentConfig?.accessibility ?? {}
+  }
+
+  // After each (re)initialisation: pick up the new config and selections.
+  configure() {
+    for (const s of this._subscriptions) s.remove()
+    this._subscriptions = []
+    this._picked = null
+    if (this._options.table) {
+      const names = new Set(this._plot.layers.map(l => l.selectionName).filter(Boolean))
+      for (const name of names) {
+        this._subscriptions.push(this._plot.selections[name].subscribe(() => this._renderTable()))
+      }
+      if (!this._table.isConnected) this._plot.container.appendChild(this._table)
+      this._renderTable()
+    } else {
+      this._table.remove()
+    }
+    this.update()
+  }
+
+  // Refresh the label and description, e.g. after the view changed.
+  update() {
+    const { label, description } = this._options
+    const canvas = this._plot.canvas
+    canvas.setAttribute('aria-label', label ?? `${this._plot._is3D ? '3D' : '2D'} plot`)
+    this._description.textContent = description ?? describePlot(this._plot)
+  }
+
+  // The row last returned by plot.pick(); shown when nothing is selected.
+  setPicked(hit) {
+    this._picked = hit
+    if (this._options.table) this._renderTable()
+  }
+
+  // Selected rows of every selection the layers use, capped at maxRows, or the
+  // picked row when nothing is selected.
+  _tableRows() {
+    const plot = this._plot
+    const rows = [], seen = new Set()
+    let total = 0
+    const maxRows = this._options.maxRows ?? 20
+    for (const layer of plot.layers) {
+      if (!layer.selectionName) continue
+      const arrays = plot._getSelection(layer.selectionName).arrays
+      arrays?.forEach((tileArr, tile) => {
+        for (let index = 0; index < tileArr.length; index++) {
+          if (tileArr[index] <= 0.5) continue
+          const key = `${layer.configLayerIndex}:${tile}:${index}`
+          if (seen.has(key)) continue
+          seen.add(key)
+          total++
+          if (rows.length < maxRows) rows.push({ configLayerIndex: layer.configLayerIndex, tile, index, layer })
+        }
+      })
+    }
+    if (total) return { caption: `Selected rows (${rows.length} of ${total} shown)`, rows }
+    if (this._picked) return { caption: 'Picked row', rows: [this._picked] }
+    return { caption: 'No rows selected', rows: [] }
+  }
+
+  _renderTable() {
+    const { caption, rows } = this._tableRows()
+    const values = rows.map(hit => pickedValues(this._plot, hit))
+    const columns = [...new Set(values.flatMap(v => Object.keys(v)))]
+    const cell = (tag, text) => {
+      const el = document.createElement(tag)
+      el.textContent = text
+      return el
+    }
+    const captionEl = cell('caption', caption)
+    const head = document.createElement('tr')
+    for (const name of ['Layer', 'Row', ...columns]) head.appendChild(cell('th', name))
+    const body = rows.map((hit, r) => {
+      const tr = document.createElement('tr')
+      tr.appendChild(cell('td', String(hit.configLayerIndex)))
+      tr.appendChild(cell('td', String(hit.index)))
+      for (const c of columns) tr.appendChild(cell('td', c in values[r] ? formatNumber(values[r][c]) : ''))
+      return tr
+    })
+    this._table.replaceChildren(captionEl, head, ...body)
+  }
+
+  destroy() {
+    for (const s of this._subscriptions) s.remove()
+    this._subscriptions = []
+    this._description.remove()
+    this._table.remove()
+  }
+}
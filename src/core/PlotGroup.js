@@ -2,6 +2,7 @@ import { AXES } from "../axes/AxisRegistry.js"
 import { linkAxes } from "../axes/AxisLink.js"
 import { linkSelections } from "../selection/SelectionLink.js"
 import { normalizeData } from "../data/Data.js"
+import { ViewHistory } from "./ViewHistory.js"
 
 /**
  * Coordinates a set of named Plot instances.
@@ -17,6 +18,9 @@ import { normalizeData } from "../data/Data.js"
  * - When autoLink is false, manual links created via linkAxes() on axes
  *   belonging to plots in the group survive PlotGroup.update() calls
  *   unchanged (Axis instances are stable across plot updates).
+ *
+ * - All plots in the group share one view history: undoView() on any of them
+ *   steps every plot back together.
  */
 export class PlotGroup {
   constructor(plots = {}, { autoLink = false } = {}) {
@@ -24,6 +28,7 @@ export class PlotGroup {
     this._autoLink = autoLink
     // key → { unlink, plotA, plotB }
     this._links = new Map()
+    this._viewHistory = new ViewHistory(() => [...this._plots.values()])
 
     for (const [name, plot] of Object.entries(plots)) {
       this._plots.set(name, plot)
@@ -31,6 +36,7 @@ export class PlotGroup {
     }
 
     if (autoLink) this._updateAutoLinks()
+    this._viewHistory.record()
   }
 
   /** Add a named plot to the group. Re-runs auto-linking if enabled. */
@@ -38,6 +44,7 @@ export class PlotGroup {
     this._plots.set(name, plot)
     plot._group = this
     if (this._autoLink) this._updateAutoLinks()
+    this._viewHistory.record()
   }
 
   /** Remove a named plot from the group, tearing down any links involving it. */
@@ -179,10 +186,16 @@ export class PlotGroup {
     // Collect selection names across plots and create missing selection links.
     const selPlots = new Map() // selectionName → [plotName, ...]
     for (const [plotName, plot] of this._plots) {
+      const names = new Set()
       for (const layerSpec of plot.currentConfig?.layers ?? []) {
         const selName = Object.values(layerSpec)[0]?.selection
-        if (selName) _push(selPlots, selName, plotName)
+        if (selName) names.add(selName)
+      }
+      // Selection sets exist only alongside a layer's own selection.
+      if (names.size) {
+        for (const setName of Object.keys(plot.currentConfig?.selectionSets ?? {})) names.add(setName)
       }
+      for (const selName of names) _push(selPlots, selName, plotName)
     }
 
     for (const [selName, plotNames] of selPlots) {
@@ -0,0 +1,159 @@
+const OFFSET_PX = 12
+
+// Column values of a picked row: every column the layer's config names (e.g.
+// xData: "input.x") plus `extraColumns`, keyed by column name. Only columns
+// held in CPU memory are read; categorical values are given as their labels.
+// For a grid cell (hit.cell = [i, j]) the xData / yData coordinates are read
+// at i and j.
+export function pickedValues(plot, hit, extraColumns = []) {
+  const spec = plot.currentConfig?.layers?.[hit.configLayerIndex]
+  const params = spec ? Object.values(spec)[0] ?? {} : {}
+  const names = [...Object.values(params).filter(v => typeof v === 'string'), ...extraColumns]
+  const values = {}
+  for (const name of new Set(names)) {
+    const column = plot.currentData?.getData(name)
+    const array = column?.array
+    const index = hit.cell && name === params.xData ? hit.cell[0]
+      : hit.cell && name === params.yData ? hit.cell[1]
+      : hit.index
+    if (!array || index >= array.length) continue
+    const v = array[index]
+    values[name] = column.categories?.[v] ?? v
+  }
+  return values
+}
+
+function formatValue(v) {
+  if (typeof v !== 'number') return String(v)
+  return Number.isInteger(v) ? String(v) : String(+v.toPrecision(6))
+}
+
+// Fill `{column}` placeholders from the picked values; `{index}` is the row.
+function fillTemplate(template, hit) {
+  return template.replace(/\{([^{}]+)\}/g, (_, key) => {
+    if (key === 'index') return String(hit.index)
+    return key in hit.values ? formatValue(hit.values[key]) : ''
+  })
+}
+
+// Shows the column values of the data point under the cursor. Picks on
+// mousemove, at most once per `throttle` ms and never while a pick is still
+// running or a mouse button is held. `template` is either a string with
+// `{column}` placeholders or a function (hit) → string | Node.
+export class TooltipInteraction {
+  constructor(plot, { columns = [], template = null, throttle = 50, className = null } = {}) {
+    this._plot = plot
+    this._columns = columns
+    this._template = template
+    this._throttle = throttle
+    this._pending = null     // latest [x, y] in canvas pixels not yet picked
+    this._hovering = false
+    this._timer = null
+    this._busy = false
+    this._lastPick = 0
+
+    this._el = document.createElement('div')
+    this._el.className = className ? `gladly-tooltip ${className}` : 'gladly-tooltip'
+    if (!className) {
+      Object.assign(this._el.style, {
+        background:   'rgba(255,255,255,0.92)',
+        border:       '1px solid #aaa',
+        borderRadius: '3px',
+        boxShadow:    '0 1px 4px rgba(0,0,0,0.2)',
+        padding:      '3px 6px',
+        font:         '12px sans-serif',
+        whiteSpace:   'pre',
+      })
+    }
+    Object.assign(this._el.style, { position: 'absolute', pointerEvents: 'none', zIndex: '20', display: 'none' })
+    if (getComputedStyle(plot.container).position === 'static') {
+      plot.container.style.position = 'relative'
+    }
+    plot.container.appendChild(this._el)
+
+    this._onMouseMove  = this._onMouseMove.bind(this)
+    this._onMouseLeave = this._onMouseLeave.bind(this)
+    this._run          = this._run.bind(this)
+    plot.canvas.addEventListener('mousemove', this._onMouseMove)
+    plot.canvas.addEventListener('mouseleave', this._onMouseLeave)
+  }
+
+  _onMouseMove(e) {
+    if (e.buttons !== 0) {
+      this._hovering = false
+      this._pending = null
+      this.hide()
+      return
+    }
+    const r = this._plot.canvas.getBoundingClientRect()
+    this._hovering = true
+    this._pending = [e.clientX - r.left, e.clientY - r.top]
+    this._schedule()
+  }
+
+  _onMouseLeave() {
+    this._hovering = false
+    this._pending = null
+    this.hide()
+  }
+
+  _schedule() {
+    if (this._timer !== null || this._busy) return
+    const wait = Math.max(0, this._throttle - (performance.now() - this._lastPick))
+    this._timer = setTimeout(this._run, wait)
+  }
+
+  async _run() {
+    this._timer = null
+    const pos = this._pending
+    if (!pos) return
+    this._pending = null
+    this._busy = true
+    this._lastPick = performance.now()
+    try {
+      const hit = await this._plot.pick(...pos)
+      // The cursor may have left the plot (or the plot been rebuilt) meanwhile.
+      if (this._hovering && this._el.isConnected) this.showAt(pos, hit)
+    } catch (e) {
+      console.error('[gladly] Tooltip pick failed:', e)
+    } finally {
+      this._busy = false
+      if (this._pending) this._schedule()
+    }
+  }
+
+  // Show the tooltip for a pick result at canvas pixel `pos`; hides it when
+  // `hit` is null or the template produces nothing.
+  showAt([x, y], hit) {
+    if (!hit) return this.hide()
+    const full = { ...hit, values: pickedValues(this._plot, hit, this._columns) }
+    let content
+    if (typeof this._template === 'function') content = this._template(full)
+    else if (typeof this._template === 'string') content = fillTemplate(this._template, full)
+    else content = Object.entries(full.values).map(([k, v]) => `${k}: ${formatValue(v)}`).join('\n')
+    if (content == null || content === '') return this.hide()
+
+    if (content instanceof Node) this._el.replaceChildren(content)
+    else this._el.textContent = String(content)
+    this._el.style.display = 'block'
+
+    // Keep the box inside the container, flipping to the other side of the cursor.
+    const { clientWidth, clientHeight } = this._plot.container
+    const w = this._el.offsetWidth, h = this._el.offsetHeight
+    const left = x + OFFSET_PX + w > clientWidth  ? x - OFFSET_PX - w : x + OFFSET_PX
+    const top  = y + OFFSET_PX + h > clientHeight ? y - OFFSET_PX - h : y + OFFSET_PX
+    this._el.style.left = Math.max(0, left) + 'px'
+    this._el.style.top  = Math.max(0, top) + 'px'
+  }
+
+  hide() {
+    this._el.style.display = 'none'
+  }
+
+  destroy() {
+    if (this._timer !== null) clearTimeout(this._timer)
+    this._plot.canvas.removeEventListener('mousemove', this._onMouseMove)
+    this._plot.canvas.removeEventListener('mouseleave', this._onMouseLeave)
+    this._el.remove()
+  }
+}
@@ -0,0 +1,113 @@
+import { AXES } from '../axes/AxisRegistry.js'
+
+// Records closer together than this are merged, so a burst of wheel steps
+// undoes as one zoom.
+const COALESCE_MS = 300
+
+// A plot's view: the domains of its (non-derived) spatial axes, with the
+// quantity kind each was in, and in 3D the camera orbit.
+export function captureView(plot) {
+  const registry = plot.axisRegistry
+  const domains = {}, kinds = {}
+  for (const axisId of AXES) {
+    const scale = registry?.getScale(axisId)
+    if (!scale || registry.getDerived(axisId)) continue
+    domains[axisId] = scale.domain().slice()
+    kinds[axisId] = registry.getQkForSlot(axisId)
+  }
+  const cam = plot._is3D ? plot._camera : null
+  return { domains, kinds, camera: cam ? { theta: cam._theta, phi: cam._phi, radius: cam._radius } : null }
+}
+
+// Move a plot to a captured view. Axes the plot no longer has, or that now
+// show another quantity kind (after update()), are left alone.
+export function applyView(plot, { domains, kinds, camera }) {
+  const registry = plot.axisRegistry
+  for (const [axisId, domain] of Object.entries(domains)) {
+    if (registry?.getScale(axisId) && registry.getQkForSlot(axisId) === kinds[axisId]) {
+      plot._getAxis(axisId).setDomain(domain)
+    }
+  }
+  if (camera && plot._is3D && plot._camera) {
+    plot._camera._theta = camera.theta
+    plot._camera._phi = camera.phi
+    plot._camera._radius = camera.radius
+  }
+  plot.scheduleRender()
+}
+
+function viewsEqual(a, b) {
+  const ka = Object.keys(a.domains), kb = Object.keys(b.domains)
+  if (ka.length !== kb.length) return false
+  for (const k of ka) {
+    const da = a.domains[k], db = b.domains[k]
+    if (!db || a.kinds[k] !== b.kinds[k] || da[0] !== db[0] || da[1] !== db[1]) return false
+  }
+  if (!a.camera || !b.camera) return a.camera === b.camera
+  return a.camera.theta === b.camera.theta && a.camera.phi === b.camera.phi && a.camera.radius === b.camera.radius
+}
+
+function entriesEqual(a, b) {
+  if (a.size !== b.size) return false
+  for (const [plot, view] of a) {
+    if (!b.has(plot) || !viewsEqual(view, b.get(plot))) return false
+  }
+  return true
+}
+
+// Undo/redo stack of views. `getPlots()` returns the plots the history covers —
+// one plot, or every plot of a PlotGroup — and each entry holds a view of each.
+export class ViewHistory {
+  constructor(getPlots) {
+    this._getPlots = getPlots
+    this._entries = []   // [Map(plot → view)]
+    this._index = -1
+    this._lastRecord = 0
+  }
+
+  // Push the current views, discarding any redo entries. Returns false when
+  // nothing changed since the current entry. With `coalesce`, a record soon
+  // after the previous one replaces it instead.
+  record({ coalesce = false } = {}) {
+    const entry = this._capture()
+    if (this._index >= 0 && entriesEqual(entry, this._entries[this._index])) return false
+    this._entries.length = this._index + 1
+    const now = performance.now()
+    if (coalesce && this._index > 0 && now - this._lastRecord < COALESCE_MS) {
+      this._entries[this._index] = entry
+    } else {
+      this._entries.push(entry)
+      this._index++
+    }
+    this._lastRecord = now
+    return true
+  }
+
+  canUndo() { return this._index > 0 }
+  canRedo() { return this._index < this._entries.length - 1 }
+
+  undo() {
+    if (!this.canUndo()) return false
+    this._index--
+    this._restore()
+    return true
+  }
+
+  redo() {
+    if (!this.canRedo()) return false
+    this._index++
+    this._restore()
+    return true
+  }
+
+  _capture() {
+    return new Map(this._getPlots().filter(p => p.axisRegistry).map(p => [p, captureView(p)]))
+  }
+
+  _restore() {
+    this._lastRecord = 0
+    for (const [plot, view] of this._entries[this._index]) {
+      if (this._getPlots().includes(plot)) applyView(plot, view)
+    }
+  }
+}
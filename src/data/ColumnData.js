@@ -48,6 +48,7 @@ export class ColumnData {
   get length()       { return null }
   get domain()       { return null }
   get quantityKind() { return null }
+  get categories()   { return null }  // ordered labels for categorical columns (value i → label i)
   get shape()        { return [this.length] }
   get ndim()         { return this.shape.length }
   get totalLength()  { return this.shape.reduce((a, b) => a * b, 1) }
@@ -69,22 +70,29 @@ export class ColumnData {
   // Returns a new ColumnData that samples at a_pickId + (offsetExpr) instead of a_pickId.
   // offsetExpr is a GLSL expression string, e.g. 'a_endPoint' or '1.0'.
   withOffset(offsetExpr) { return new OffsetColumn(this, offsetExpr) }
+
+  // Returns { col, offset } where col holds (value - offset). Only ArrayColumns
+  // backed by a Float64Array are rebased; everything else returns offset 0.
+  // ArrayColumn also takes a given offset (see LayerType._rebaseSpatialColumns).
+  rebase() { return { col: this, offset: 0 } }
 }
 
 // ─── ArrayColumn ──────────────────────────────────────────────────────────────
 export class ArrayColumn extends ColumnData {
-  constructor(array, { domain = null, quantityKind = null, shape = null } = {}) {
+  constructor(array, { domain = null, quantityKind = null, shape = null, categories = null } = {}) {
     super()
     this._array = array
     this._domain = domain
     this._quantityKind = quantityKind
     this._shape = shape
+    this._categories = categories
     this._ref = null  // { texture } lazy
   }
 
   get length()       { return this._array.length }
   get domain()       { return this._domain }
   get quantityKind() { return this._quantityKind }
+  get categories()   { return this._categories }
   get array()        { return this._array }
   get shape()        { return this._shape ?? [this._array.length] }
 
@@ -106,6 +114,27 @@ export class ArrayColumn extends ColumnData {
   }
 
   toTexture(regl) { return [this._upload(regl).texture] }
+
+  // Large float64 values (epoch milliseconds) lose their fine detail when uploaded
+  // as float32. Subtracting the first finite value first keeps the residuals small;
+  // the caller subtracts the same offset from the axis domain on the CPU.
+  // A given `offset` is used instead, so several columns can share one.
+  rebase(offset = null) {
+    const arr = this._array
+    if (offset === null) {
+      if (!(arr instanceof Float64Array)) return { col: this, offset: 0 }
+      offset = 0
+      for (let i = 0; i < arr.length; i++) {
+        if (isFinite(arr[i])) { offset = arr[i]; break }
+      }
+    } else if (offset === 0 && !(arr instanceof Float64Array)) {
+      return { col: this, offset: 0 }
+    }
+    const rel = new Float32Array(arr.length)
+    for (let i = 0; i < arr.length; i++) rel[i] = arr[i] - offset
+    const col = new ArrayColumn(rel, { domain: this._domain, quantityKind: this._quantityKind, shape: this._shape })
+    return { col, offset }
+  }
 }
 
 // ─── TextureColumn ────────────────────────────────────────────────────────────
@@ -274,6 +303,7 @@ export class OffsetColumn extends ColumnData {
   get length()       { return this._base.length }
   get domain()       { return this._base.domain }
   get quantityKind() { return this._base.quantityKind }
+  get categories()   { return this._base.categories }
   get shape()        { return this._base.shape }
 
   resolve(path, regl) {
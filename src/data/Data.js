@@ -1,4 +1,42 @@
 import { ArrayColumn, TextureColumn } from './ColumnData.js'
+import { getAxisQuantityKind } from '../axes/AxisQuantityKindRegistry.js'
+
+// Float64Array columns are accepted for values that need more than float32 precision
+// (e.g. epoch-millisecond timestamps); see ArrayColumn.rebase().
+function isColumnArray(v) {
+  return v instanceof Float32Array || v instanceof Float64Array
+}
+
+// Plain arrays of strings are categorical columns; they are encoded to category
+// indices (as floats) on first access.
+function isCategoricalArray(v) {
+  return Array.isArray(v) && v.length > 0 && typeof v[0] === 'string'
+}
+
+function isColumnValues(v) {
+  return isColumnArray(v) || isCategoricalArray(v)
+}
+
+// Encode string values as indices into `categories`. Without an explicit list the
+// categories are taken in order of first appearance; with one, unknown labels
+// become NaN (and are not drawn).
+function encodeCategorical(values, categories = null) {
+  const fixed = categories != null
+  const labels = fixed ? [...categories] : []
+  const index = new Map(labels.map((c, i) => [c, i]))
+  const data = new Float32Array(values.length)
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i]
+    let id = index.get(v)
+    if (id === undefined && !fixed && v != null) {
+      id = labels.length
+      labels.push(v)
+      index.set(v, id)
+    }
+    data[i] = id ?? NaN
+  }
+  return { data, categories: labels }
+}
 
 function domainsEqual(a, b) {
   if (a === b) return true
@@ -174,6 +212,11 @@ export class DataGroup {
     const r = this._resolve(col)
     return r ? r.child.getDomain(r.rest) : undefined
   }
+
+  getCategories(col) {
+    const r = this._resolve(col)
+    return r ? (r.child.getCategories?.(r.rest) ?? null) : null
+  }
 }
 
 export function normalizeData(data) {
@@ -185,15 +228,18 @@ export function normalizeData(data) {
 export class Data {
   constructor(raw) {
     raw = raw ?? {}
-    if (raw.data != null && typeof raw.data === 'object' && !(raw.data instanceof Float32Array)) {
+    if (raw.data != null && typeof raw.data === 'object' && !isColumnValues(raw.data)) {
       this._columnar = true
       this._data = raw.data
       this._quantityKinds = raw.quantity_kinds ?? {}
       this._rawDomains = raw.domains ?? {}
+      this._rawCategories = raw.categories ?? {}
+      this._rawShapes = raw.shapes ?? {}
     } else {
       this._columnar = false
       this._raw = raw
     }
+    this._encoded = new Map()  // col → { data, categories } for string columns
   }
 
   static wrap(data) {
@@ -202,14 +248,14 @@ export class Data {
     }
 
     if (data != null && typeof data === 'object') {
-      const isColumnar = data.data != null && typeof data.data === 'object' && !(data.data instanceof Float32Array)
+      const isColumnar = data.data != null && typeof data.data === 'object' && !isColumnValues(data.data)
 
       if (!isColumnar) {
         const vals = Object.values(data)
         if (vals.length > 0) {
           const isRawFormat = vals.every(v =>
-            v instanceof Float32Array ||
-            (v && typeof v === 'object' && v.data instanceof Float32Array)
+            isColumnValues(v) ||
+            (v && typeof v === 'object' && isColumnValues(v.data))
           )
           if (!isRawFormat) {
             return new DataGroup(data)
@@ -222,6 +268,20 @@ export class Data {
   }
 
   _entry(col) {
+    const entry = this._rawEntry(col)
+    if (!isCategoricalArray(entry.data)) return entry
+    if (!this._encoded.has(col)) {
+      // Category order: explicit list on the column, then the quantity kind's list.
+      const order = entry.categories
+        ?? (entry.quantityKind ? getAxisQuantityKind(entry.quantityKind).categories : null)
+        ?? null
+      this._encoded.set(col, encodeCategorical(entry.data, order))
+    }
+    const { data, categories } = this._encoded.get(col)
+    return { ...entry, data, categories }
+  }
+
+  _rawEntry(col) {
     if (this._columnar) {
       const rawDomain = this._rawDomains[col]
       let domain
@@ -230,11 +290,11 @@ export class Data {
       } else if (rawDomain && typeof rawDomain === 'object') {
         domain = [rawDomain.min, rawDomain.max]
       }
-      return { data: this._data[col], quantityKind: this._quantityKinds[col], domain }
+      return { data: this._data[col], quantityKind: this._quantityKinds[col], domain, categories: this._rawCategories[col], shape: this._rawShapes[col] }
     }
 
     const v = this._raw[col]
-    if (v instanceof Float32Array) {
+    if (isColumnValues(v)) {
       return { data: v, quantityKind: undefined, domain: undefined }
     }
     if (v && typeof v === 'object') {
@@ -244,7 +304,7 @@ export class Data {
       } else if (v.domain && typeof v.domain === 'object') {
         domain = [v.domain.min, v.domain.max]
       }
-      return { data: v.data, quantityKind: v.quantity_kind, domain }
+      return { data: v.data, quantityKind: v.quantity_kind, domain, categories: v.categories, shape: v.shape }
     }
     return { data: undefined, quantityKind: undefined, domain: undefined }
   }
@@ -258,16 +318,30 @@ export class Data {
     const entry = this._entry(col)
     if (!entry.data) return null
     if (entry.data instanceof ArrayColumn) return entry.data
-    return new ArrayColumn(entry.data, { domain: entry.domain ?? null, quantityKind: entry.quantityKind ?? null })
+    return new ArrayColumn(entry.data, {
+      domain: entry.domain ?? null,
+      quantityKind: entry.quantityKind ?? null,
+      categories: entry.categories ?? null,
+      shape: entry.shape ?? null,
+    })
   }
 
   getQuantityKind(col) {
     return this._entry(col).quantityKind
   }
 
+  // Ordered category labels for a categorical column, or null.
+  getCategories(col) {
+    const entry = this._entry(col)
+    if (entry.data instanceof ArrayColumn) return entry.data.categories
+    return entry.categories ?? null
+  }
+
   getDomain(col) {
     const entry = this._entry(col)
     if (entry.domain) return entry.domain
+    // Categorical columns span whole bands: category i covers [i - 0.5, i + 0.5].
+    if (entry.categories) return [-0.5, entry.categories.length - 0.5]
     const arr = entry.data
     if (!arr || arr.length === 0) return null
     let min = Infinity, max = -Infinity
@@ -113,6 +113,7 @@ export class Colorbar extends Plot {
       }
       const colorscale = this._targetPlot.axisRegistry?.getColorscale(this._colorAxisName)
       if (colorscale) this.axisRegistry.ensureColorAxis(this._colorAxisName, colorscale)
+      this.axisRegistry.setColorLevels(this._colorAxisName, this._targetPlot.axisRegistry?.getColorLevels(this._colorAxisName) ?? null)
       const scaleType = getScaleTypeFloat(this._colorAxisName, this._targetPlot.currentConfig?.axes) > 0.5 ? "log" : "linear"
       this.axisRegistry.setScaleType(this._spatialAxis, scaleType)
 
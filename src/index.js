@@ -10,7 +10,7 @@ export { ComputePipeline, ComputeOutput } from "./core/ComputePipeline.js"
 export { pointsLayerType } from "./layers/PointsLayer.js"
 export { linesLayerType } from "./layers/LinesLayer.js"
 export { registerLayerType, getLayerType, getRegisteredLayerTypes } from "./core/LayerTypeRegistry.js"
-export { registerAxisQuantityKind, getAxisQuantityKind, getRegisteredAxisQuantityKinds } from "./axes/AxisQuantityKindRegistry.js"
+export { registerAxisQuantityKind, getAxisQuantityKind, getRegisteredAxisQuantityKinds, unitsCompatible, convertUnit } from "./axes/AxisQuantityKindRegistry.js"
 export { registerColorscale, register2DColorscale, getRegisteredColorscales, getRegistered2DColorscales, getColorscaleIndex, get2DColorscaleIndex, buildColorGlsl, buildColorscaleTexture, getColorscalesVersion } from "./colorscales/ColorscaleRegistry.js"
 export { Axis } from "./axes/Axis.js"
 export { linkAxes } from "./axes/AxisLink.js"
@@ -23,6 +23,12 @@ export { Filterbar } from "./floats/Filterbar.js"
 export { filterbarLayerType } from "./layers/FilterbarLayer.js"
 export { tileLayerType, TileLayerType } from "./layers/gis/TileLayer.js"
 export { barsLayerType } from "./layers/BarsLayer.js"
+export { imageLayerType } from "./layers/ImageLayer.js"
+export { contourLayerType } from "./layers/ContourLayer.js"
+export { rectsLayerType } from "./layers/RectsLayer.js"
+export { multiLineLayerType } from "./layers/MultiLineLayer.js"
+export { bandLayerType } from "./layers/BandLayer.js"
+export { areaLayerType } from "./layers/AreaLayer.js"
 export { registerEpsgDef, parseCrsCode, crsToQkX, crsToQkY, qkToEpsgCode, reproject } from "./geo/EpsgUtils.js"
 export { Computation, TextureComputation, GlslComputation, ComputedData } from "./data/Computation.js"
 export { ArrayColumn } from "./data/ColumnData.js"
@@ -33,6 +39,11 @@ export { linkSelections } from "./selection/SelectionLink.js"
 export { SelectionColumn } from "./selection/SelectionColumn.js"
 export { SelectionRegistry, globalSelectionRegistry } from "./selection/SelectionRegistry.js"
 export { LassoInteraction } from "./selection/LassoInteraction.js"
+export { ClickSelectInteraction } from "./selection/ClickSelectInteraction.js"
+export { BoxZoomInteraction } from "./axes/BoxZoomInteraction.js"
+export { CrosshairInteraction } from "./axes/CrosshairInteraction.js"
+export { TooltipInteraction, pickedValues } from "./core/TooltipInteraction.js"
+export { describePlot } from "./core/PlotAccessibility.js"
 
 // Register all matplotlib colorscales (side-effect import)
 import "./colorscales/MatplotlibColorscales.js"
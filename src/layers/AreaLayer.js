@@ -0,0 +1,202 @@
+import { LayerType } from "../core/LayerType.js"
+import { Data } from "../data/Data.js"
+import { registerLayerType } from "../core/LayerTypeRegistry.js"
+import { AXIS_GEOMETRY } from "../axes/AxisRegistry.js"
+import { parseCssColor } from "../core/colorUtils.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+import { MAX_SERIES, STACK_MODES, SERIES_COLORS, seriesExprs, stackExtentGlsl, stackDomain } from "./StackShared.js"
+
+const X_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'x')
+const Y_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'y')
+
+const AREA_STACK_MODES = ["none", "stacked", "normalized"]
+
+// Filled area under one or more series along x, down to a constant baseline or
+// to y0Data. One instance per segment between points i and i + 1, drawn as a
+// 4-vertex triangle strip: a_endPoint picks the point, a_edge the lower or
+// upper edge. Every column is sampled at a_pickId + a_endPoint, so each vertex
+// reads only its own point.
+//
+// Several series are drawn one gpuConfig each, all sampling every series
+// (s0, s1, …) so stack offsets are summed in the shader (see StackShared.js).
+
+const AREA_END  = new Float32Array([0, 1, 0, 1])
+const AREA_EDGE = new Float32Array([0, 0, 1, 1])
+
+function makeAreaVert(nSeries, hasY0) {
+  return `#version 300 es
+  precision highp float;
+  in float a_endPoint;
+  in float a_edge;
+  in float x;
+  ${Array.from({ length: nSeries }, (_, j) => `in float s${j};`).join('\n  ')}
+  ${hasY0 ? 'in float y0;' : ''}
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  uniform float u_series;
+  uniform float u_stackMode;
+  uniform float u_baseline;
+  void main() {
+    ${stackExtentGlsl(nSeries)}
+    float base = u_stackMode > 1.5 ? 0.0 : ${hasY0 ? 'y0' : 'u_baseline'};
+    // Unstacked series fill from the baseline to their own value.
+    vec2 edges = u_stackMode < 0.5 ? vec2(base, stack.y) : base + stack;
+    gl_Position = plot_pos(vec2(x, u_mode > 0.5 ? 0.5 * (edges.x + edges.y) : mix(edges.x, edges.y, a_edge)));
+  }
+`
+}
+
+const AREA_FRAG = `#version 300 es
+  precision highp float;
+  uniform vec4 u_color;
+  uniform float u_opacity;
+  void main() {
+    fragColor = gladly_apply_color(vec4(u_color.rgb, u_color.a * u_opacity));
+  }
+`
+
+class AreaLayerType extends LayerType {
+  constructor() {
+    super({ name: "area", vert: makeAreaVert(1, false), frag: AREA_FRAG })
+  }
+
+  _getAxisConfig(parameters, data) {
+    const d = Data.wrap(data)
+    const { xData, yData, stack = "none", xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    return {
+      xAxis,
+      xAxisQuantityKind: resolveQuantityKind(xData, d) ?? undefined,
+      yAxis,
+      yAxisQuantityKind: stack === "normalized" ? "percent" : (resolveQuantityKind(seriesExprs(yData)[0], d) ?? undefined),
+    }
+  }
+
+  schema(data) {
+    return {
+      type: "object",
+      properties: {
+        xData: { ...EXPRESSION_REF, description: "Positions along x, in drawing order" },
+        yData: {
+          anyOf: [
+            EXPRESSION_REF,
+            { type: "array", items: EXPRESSION_REF, minItems: 1, maxItems: MAX_SERIES },
+          ],
+          description: "Upper edge of the area, or an array of value expressions, one per series"
+        },
+        y0Data: { ...EXPRESSION_REF_OPT, description: "Lower edge to fill down to, instead of the constant baseline" },
+        baseline: { type: "number", default: 0, description: "Constant lower edge when there is no y0Data" },
+        stack: {
+          type: "string",
+          enum: AREA_STACK_MODES,
+          default: "none",
+          description: "How several series combine: none (each filled from the baseline), stacked, or normalized (stacked to 100 %)"
+        },
+        color: {
+          type: "string",
+          format: "color",
+          "x-format": "color",
+          default: "#3380cc",
+          description: "Fill colour as a CSS hex colour (#rgb, #rgba, #rrggbb, #rrggbbaa)"
+        },
+        colors: {
+          type: "array",
+          items: { type: "string", format: "color" },
+          description: "One colour per series; defaults to a categorical palette starting with `color`"
+        },
+        opacity: { type: "number", default: 0.6, minimum: 0, maximum: 1, description: "Opacity of the fill" },
+        xAxis: { type: "string", enum: X_AXES, default: "xaxis_bottom" },
+        yAxis: { type: "string", enum: Y_AXES, default: "yaxis_left" },
+      },
+      required: ["xData", "yData"]
+    }
+  }
+
+  async _createLayer(regl, parameters, data, plot) {
+    const d = Data.wrap(data)
+    const {
+      xData, yData, y0Data, baseline = 0, stack = "none",
+      color = "#3380cc", colors, opacity = 0.6,
+    } = parameters
+
+    const exprs = seriesExprs(yData)
+    if (exprs.length > MAX_SERIES) throw new Error(`[gladly] area: at most ${MAX_SERIES} series, got ${exprs.length}`)
+    if (!AREA_STACK_MODES.includes(stack)) throw new Error(`[gladly] area: unknown stack mode '${stack}'`)
+
+    const colX = await resolveExprToColumn(xData, d, regl, plot)
+    if (!colX) throw new Error(`[gladly] area: column '${xData}' not found`)
+    const colY0 = y0Data ? await resolveExprToColumn(y0Data, d, regl, plot) : null
+    const cols = []
+    for (const expr of exprs) {
+      const col = await resolveExprToColumn(expr, d, regl, plot)
+      if (!col) throw new Error(`[gladly] area: column '${expr}' not found`)
+      cols.push(col)
+    }
+
+    const axisConfig = this._getAxisConfig(parameters, d)
+    const xQK = axisConfig.xAxisQuantityKind
+    const yQK = axisConfig.yAxisQuantityKind
+    const domainOf = (expr, col) => (typeof expr === 'string' ? d.getDomain(expr) : null) ?? col?.domain ?? null
+
+    const domains = {}
+    if (xQK && domainOf(xData, colX)) domains[xQK] = domainOf(xData, colX)
+    const valueDomain = stackDomain(stack, cols.map(c => c.array ?? null), exprs.map((e, j) => domainOf(e, cols[j])))
+    if (yQK && valueDomain) {
+      if (stack === "normalized") {
+        domains[yQK] = valueDomain
+      } else {
+        const baseDomain = colY0 ? domainOf(y0Data, colY0) : [baseline, baseline]
+        if (baseDomain) {
+          domains[yQK] = stack === "stacked"
+            ? [baseDomain[0] + valueDomain[0], baseDomain[1] + valueDomain[1]]
+            : [Math.min(valueDomain[0], baseDomain[0]), Math.max(valueDomain[1], baseDomain[1])]
+        }
+      }
+    }
+
+    // Unstacked series are drawn as given, so they share y0's offset. Stacked
+    // ones are sums, so only y0 (added once) carries it; percentages stay put.
+    const x = this._rebaseSpatial(colX, axisConfig.xAxis, xQK, plot)
+    let y = { cols: [colY0, ...cols], offset: 0 }
+    if (stack === "none") y = this._rebaseSpatialColumns([colY0, ...cols], axisConfig.yAxis, yQK, plot)
+    else if (stack === "stacked" && colY0) y = this._rebaseSpatialColumns([colY0], axisConfig.yAxis, yQK, plot)
+    const y0 = y.cols[0]
+    const series = cols.map((col, j) => y.cols[j + 1] ?? col)
+
+    const attributes = {
+      a_endPoint: AREA_END,
+      a_edge: AREA_EDGE,
+      x: x.col.withOffset('a_endPoint'),
+      ...Object.fromEntries(series.map((col, j) => [`s${j}`, col.withOffset('a_endPoint')])),
+      ...(y0 ? { y0: y0.withOffset('a_endPoint') } : {}),
+    }
+    const palette = [color, ...SERIES_COLORS.filter(c => c !== color)]
+
+    return cols.map((_, j) => ({
+      attributes,
+      uniforms: {
+        u_color: () => parseCssColor(colors?.[j] ?? palette[j % palette.length]),
+        u_opacity: () => opacity,
+        u_series: () => j,
+        u_stackMode: () => STACK_MODES[stack],
+        u_baseline: () => baseline - y.offset,
+      },
+      domains,
+      primitive: "triangle strip",
+      vertexCount: 4,
+      instanceCount: Math.max(colX.length - 1, 0),
+      spatialOffsets: { x: x.offset, y: y.offset },
+      blend: { enable: true, func: { srcRGB: 'src alpha', dstRGB: 'one minus src alpha', srcAlpha: 0, dstAlpha: 1 } },
+    }))
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    this.vert = makeAreaVert(Object.keys(layer.attributes).filter(k => /^s\d+$/.test(k)).length, 'y0' in layer.attributes)
+    return await super.createDrawCommand(regl, layer, plot)
+  }
+}
+
+export const areaLayerType = new AreaLayerType()
+registerLayerType("area", areaLayerType)
+export { AreaLayerType }
@@ -0,0 +1,180 @@
+import { LayerType } from "../core/LayerType.js"
+import { Data } from "../data/Data.js"
+import { registerLayerType } from "../core/LayerTypeRegistry.js"
+import { AXIS_GEOMETRY } from "../axes/AxisRegistry.js"
+import { parseCssColor } from "../core/colorUtils.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+
+const X_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'x')
+const Y_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'y')
+
+// Filled band between yLow and yHigh along x (confidence / uncertainty band).
+//
+// Like the lines layer, one instance per segment between points i and i + 1,
+// here a 4-vertex triangle strip: a_endPoint picks the point, a_edge the low or
+// high edge. A segment with a NaN end or an end outside a filter is collapsed,
+// leaving a gap. Pick returns the segment's first point; selection captures the
+// middle of the band at both ends, as for lines.
+
+const BAND_END  = new Float32Array([0, 1, 0, 1])
+const BAND_EDGE = new Float32Array([0, 0, 1, 1])
+
+function makeBandVert(hasV, hasFilter, hasColorFilter) {
+  return `#version 300 es
+  precision highp float;
+  in float a_endPoint;
+  in float a_edge;
+  in float a_x0;
+  in float a_x1;
+  in float a_lo0;
+  in float a_lo1;
+  in float a_hi0;
+  in float a_hi1;
+  ${hasV ? 'in float a_v0;\n  in float a_v1;' : ''}
+  ${hasFilter ? 'in float a_f0;\n  in float a_f1;' : ''}
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  out float value;
+  void main() {
+    bool keep = !(isnan(a_x0) || isnan(a_x1) || isnan(a_lo0) || isnan(a_lo1) || isnan(a_hi0) || isnan(a_hi1));
+    ${hasFilter ? 'if (!filter_(a_f0) || !filter_(a_f1)) keep = false;' : ''}
+    ${hasColorFilter ? 'if (!color_filter_(a_v0) || !color_filter_(a_v1)) keep = false;' : ''}
+    if (!keep) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }
+    float x  = mix(a_x0, a_x1, a_endPoint);
+    float lo = mix(a_lo0, a_lo1, a_endPoint);
+    float hi = mix(a_hi0, a_hi1, a_endPoint);
+    gl_Position = plot_pos(vec2(x, u_mode > 0.5 ? 0.5 * (lo + hi) : mix(lo, hi, a_edge)));
+    value = ${hasV ? 'mix(a_v0, a_v1, a_endPoint)' : '0.0'};
+  }
+`
+}
+
+function makeBandFrag(hasV) {
+  return `#version 300 es
+  precision highp float;
+  uniform vec4 u_color;
+  uniform float u_opacity;
+  in float value;
+  void main() {
+    vec4 c = ${hasV ? 'map_color_(value)' : 'gladly_apply_color(u_color)'};
+    fragColor = vec4(c.rgb, c.a * u_opacity);
+  }
+`
+}
+
+class BandLayerType extends LayerType {
+  constructor() {
+    super({ name: "band", vert: makeBandVert(false, false, false), frag: makeBandFrag(false) })
+  }
+
+  _getAxisConfig(parameters, data) {
+    const d = Data.wrap(data)
+    const { xData, yLow, vData, fData, xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    const vQK = vData ? resolveQuantityKind(vData, d) : null
+    const fQK = fData ? resolveQuantityKind(fData, d) : null
+    return {
+      xAxis,
+      xAxisQuantityKind: resolveQuantityKind(xData, d) ?? undefined,
+      yAxis,
+      yAxisQuantityKind: resolveQuantityKind(yLow, d) ?? undefined,
+      colorAxisQuantityKinds: vQK ? { '': vQK } : {},
+      filterAxisQuantityKinds: fQK ? { '': fQK } : {},
+    }
+  }
+
+  schema(data) {
+    return {
+      type: "object",
+      properties: {
+        xData: { ...EXPRESSION_REF, description: "Positions along x" },
+        yLow: { ...EXPRESSION_REF, description: "Lower edge of the band at each x" },
+        yHigh: { ...EXPRESSION_REF, description: "Upper edge of the band at each x (same quantity kind as yLow)" },
+        vData: { ...EXPRESSION_REF_OPT, description: "Values on a color axis, interpolated along the band; without it the band is drawn in `color`" },
+        fData: { ...EXPRESSION_REF_OPT, description: "Values on a filter axis; segments with an end outside the filter range are not drawn" },
+        color: {
+          type: "string",
+          format: "color",
+          "x-format": "color",
+          default: "#3380cc",
+          description: "Band colour as a CSS hex colour (#rgb, #rgba, #rrggbb, #rrggbbaa) when there is no vData"
+        },
+        opacity: { type: "number", default: 0.3, minimum: 0, maximum: 1, description: "Opacity of the fill" },
+        xAxis: { type: "string", enum: X_AXES, default: "xaxis_bottom" },
+        yAxis: { type: "string", enum: Y_AXES, default: "yaxis_left" },
+      },
+      required: ["xData", "yLow", "yHigh"]
+    }
+  }
+
+  async _createLayer(regl, parameters, data, plot) {
+    const d = Data.wrap(data)
+    const { xData, yLow, yHigh, vData, fData, color = "#3380cc", opacity = 0.3 } = parameters
+
+    const colX  = await resolveExprToColumn(xData, d, regl, plot)
+    const colLo = await resolveExprToColumn(yLow, d, regl, plot)
+    const colHi = await resolveExprToColumn(yHigh, d, regl, plot)
+    const colV  = vData ? await resolveExprToColumn(vData, d, regl, plot) : null
+    const colF  = fData ? await resolveExprToColumn(fData, d, regl, plot) : null
+    if (!colX)  throw new Error(`[gladly] band: column '${xData}' not found`)
+    if (!colLo) throw new Error(`[gladly] band: column '${yLow}' not found`)
+    if (!colHi) throw new Error(`[gladly] band: column '${yHigh}' not found`)
+
+    const axisConfig = this._getAxisConfig(parameters, d)
+    const xQK = axisConfig.xAxisQuantityKind
+    const yQK = axisConfig.yAxisQuantityKind
+    const vQK = axisConfig.colorAxisQuantityKinds['']
+    const fQK = axisConfig.filterAxisQuantityKinds['']
+    const domainOf = (expr, col) => (typeof expr === 'string' ? d.getDomain(expr) : null) ?? col?.domain ?? null
+
+    const domains = {}
+    const loDomain = domainOf(yLow, colLo)
+    const hiDomain = domainOf(yHigh, colHi)
+    if (xQK && domainOf(xData, colX)) domains[xQK] = domainOf(xData, colX)
+    if (yQK && loDomain && hiDomain) {
+      domains[yQK] = [Math.min(loDomain[0], hiDomain[0]), Math.max(loDomain[1], hiDomain[1])]
+    }
+    if (vQK && domainOf(vData, colV)) domains[vQK] = domainOf(vData, colV)
+    if (fQK && domainOf(fData, colF)) domains[fQK] = domainOf(fData, colF)
+
+    const x = this._rebaseSpatial(colX, axisConfig.xAxis, xQK, plot)
+    const { cols: [lo, hi], offset: yOffset } = this._rebaseSpatialColumns([colLo, colHi], axisConfig.yAxis, yQK, plot)
+
+    return [{
+      attributes: {
+        a_endPoint: BAND_END,
+        a_edge: BAND_EDGE,
+        a_x0: x.col.withOffset('0.0'),
+        a_x1: x.col.withOffset('1.0'),
+        a_lo0: lo.withOffset('0.0'),
+        a_lo1: lo.withOffset('1.0'),
+        a_hi0: hi.withOffset('0.0'),
+        a_hi1: hi.withOffset('1.0'),
+        ...(colV ? { a_v0: colV.withOffset('0.0'), a_v1: colV.withOffset('1.0') } : {}),
+        ...(colF ? { a_f0: colF.withOffset('0.0'), a_f1: colF.withOffset('1.0') } : {}),
+      },
+      uniforms: {
+        u_color: () => parseCssColor(color),
+        u_opacity: () => opacity,
+      },
+      domains,
+      primitive: "triangle strip",
+      vertexCount: 4,
+      instanceCount: Math.max(colX.length - 1, 0),
+      spatialOffsets: { x: x.offset, y: yOffset },
+      blend: { enable: true, func: { srcRGB: 'src alpha', dstRGB: 'one minus src alpha', srcAlpha: 0, dstAlpha: 1 } },
+    }]
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    const hasV = 'a_v0' in layer.attributes
+    this.vert = makeBandVert(hasV, 'a_f0' in layer.attributes, hasV)
+    this.frag = makeBandFrag(hasV)
+    return await super.createDrawCommand(regl, layer, plot)
+  }
+}
+
+export const bandLayerType = new BandLayerType()
+registerLayerType("band", bandLayerType)
+export { BandLayerType }
@@ -3,6 +3,8 @@ import { Data } from "../data/Data.js"
 import { registerLayerType } from "../core/LayerTypeRegistry.js"
 import { AXES } from "../axes/AxisRegistry.js"
 import { parseCssColor } from "../core/colorUtils.js"
+import { EXPRESSION_REF, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+import { MAX_SERIES, STACK_MODES, SERIES_COLORS, seriesExprs, stackExtentGlsl, stackDomain } from "./StackShared.js"
 
 // Generic instanced bar layer. Renders `instanceCount` bars using live texture refs
 // for bin center positions and bar lengths (counts).
@@ -15,13 +17,18 @@ import { parseCssColor } from "../core/colorUtils.js"
 //
 // orientation "vertical"   — bins on x-axis, bars extend upward (default)
 // orientation "horizontal" — bins on y-axis, bars extend rightward
+//
+// Several series (yData as an array) are drawn one gpuConfig each; every config
+// samples all series (s0, s1, …) so the stack extent is summed in the shader.
+// "grouped" splits each bin into one narrower bar per series instead.
 
-const BARS_VERT = `#version 300 es
+function makeBarsVert(nSeries) {
+  return `#version 300 es
   precision mediump float;
 
   in float a_corner;
   in float x_center;
-  in float count;
+  ${Array.from({ length: nSeries }, (_, j) => `in float s${j};`).join('\n  ')}
 
   uniform vec2  xDomain;
   uniform vec2  yDomain;
@@ -29,17 +36,28 @@ const BARS_VERT = `#version 300 es
   uniform float yScaleType;
   uniform float u_binHalfWidth;
   uniform float u_horizontal;
+  uniform float u_series;
+  uniform float u_stackMode;
 
   void main() {
     float side = mod(a_corner, 2.0);       // 0 = left, 1 = right
     float vert = floor(a_corner / 2.0);    // 0 = bottom, 1 = top
+    ${stackExtentGlsl(nSeries)}
+
+    float halfWidth = u_binHalfWidth;
+    float centre = x_center;
+    if (u_stackMode > 2.5) {
+      halfWidth = u_binHalfWidth / ${nSeries.toFixed(1)};
+      centre = x_center - u_binHalfWidth + halfWidth * (2.0 * u_series + 1.0);
+    }
 
-    float bx = mix(x_center + (side * 2.0 - 1.0) * u_binHalfWidth, side * count, u_horizontal);
-    float by = mix(vert * count, x_center + (vert * 2.0 - 1.0) * u_binHalfWidth, u_horizontal);
+    float bx = mix(centre + (side * 2.0 - 1.0) * halfWidth, mix(stack.x, stack.y, side), u_horizontal);
+    float by = mix(mix(stack.x, stack.y, vert), centre + (vert * 2.0 - 1.0) * halfWidth, u_horizontal);
 
     gl_Position = plot_pos(vec2(bx, by));
   }
 `
+}
 
 const BARS_FRAG = `#version 300 es
   precision mediump float;
@@ -51,16 +69,19 @@ const BARS_FRAG = `#version 300 es
 
 class BarsLayerType extends LayerType {
   constructor() {
-    super({ name: "bars", vert: BARS_VERT, frag: BARS_FRAG })
+    super({ name: "bars", vert: makeBarsVert(1), frag: BARS_FRAG })
   }
 
   _getAxisConfig(parameters, data) {
     const d = Data.wrap(data)
-    const { xData, yData, xAxis = "xaxis_bottom", yAxis = "yaxis_left", orientation = "vertical" } = parameters
+    const { xData, yData, xAxis = "xaxis_bottom", yAxis = "yaxis_left", orientation = "vertical", stack = "none" } = parameters
+    const first = seriesExprs(yData)[0]
+    const valueQK = stack === "normalized" ? "percent"
+      : typeof first === 'string' ? (d.getQuantityKind(first) ?? first) : resolveQuantityKind(first, d)
     if (orientation === "horizontal") {
       return {
         xAxis,
-        xAxisQuantityKind: d.getQuantityKind(yData) ?? yData,
+        xAxisQuantityKind: valueQK,
         yAxis,
         yAxisQuantityKind: d.getQuantityKind(xData) ?? xData,
       }
@@ -69,7 +90,7 @@ class BarsLayerType extends LayerType {
       xAxis,
       xAxisQuantityKind: d.getQuantityKind(xData) ?? xData,
       yAxis,
-      yAxisQuantityKind: d.getQuantityKind(yData) ?? yData,
+      yAxisQuantityKind: valueQK,
     }
   }
 
@@ -84,9 +105,17 @@ class BarsLayerType extends LayerType {
           description: "Column name for bin center x positions"
         },
         yData: {
+          anyOf: [
+            { type: "string", enum: cols },
+            { type: "array", items: EXPRESSION_REF, minItems: 1, maxItems: MAX_SERIES },
+          ],
+          description: "Column name for bar heights (counts), or an array of value expressions, one per series"
+        },
+        stack: {
           type: "string",
-          enum: cols,
-          description: "Column name for bar heights (counts)"
+          enum: Object.keys(STACK_MODES),
+          default: "none",
+          description: "How several series share a bin: none (overlaid), stacked, normalized (stacked to 100 %) or grouped (side by side)"
         },
         color: {
           type: "string",
@@ -95,6 +124,11 @@ class BarsLayerType extends LayerType {
           default: "#3380cc",
           description: "Bar colour as a CSS hex colour (#rgb, #rgba, #rrggbb, #rrggbbaa)"
         },
+        colors: {
+          type: "array",
+          items: { type: "string", format: "color" },
+          description: "One colour per series; defaults to a categorical palette starting with `color`"
+        },
         orientation: {
           type: "string",
           enum: ["vertical", "horizontal"],
@@ -116,51 +150,83 @@ class BarsLayerType extends LayerType {
     }
   }
 
-  _createLayer(regl, parameters, data, plot) {
+  async _createLayer(regl, parameters, data, plot) {
     const d = Data.wrap(data)
     const {
       xData,
       yData,
       color = "#3380cc",
+      colors,
       orientation = "vertical",
+      stack = "none",
     } = parameters
 
+    const exprs = seriesExprs(yData)
+    if (exprs.length > MAX_SERIES) throw new Error(`[gladly] bars: at most ${MAX_SERIES} series, got ${exprs.length}`)
+    if (!(stack in STACK_MODES)) throw new Error(`[gladly] bars: unknown stack mode '${stack}'`)
+
     const xRef = d.getData(xData)
-    const yRef = d.getData(yData)
     if (!xRef) throw new Error(`BarsLayer: column '${xData}' not found`)
-    if (!yRef) throw new Error(`BarsLayer: column '${yData}' not found`)
+    const yRefs = []
+    for (const expr of exprs) {
+      const ref = typeof expr === 'string' ? d.getData(expr) : await resolveExprToColumn(expr, d, regl, plot)
+      if (!ref) throw new Error(`BarsLayer: column '${expr}' not found`)
+      yRefs.push(ref)
+    }
 
     const bins = xRef.length ?? 1
 
     const xDomain = d.getDomain(xData) ?? [0, 1]
-    const yDomain = d.getDomain(yData) ?? [0, 1]
-    const binHalfWidth = (xDomain[1] - xDomain[0]) / (2 * bins)
-
-    const xQK = d.getQuantityKind(xData) ?? xData
-    const yQK = d.getQuantityKind(yData) ?? yData
+    const yDomain = stackDomain(
+      stack,
+      yRefs.map(ref => ref.array ?? null),
+      exprs.map((expr, j) => (typeof expr === 'string' ? d.getDomain(expr) : null) ?? yRefs[j].domain),
+    ) ?? [0, 1]
+    // Categorical bins are one band wide; leave a small gap between neighbouring bars.
+    const xCategories = d.getCategories?.(xData) ?? null
+    const binHalfWidth = xCategories ? 0.4 : (xDomain[1] - xDomain[0]) / (2 * bins)
+
+    const { xAxis, yAxis, xAxisQuantityKind, yAxisQuantityKind } = this._getAxisConfig(parameters, d)
+    const [xQK, yQK] = orientation === "horizontal"
+      ? [yAxisQuantityKind, xAxisQuantityKind]
+      : [xAxisQuantityKind, yAxisQuantityKind]
+
+    // Only the bins are rebased: bar lengths start at 0 on the value axis.
+    const bin = this._rebaseSpatial(xRef, orientation === "horizontal" ? yAxis : xAxis, xQK, plot)
 
     // Per-vertex corner indices 0–3 (triangle-strip quad)
     const a_corner = new Float32Array([0, 1, 2, 3])
+    const series = Object.fromEntries(yRefs.map((ref, j) => [`s${j}`, ref]))
+    const palette = [color, ...SERIES_COLORS.filter(c => c !== color)]
 
-    return [{
+    return yRefs.map((_, j) => ({
       attributes: {
         a_corner,    // per-vertex, no divisor
-        x_center: xRef,  // live ref → resolved via _isLive path in resolveToGlslExpr
-        count: yRef,     // live ref → resolved via _isLive path
+        x_center: bin.col,  // live ref → resolved via _isLive path in resolveToGlslExpr
+        ...series,       // live refs, one per series
       },
       uniforms: {
-        u_binHalfWidth: binHalfWidth,
-        u_color: parseCssColor(color),
-        u_horizontal: orientation === "horizontal" ? 1.0 : 0.0,
+        u_binHalfWidth: () => binHalfWidth,
+        u_color: () => parseCssColor(colors?.[j] ?? palette[j % palette.length]),
+        u_horizontal: () => orientation === "horizontal" ? 1.0 : 0.0,
+        u_series: () => j,
+        u_stackMode: () => STACK_MODES[stack],
       },
       vertexCount: 4,
       instanceCount: bins,
       primitive: "triangle strip",
+      spatialOffsets: orientation === "horizontal" ? { y: bin.offset } : { x: bin.offset },
       domains: {
         [xQK]: xDomain,
         [yQK]: yDomain,
       },
-    }]
+      categories: xCategories ? { [xQK]: xCategories } : {},
+    }))
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    this.vert = makeBarsVert(Object.keys(layer.attributes).filter(k => /^s\d+$/.test(k)).length)
+    return await super.createDrawCommand(regl, layer, plot)
   }
 }
 
@@ -0,0 +1,341 @@
+import * as d3 from "d3-scale"
+import { LayerType } from "../core/LayerType.js"
+import { Data } from "../data/Data.js"
+import { ArrayColumn } from "../data/ColumnData.js"
+import { registerLayerType } from "../core/LayerTypeRegistry.js"
+import { AXIS_GEOMETRY } from "../axes/AxisRegistry.js"
+import { parseCssColor } from "../core/colorUtils.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+import { coordArray, asGrid, gridSize, cellCentres, evenEdges, edgeDomain } from "./GridShared.js"
+
+const X_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'x')
+const Y_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'y')
+
+// Isolines and filled bands of a 2D column, value (i, j) at grid point
+// (x_i, y_j). Both are extracted on the GPU from the grid texture, so computed
+// columns (scatter2dInterpolate, terrain) work without a readback.
+//
+// Lines: marching squares, one instance per (cell, level) pair drawn as two
+// line segments (4 vertices); unused segments collapse outside the clip volume.
+// Fill: one quad per cell, bilinearly interpolated per fragment and coloured
+// by the band the value falls in.
+//
+// Cells are numbered like the grid points at their lower-left corner,
+// i + nx * j (the last row and column of instances draw nothing), and lines
+// repeat that numbering once per level. So with gridShape [nx, ny] a pick maps
+// back to the cell, and its index is the vData row at the corner.
+//
+// Levels live on the colour axis of vData, so colorbars tick at them.
+
+// Crossed cell edges per marching-squares case (corner bits: 1 = (i, j),
+// 2 = (i+1, j), 4 = (i+1, j+1), 8 = (i, j+1)); edges 0 bottom, 1 right,
+// 2 top, 3 left; -1 = no segment. Saddles 5 and 10 are swapped when the cell
+// centre is above the level.
+const SEGMENTS_GLSL = `const ivec4 SEGMENTS[16] = ivec4[16](
+    ivec4(-1, -1, -1, -1), ivec4(3, 0, -1, -1), ivec4(0, 1, -1, -1), ivec4(3, 1, -1, -1),
+    ivec4(1, 2, -1, -1),   ivec4(3, 0, 1, 2),   ivec4(0, 2, -1, -1), ivec4(3, 2, -1, -1),
+    ivec4(2, 3, -1, -1),   ivec4(0, 2, -1, -1), ivec4(0, 1, 2, 3),   ivec4(1, 2, -1, -1),
+    ivec4(1, 3, -1, -1),   ivec4(0, 1, -1, -1), ivec4(3, 0, -1, -1), ivec4(-1, -1, -1, -1));`
+
+const SEGMENT_TABLE = [
+  [], [3, 0], [0, 1], [3, 1], [1, 2], [3, 0, 1, 2], [0, 2], [3, 2],
+  [2, 3], [0, 2], [0, 1, 2, 3], [1, 2], [1, 3], [0, 1], [3, 0], [],
+]
+
+function makeLinesVert(hasColorFilter) {
+  return `#version 300 es
+  precision highp float;
+  in float a_corner;
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  uniform ivec2 u_grid;
+  flat out float value;
+  ${SEGMENTS_GLSL}
+  void main() {
+    int points = u_grid.x * u_grid.y;
+    int k = int(a_pickId + 0.5);
+    int cell = k % points;
+    value = sample_contour_levels(ivec2(k / points, 0));
+    ivec2 ij = ivec2(cell % u_grid.x, cell / u_grid.x);
+    if (ij.x >= u_grid.x - 1 || ij.y >= u_grid.y - 1) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }
+    float v00 = sample_grid_value(ij);
+    float v10 = sample_grid_value(ij + ivec2(1, 0));
+    float v11 = sample_grid_value(ij + ivec2(1, 1));
+    float v01 = sample_grid_value(ij + ivec2(0, 1));
+    int c = (v00 > value ? 1 : 0) + (v10 > value ? 2 : 0) + (v11 > value ? 4 : 0) + (v01 > value ? 8 : 0);
+    if ((c == 5 || c == 10) && (v00 + v10 + v11 + v01) * 0.25 > value) c = 15 - c;
+    int e = SEGMENTS[c][int(a_corner)];
+    bool skip = e < 0 || isnan(v00 + v10 + v11 + v01);
+    ${hasColorFilter ? 'skip = skip || !color_filter_(value);' : ''}
+    if (skip) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }
+    float x0 = sample_x_coords(ivec2(ij.x, 0)), x1 = sample_x_coords(ivec2(ij.x + 1, 0));
+    float y0 = sample_y_coords(ivec2(ij.y, 0)), y1 = sample_y_coords(ivec2(ij.y + 1, 0));
+    vec2 p;
+    if (e == 0)      p = vec2(mix(x0, x1, (value - v00) / (v10 - v00)), y0);
+    else if (e == 1) p = vec2(x1, mix(y0, y1, (value - v10) / (v11 - v10)));
+    else if (e == 2) p = vec2(mix(x0, x1, (value - v01) / (v11 - v01)), y1);
+    else             p = vec2(x0, mix(y0, y1, (value - v00) / (v01 - v00)));
+    gl_Position = plot_pos(p);
+  }
+`
+}
+
+const LINES_FRAG = `#version 300 es
+  precision highp float;
+  uniform vec4 u_line_color;
+  uniform float u_use_line_color;
+  flat in float value;
+  void main() {
+    fragColor = u_use_line_color > 0.5 ? gladly_apply_color(u_line_color) : map_color_(value);
+  }
+`
+
+const FILL_VERT = `#version 300 es
+  precision highp float;
+  in float a_corner;
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  uniform ivec2 u_grid;
+  flat out vec4 v_corners;
+  out vec2 v_uv;
+  void main() {
+    int cell = int(a_pickId + 0.5);
+    ivec2 ij = ivec2(cell % u_grid.x, cell / u_grid.x);
+    if (ij.x >= u_grid.x - 1 || ij.y >= u_grid.y - 1) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }
+    float side = mod(a_corner, 2.0);       // 0 = left, 1 = right
+    float vert = floor(a_corner / 2.0);    // 0 = bottom, 1 = top
+    v_corners = vec4(sample_grid_value(ij), sample_grid_value(ij + ivec2(1, 0)),
+                     sample_grid_value(ij + ivec2(0, 1)), sample_grid_value(ij + ivec2(1, 1)));
+    float x = sample_x_coords(ivec2(ij.x + int(side), 0));
+    float y = sample_y_coords(ivec2(ij.y + int(vert), 0));
+    gl_Position = plot_pos(vec2(x, y));
+    v_uv = vec2(side, vert);
+  }
+`
+
+const FILL_FRAG = `#version 300 es
+  precision highp float;
+  uniform int u_nlevels;
+  flat in vec4 v_corners;
+  in vec2 v_uv;
+  void main() {
+    float v = mix(mix(v_corners.x, v_corners.y, v_uv.x), mix(v_corners.z, v_corners.w, v_uv.x), v_uv.y);
+    if (isnan(v)) discard;
+    // Band b lies between levels b - 1 and b; it takes the colour of its middle.
+    int b = 0;
+    for (int k = 0; k < u_nlevels; k++) if (v >= sample_contour_levels(ivec2(k, 0))) b = k + 1;
+    float lo = sample_contour_levels(ivec2(max(b - 1, 0), 0));
+    float hi = sample_contour_levels(ivec2(min(b, u_nlevels - 1), 0));
+    fragColor = map_color_(0.5 * (lo + hi));
+  }
+`
+
+function formatLevel(v) {
+  return String(+v.toPrecision(4))
+}
+
+// Label positions for each level: midpoints of contour segments, at least
+// `spacing` cells apart along each level. Needs the grid values in memory.
+function contourLabels(values, xs, ys, levels) {
+  const nx = xs.length, ny = ys.length
+  const spacing = Math.max(2, Math.round(Math.max(nx, ny) / 4))
+  const labels = []
+  for (const level of levels) {
+    const placed = []
+    for (let j = 0; j < ny - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        if (placed.some(([pi, pj]) => Math.abs(pi - i) < spacing && Math.abs(pj - j) < spacing)) continue
+        const v00 = values[i + nx * j], v10 = values[i + 1 + nx * j]
+        const v11 = values[i + 1 + nx * (j + 1)], v01 = values[i + nx * (j + 1)]
+        if (!isFinite(v00 + v10 + v11 + v01)) continue
+        const c = (v00 > level) + 2 * (v10 > level) + 4 * (v11 > level) + 8 * (v01 > level)
+        const [ea, eb] = SEGMENT_TABLE[c]
+        if (ea === undefined) continue
+        const point = e =>
+          e === 0 ? [xs[i] + (xs[i + 1] - xs[i]) * (level - v00) / (v10 - v00), ys[j]]
+          : e === 1 ? [xs[i + 1], ys[j] + (ys[j + 1] - ys[j]) * (level - v10) / (v11 - v10)]
+          : e === 2 ? [xs[i] + (xs[i + 1] - xs[i]) * (level - v01) / (v11 - v01), ys[j + 1]]
+          : [xs[i], ys[j] + (ys[j + 1] - ys[j]) * (level - v00) / (v01 - v00)]
+        const [ax, ay] = point(ea), [bx, by] = point(eb)
+        labels.push({ x: (ax + bx) / 2, y: (ay + by) / 2, text: formatLevel(level) })
+        placed.push([i, j])
+      }
+    }
+  }
+  return labels
+}
+
+class ContourLayerType extends LayerType {
+  constructor() {
+    super({ name: "contour", vert: makeLinesVert(false), frag: LINES_FRAG })
+  }
+
+  _getAxisConfig(parameters, data) {
+    const d = Data.wrap(data)
+    const {
+      xData, yData, vData,
+      xQuantityKind = "x", yQuantityKind = "y",
+      xAxis = "xaxis_bottom", yAxis = "yaxis_left",
+    } = parameters
+    return {
+      xAxis,
+      xAxisQuantityKind: xData ? resolveQuantityKind(xData, d) : xQuantityKind,
+      yAxis,
+      yAxisQuantityKind: yData ? resolveQuantityKind(yData, d) : yQuantityKind,
+      colorAxisQuantityKinds: { '': resolveQuantityKind(vData, d) },
+    }
+  }
+
+  schema(data) {
+    return {
+      type: "object",
+      properties: {
+        vData: { ...EXPRESSION_REF, description: "2D column of values at the grid points, shape [nx, ny]; a 1D column of nx·ny values is read row by row (x fastest)" },
+        xData: { ...EXPRESSION_REF_OPT, description: "Column of the nx grid point positions along x (nx + 1 cell edges are also accepted)" },
+        yData: { ...EXPRESSION_REF_OPT, description: "Column of the ny grid point positions along y (ny + 1 cell edges are also accepted)" },
+        xRange: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2, description: "Outer x edges [x0, x1] of an evenly spaced grid (points at the cell centres), when there is no xData" },
+        yRange: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2, description: "Outer y edges [y0, y1] of an evenly spaced grid (points at the cell centres), when there is no yData" },
+        xQuantityKind: { type: "string", default: "x", description: "Quantity kind of the x axis when the grid is given by xRange" },
+        yQuantityKind: { type: "string", default: "y", description: "Quantity kind of the y axis when the grid is given by yRange" },
+        levels: {
+          anyOf: [
+            { type: "integer", minimum: 1 },
+            { type: "array", items: { type: "number" }, minItems: 1 },
+          ],
+          default: 10,
+          description: "Contour levels, or about how many evenly spaced round levels to place over the vData domain"
+        },
+        fill: { type: "boolean", default: false, description: "Fill the bands between levels, each in the colour of its middle value" },
+        lines: { type: "boolean", default: true, description: "Draw the isolines" },
+        lineColor: {
+          type: "string",
+          format: "color",
+          "x-format": "color",
+          description: "Isoline colour as a CSS color string; by default each line takes its level's colour"
+        },
+        lineWidth: {
+          type: "number",
+          default: 1.0,
+          minimum: 1,
+          description: "Line width in pixels (note: browsers may clamp values above 1)"
+        },
+        labels: { type: "boolean", default: false, description: "Label the isolines with their levels (vData must be held in memory)" },
+        xAxis: { type: "string", enum: X_AXES, default: "xaxis_bottom" },
+        yAxis: { type: "string", enum: Y_AXES, default: "yaxis_left" },
+      },
+      required: ["vData"]
+    }
+  }
+
+  async _createLayer(regl, parameters, data, plot) {
+    const d = Data.wrap(data)
+    const {
+      vData, xData, yData, xRange, yRange,
+      levels: levelsParam = 10, fill = false, lines = true,
+      lineColor = null, lineWidth = 1.0, labels = false,
+    } = parameters
+
+    const vCol = await resolveExprToColumn(vData, d, regl, plot)
+    const xCoords = xData ? coordArray(d, xData, "contour", "xData") : null
+    const yCoords = yData ? coordArray(d, yData, "contour", "yData") : null
+    const [nx, ny] = gridSize(vCol, xCoords, yCoords, "contour")
+    if (nx < 2 || ny < 2) throw new Error(`[gladly] contour: needs a grid of at least 2×2 points, got ${nx}×${ny}`)
+
+    if (!xCoords && !xRange) throw new Error(`[gladly] contour: needs xData or xRange`)
+    if (!yCoords && !yRange) throw new Error(`[gladly] contour: needs yData or yRange`)
+    const xs = cellCentres(xCoords ?? evenEdges(xRange, nx), nx)
+    const ys = cellCentres(yCoords ?? evenEdges(yRange, ny), ny)
+    if (xs.length !== nx || ys.length !== ny || xs.some(isNaN) || ys.some(isNaN)) {
+      throw new Error(`[gladly] contour: xData / yData lengths do not match the ${nx}×${ny} grid`)
+    }
+
+    const axisConfig = this._getAxisConfig(parameters, d)
+    const vQK = axisConfig.colorAxisQuantityKinds['']
+    const vDomain = (typeof vData === 'string' ? d.getDomain(vData) : null) ?? vCol.domain
+    let levels
+    if (Array.isArray(levelsParam)) {
+      levels = [...levelsParam].sort((a, b) => a - b)
+    } else {
+      if (!vDomain) throw new Error(`[gladly] contour: vData has no domain to place ${levelsParam} levels in; give the levels explicitly`)
+      levels = d3.scaleLinear().domain(vDomain).ticks(levelsParam)
+    }
+    if (!levels.length) throw new Error(`[gladly] contour: no contour levels`)
+
+    const grid = asGrid(vCol, nx, ny, "contour", "vData")
+    const { xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    const x = this._rebaseSpatial(new ArrayColumn(xs, { shape: [nx, 1] }), xAxis, axisConfig.xAxisQuantityKind, plot)
+    const y = this._rebaseSpatial(new ArrayColumn(ys, { shape: [ny, 1] }), yAxis, axisConfig.yAxisQuantityKind, plot)
+    const attributes = {
+      a_corner: new Float32Array([0, 1, 2, 3]),
+      grid_value: grid,
+      x_coords: x.col,
+      y_coords: y.col,
+      contour_levels: new ArrayColumn(Float32Array.from(levels), { shape: [levels.length, 1] }),
+    }
+    const base = {
+      uniforms: { u_grid: () => [nx, ny] },
+      domains: {
+        [axisConfig.xAxisQuantityKind]: edgeDomain(xs),
+        [axisConfig.yAxisQuantityKind]: edgeDomain(ys),
+        ...(vQK && vDomain ? { [vQK]: vDomain } : {}),
+      },
+      colorLevels: vQK ? { [vQK]: levels } : {},
+      vertexCount: 4,
+      gridShape: [nx, ny],
+      spatialOffsets: { x: x.offset, y: y.offset },
+    }
+
+    let labelPositions = null
+    if (labels) {
+      if (grid.array) labelPositions = contourLabels(grid.array, xs, ys, levels)
+      else console.warn(`[gladly] contour: labels need vData held in memory; computed columns are not labelled`)
+    }
+
+    const gpuConfigs = []
+    if (fill) {
+      gpuConfigs.push({
+        ...base,
+        attributes,
+        uniforms: { ...base.uniforms, u_nlevels: () => levels.length },
+        instanceCount: nx * ny,
+        primitive: "triangle strip",
+      })
+    }
+    if (lines) {
+      gpuConfigs.push({
+        ...base,
+        attributes,
+        uniforms: {
+          ...base.uniforms,
+          u_line_color: () => lineColor ? parseCssColor(lineColor) : [0, 0, 0, 1],
+          u_use_line_color: () => lineColor ? 1.0 : 0.0,
+        },
+        instanceCount: nx * ny * levels.length,
+        primitive: "lines",
+        lineWidth,
+        labels: labelPositions,
+      })
+    }
+    if (!gpuConfigs.length) throw new Error(`[gladly] contour: fill and lines are both off; nothing to draw`)
+    return gpuConfigs
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    if (layer.primitive === "lines") {
+      this.vert = makeLinesVert('' in layer.colorAxes)
+      this.frag = LINES_FRAG
+    } else {
+      this.vert = FILL_VERT
+      this.frag = FILL_FRAG
+    }
+    return await super.createDrawCommand(regl, layer, plot)
+  }
+}
+
+export const contourLayerType = new ContourLayerType()
+registerLayerType("contour", contourLayerType)
+export { ContourLayerType }
@@ -3,7 +3,7 @@ import { GLTFLoader, postProcessGLTF } from '@loaders.gl/gltf'
 import { LayerType } from '../core/LayerType.js'
 import { Layer } from '../core/Layer.js'
 import { registerLayerType } from '../core/LayerTypeRegistry.js'
-import { AXES } from '../axes/AxisRegistry.js'
+import { AXES, buildSpatialGlsl, breakUniforms } from '../axes/AxisRegistry.js'
 
 // ── Geometry helpers ────────────────────────────────────────────────────────
 
@@ -59,25 +59,7 @@ function normalize3(v) {
 
 // ── GLSL shaders ─────────────────────────────────────────────────────────────
 
-const SPATIAL_VERT = `
-uniform vec2 xDomain; uniform vec2 yDomain; uniform vec2 zDomain;
-uniform float xScaleType; uniform float yScaleType; uniform float zScaleType;
-uniform float u_is3D; uniform mat4 u_mvp;
-out vec3 v_clip_pos;
-
-float normalize_axis(float v, vec2 domain, float scaleType) {
-  float vt = scaleType > 0.5 ? log(v) : v;
-  float d0 = scaleType > 0.5 ? log(domain.x) : domain.x;
-  float d1 = scaleType > 0.5 ? log(domain.y) : domain.y;
-  return (vt - d0) / (d1 - d0);
-}
-vec4 plot_pos_3d(vec3 pos) {
-  float nx = normalize_axis(pos.x, xDomain, xScaleType);
-  float ny = normalize_axis(pos.y, yDomain, yScaleType);
-  float nz = normalize_axis(pos.z, zDomain, zScaleType);
-  v_clip_pos = vec3(nx, ny, nz);
-  return u_mvp * vec4(nx*2.0-1.0, ny*2.0-1.0, nz*2.0-1.0, 1.0);
-}`
+const SPATIAL_VERT = buildSpatialGlsl()
 
 const GLTF_VERT_NO_TEX = `#version 300 es
 precision mediump float;
@@ -314,6 +296,10 @@ class GltfLayerType extends LayerType {
             xScaleType:       regl.prop('xScaleType'),
             yScaleType:       regl.prop('yScaleType'),
             zScaleType:       regl.prop('zScaleType'),
+            xScaleParam:      regl.prop('xScaleParam'),
+            yScaleParam:      regl.prop('yScaleParam'),
+            zScaleParam:      regl.prop('zScaleParam'),
+            ...breakUniforms(regl),
             u_is3D:           regl.prop('u_is3D'),
             u_mvp:            regl.prop('u_mvp'),
             u_pickingMode:    regl.prop('u_pickingMode'),
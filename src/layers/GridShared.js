@@ -0,0 +1,72 @@
+import { ArrayColumn } from "../data/ColumnData.js"
+
+// Helpers shared by layers drawing 2D gridded columns (image, contour). Value
+// (i, j) of an [nx, ny] grid is element i + nx * j; coordinate columns along x
+// and y hold nx / ny cell centres or nx + 1 / ny + 1 cell edges. Coordinates are
+// computed in float64 so the layers can rebase them (e.g. on time axes).
+
+// CPU array of a coordinate column.
+export function coordArray(d, expr, layerName, what) {
+  const array = typeof expr === 'string' ? d.getData(expr)?.array : expr?.array
+  if (!array) throw new Error(`[gladly] ${layerName}: ${what} must be a data column held in memory`)
+  return array
+}
+
+// A column viewed as an [nx, ny] grid. 1D columns held in memory are reshaped.
+export function asGrid(col, nx, ny, layerName, what) {
+  const [sx, sy = 1] = col.shape
+  if (col.ndim === 2 && sx === nx && sy === ny) return col
+  if (col.ndim === 1 && col.array && col.array.length === nx * ny) {
+    return new ArrayColumn(col.array, { domain: col.domain, quantityKind: col.quantityKind, shape: [nx, ny] })
+  }
+  throw new Error(`[gladly] ${layerName}: ${what} has shape [${col.shape}], expected [${nx}, ${ny}]`)
+}
+
+// [nx, ny] of a value column: its own 2D shape, else what the coordinates imply.
+export function gridSize(vCol, xCoords, yCoords, layerName) {
+  if (vCol.ndim === 2) return vCol.shape
+  const n = vCol.length
+  let nx = xCoords ? xCoords.length : null
+  let ny = yCoords ? yCoords.length : null
+  if (nx != null && ny != null && nx * ny !== n) {
+    if ((nx - 1) * ny === n) nx -= 1
+    else if (nx * (ny - 1) === n) ny -= 1
+    else if ((nx - 1) * (ny - 1) === n) { nx -= 1; ny -= 1 }
+  }
+  if (nx == null && ny != null) nx = n / ny
+  if (ny == null && nx != null) ny = n / nx
+  if (nx == null || !Number.isInteger(nx) || !Number.isInteger(ny)) {
+    throw new Error(`[gladly] ${layerName}: cannot tell the grid size of vData — give it shape [nx, ny] or xData / yData coordinates`)
+  }
+  return [nx, ny]
+}
+
+// n cell centres → n + 1 edges half-way between them; n + 1 edges pass through.
+export function cellEdges(coords, n) {
+  if (coords.length === n + 1) return Float64Array.from(coords)
+  const edges = new Float64Array(n + 1)
+  if (n === 1) {
+    edges[0] = coords[0] - 0.5
+    edges[1] = coords[0] + 0.5
+    return edges
+  }
+  for (let k = 1; k < n; k++) edges[k] = (coords[k - 1] + coords[k]) / 2
+  edges[0] = coords[0] - (coords[1] - coords[0]) / 2
+  edges[n] = coords[n - 1] + (coords[n - 1] - coords[n - 2]) / 2
+  return edges
+}
+
+// n + 1 edges → n cell centres; n centres pass through.
+export function cellCentres(coords, n) {
+  if (coords.length === n) return Float64Array.from(coords)
+  return Float64Array.from({ length: n }, (_, k) => (coords[k] + coords[k + 1]) / 2)
+}
+
+// Outer edges [lo, hi] → n + 1 evenly spaced edges.
+export function evenEdges([lo, hi], n) {
+  return Float64Array.from({ length: n + 1 }, (_, k) => lo + (hi - lo) * k / n)
+}
+
+export function edgeDomain(edges) {
+  return [Math.min(edges[0], edges[edges.length - 1]), Math.max(edges[0], edges[edges.length - 1])]
+}
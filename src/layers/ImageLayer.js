@@ -0,0 +1,180 @@
+import { LayerType } from "../core/LayerType.js"
+import { Data } from "../data/Data.js"
+import { ArrayColumn } from "../data/ColumnData.js"
+import { registerLayerType } from "../core/LayerTypeRegistry.js"
+import { coordArray, asGrid, gridSize, cellEdges, evenEdges, edgeDomain } from "./GridShared.js"
+import { AXIS_GEOMETRY } from "../axes/AxisRegistry.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+
+const X_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'x')
+const Y_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'y')
+
+// Colour-mapped raster of a 2D column: value (i, j) is element i + nx * j, so
+// i runs along x and j along y (the layout of ColumnData shape [nx, ny]).
+//
+// Each cell is one instanced quad (4 vertices, triangle strip), so the pick id
+// is the cell index i + nx * j and cells may have uneven sizes. Cell edges come
+// from xData / yData — nx cell centres (edges half-way between them) or nx + 1
+// edges — or from xRange / yRange for an evenly spaced grid.
+//
+// "nearest" fills each cell with its value; "bilinear" interpolates between
+// cell centres per fragment. Colour filters and fData act per cell.
+
+function makeImageVert(hasFilter, hasColorFilter) {
+  return `#version 300 es
+  precision highp float;
+  in float a_corner;
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  uniform ivec2 u_grid;
+  flat out float value;
+  flat out vec2 v_cell;
+  out vec2 v_uv;
+  void main() {
+    int cell = int(a_pickId + 0.5);
+    ivec2 ij = ivec2(cell % u_grid.x, cell / u_grid.x);
+    float side = mod(a_corner, 2.0);       // 0 = left, 1 = right
+    float vert = floor(a_corner / 2.0);    // 0 = bottom, 1 = top
+    value = sample_cell_value(ij);
+    ${hasFilter ? 'if (!filter_(sample_cell_filter(ij))) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    ${hasColorFilter ? 'if (!color_filter_(value)) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    float x = sample_x_edges(ivec2(ij.x + int(side), 0));
+    float y = sample_y_edges(ivec2(ij.y + int(vert), 0));
+    gl_Position = plot_pos(vec2(x, y));
+    v_cell = vec2(ij);
+    v_uv = vec2(side, vert);
+  }
+`
+}
+
+const IMAGE_FRAG = `#version 300 es
+  precision highp float;
+  uniform ivec2 u_grid;
+  uniform float u_bilinear;
+  flat in float value;
+  flat in vec2 v_cell;
+  in vec2 v_uv;
+  void main() {
+    float v = value;
+    if (u_bilinear > 0.5) {
+      vec2 p = v_cell + v_uv - 0.5;
+      vec2 f = p - floor(p);
+      ivec2 a = clamp(ivec2(floor(p)), ivec2(0), u_grid - 1);
+      ivec2 b = clamp(ivec2(floor(p)) + 1, ivec2(0), u_grid - 1);
+      v = mix(mix(sample_cell_value(a), sample_cell_value(ivec2(b.x, a.y)), f.x),
+              mix(sample_cell_value(ivec2(a.x, b.y)), sample_cell_value(b), f.x), f.y);
+    }
+    if (isnan(v)) discard;
+    fragColor = map_color_(v);
+  }
+`
+
+class ImageLayerType extends LayerType {
+  constructor() {
+    super({ name: "image", vert: makeImageVert(false, false), frag: IMAGE_FRAG })
+  }
+
+  _getAxisConfig(parameters, data) {
+    const d = Data.wrap(data)
+    const {
+      xData, yData, vData, fData,
+      xQuantityKind = "x", yQuantityKind = "y",
+      xAxis = "xaxis_bottom", yAxis = "yaxis_left",
+    } = parameters
+    const fQK = fData ? resolveQuantityKind(fData, d) : null
+    return {
+      xAxis,
+      xAxisQuantityKind: xData ? resolveQuantityKind(xData, d) : xQuantityKind,
+      yAxis,
+      yAxisQuantityKind: yData ? resolveQuantityKind(yData, d) : yQuantityKind,
+      colorAxisQuantityKinds: { '': resolveQuantityKind(vData, d) },
+      filterAxisQuantityKinds: fQK ? { '': fQK } : {},
+    }
+  }
+
+  schema(data) {
+    return {
+      type: "object",
+      properties: {
+        vData: { ...EXPRESSION_REF, description: "2D column of cell values, shape [nx, ny]; a 1D column of nx·ny values is read row by row (x fastest)" },
+        xData: { ...EXPRESSION_REF_OPT, description: "Column of nx cell centres or nx + 1 cell edges along x" },
+        yData: { ...EXPRESSION_REF_OPT, description: "Column of ny cell centres or ny + 1 cell edges along y" },
+        xRange: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2, description: "Outer x edges [x0, x1] of an evenly spaced grid, when there is no xData" },
+        yRange: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2, description: "Outer y edges [y0, y1] of an evenly spaced grid, when there is no yData" },
+        xQuantityKind: { type: "string", default: "x", description: "Quantity kind of the x axis when the grid is given by xRange" },
+        yQuantityKind: { type: "string", default: "y", description: "Quantity kind of the y axis when the grid is given by yRange" },
+        fData: { ...EXPRESSION_REF_OPT, description: "2D column, shape [nx, ny], on a filter axis; cells outside the filter range are not drawn" },
+        interpolation: {
+          type: "string",
+          enum: ["nearest", "bilinear"],
+          default: "nearest",
+          description: "nearest: flat cells; bilinear: interpolate between cell centres"
+        },
+        xAxis: { type: "string", enum: X_AXES, default: "xaxis_bottom" },
+        yAxis: { type: "string", enum: Y_AXES, default: "yaxis_left" },
+      },
+      required: ["vData"]
+    }
+  }
+
+  async _createLayer(regl, parameters, data, plot) {
+    const d = Data.wrap(data)
+    const { vData, xData, yData, xRange, yRange, fData, interpolation = "nearest" } = parameters
+
+    const vCol = await resolveExprToColumn(vData, d, regl, plot)
+    const xCoords = xData ? coordArray(d, xData, "image", "xData") : null
+    const yCoords = yData ? coordArray(d, yData, "image", "yData") : null
+
+    const [nx, ny] = gridSize(vCol, xCoords, yCoords, "image")
+
+    if (!xCoords && !xRange) throw new Error(`[gladly] image: needs xData or xRange`)
+    if (!yCoords && !yRange) throw new Error(`[gladly] image: needs yData or yRange`)
+    const xEdges = xCoords ? cellEdges(xCoords, nx) : evenEdges(xRange, nx)
+    const yEdges = yCoords ? cellEdges(yCoords, ny) : evenEdges(yRange, ny)
+    if (xEdges.length !== nx + 1 || yEdges.length !== ny + 1) {
+      throw new Error(`[gladly] image: xData / yData lengths do not match the ${nx}×${ny} grid`)
+    }
+
+    const axisConfig = this._getAxisConfig(parameters, d)
+    const vQK = axisConfig.colorAxisQuantityKinds['']
+    const vDomain = (typeof vData === 'string' ? d.getDomain(vData) : null) ?? vCol.domain
+    const { xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    const x = this._rebaseSpatial(new ArrayColumn(xEdges, { shape: [nx + 1, 1] }), xAxis, axisConfig.xAxisQuantityKind, plot)
+    const y = this._rebaseSpatial(new ArrayColumn(yEdges, { shape: [ny + 1, 1] }), yAxis, axisConfig.yAxisQuantityKind, plot)
+
+    return [{
+      attributes: {
+        a_corner: new Float32Array([0, 1, 2, 3]),
+        cell_value: asGrid(vCol, nx, ny, "image", "vData"),
+        x_edges: x.col,
+        y_edges: y.col,
+        ...(fData ? { cell_filter: asGrid(await resolveExprToColumn(fData, d, regl, plot), nx, ny, "image", "fData") } : {}),
+      },
+      uniforms: {
+        u_grid: () => [nx, ny],
+        u_bilinear: () => interpolation === "bilinear" ? 1.0 : 0.0,
+      },
+      domains: {
+        [axisConfig.xAxisQuantityKind]: edgeDomain(xEdges),
+        [axisConfig.yAxisQuantityKind]: edgeDomain(yEdges),
+        ...(vQK && vDomain ? { [vQK]: vDomain } : {}),
+      },
+      vertexCount: 4,
+      instanceCount: nx * ny,
+      primitive: "triangle strip",
+      gridShape: [nx, ny],
+      spatialOffsets: { x: x.offset, y: y.offset },
+    }]
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    this.vert = makeImageVert(Object.keys(layer.filterAxes).length > 0, '' in layer.colorAxes)
+    return await super.createDrawCommand(regl, layer, plot)
+  }
+}
+
+export const imageLayerType = new ImageLayerType()
+registerLayerType("image", imageLayerType)
+export { ImageLayerType }
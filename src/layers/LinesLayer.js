@@ -124,8 +124,9 @@ class LinesLayerType extends ScatterLayerTypeBase {
     const vQK  = vData  ? (resolveQuantityKind(vData,  d) ?? vData)  : null
     const vQK2 = vData2 ? (resolveQuantityKind(vData2, d) ?? vData2) : null
 
-    const colX   = await resolveExprToColumn(xData, d, regl, plot)
-    const colY   = await resolveExprToColumn(yData, d, regl, plot)
+    const { xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    const { col: colX, offset: xOffset } = this._rebaseSpatial(await resolveExprToColumn(xData, d, regl, plot), xAxis, xQK, plot)
+    const { col: colY, offset: yOffset } = this._rebaseSpatial(await resolveExprToColumn(yData, d, regl, plot), yAxis, yQK, plot)
     const colZ   = zData  ? await resolveExprToColumn(zData,  d, regl, plot) : null
     const colV   = vData  ? await resolveExprToColumn(vData,  d, regl, plot) : null
     const colV2  = vData2 ? await resolveExprToColumn(vData2, d, regl, plot) : null
@@ -166,6 +167,8 @@ class LinesLayerType extends ScatterLayerTypeBase {
       lineWidth,
       vertexCount: 2,
       instanceCount: N - 1,
+      spatialOffsets: { x: xOffset, y: yOffset },
+      categories: this._buildCategories(d, [[xData, xQK], [yData, yQK], [zData, zQK]]),
     }]
   }
 
@@ -0,0 +1,229 @@
+import { LayerType } from "../core/LayerType.js"
+import { Data } from "../data/Data.js"
+import { registerLayerType } from "../core/LayerTypeRegistry.js"
+import { AXIS_GEOMETRY } from "../axes/AxisRegistry.js"
+import { parseCssColor } from "../core/colorUtils.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+
+const X_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'x')
+const Y_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'y')
+const Z_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'z')
+
+// Many lines sharing one x column, one per y column. Each line is its own
+// gpuConfig drawn like the lines layer: a 2-vertex template (a_endPoint 0/1)
+// instanced once per segment, so pick returns the segment's start index and
+// selection captures both endpoints.
+//
+// Lines are coloured by their index on a color axis (quantity kind
+// `colorQuantityKind`, default "line_index", domain [0, lines − 1]). Segments
+// where either end of filterData exceeds `cutoff` are drawn in badColor; fData
+// on a filter axis hides segments instead.
+
+function makeMultiLineVert(hasFilter, hasQuality, hasZ, hasColorFilter) {
+  return `#version 300 es
+  precision mediump float;
+  in float a_endPoint;
+  in float a_x0;
+  in float a_x1;
+  in float a_y0;
+  in float a_y1;
+  ${hasZ ? 'in float a_z0;\n  in float a_z1;' : ''}
+  ${hasFilter ? 'in float a_f0;\n  in float a_f1;' : ''}
+  ${hasQuality ? 'in float a_q0;\n  in float a_q1;\n  uniform float u_cutoff;' : ''}
+  uniform float u_line_index;
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  out float v_line_index;
+  out float v_bad;
+  void main() {
+    float keep = 1.0;
+    ${hasFilter ? 'if (!filter_(a_f0) || !filter_(a_f1)) keep = 0.0;' : ''}
+    ${hasColorFilter ? 'if (!color_filter_(u_line_index)) keep = 0.0;' : ''}
+    float t = keep * a_endPoint;
+    float x = mix(a_x0, a_x1, t);
+    float y = mix(a_y0, a_y1, t);
+    ${hasZ ? 'float z = mix(a_z0, a_z1, t);\n    gl_Position = plot_pos_3d(vec3(x, y, z));'
+           : 'gl_Position = plot_pos(vec2(x, y));'}
+    v_line_index = u_line_index;
+    v_bad = ${hasQuality ? '(a_q0 > u_cutoff || a_q1 > u_cutoff) ? 1.0 : 0.0' : '0.0'};
+  }
+`
+}
+
+const MULTILINE_FRAG = `#version 300 es
+  precision mediump float;
+  uniform vec4 u_bad_color;
+  in float v_line_index;
+  in float v_bad;
+  void main() {
+    fragColor = v_bad > 0.5 ? gladly_apply_color(u_bad_color) : map_color_(v_line_index);
+  }
+`
+
+class MultiLineLayerType extends LayerType {
+  constructor() {
+    super({ name: "multiline", vert: makeMultiLineVert(false, false, false, false), frag: MULTILINE_FRAG })
+  }
+
+  // yData, or every column next to xData (same group) other than the x, z,
+  // filter and quality columns.
+  _yExprs(parameters, d) {
+    const { xData, yData, zData, fData, filterData } = parameters
+    if (yData != null) return Array.isArray(yData) ? yData : [yData]
+    const exclude = new Set([xData, zData, fData, filterData])
+    const dot = typeof xData === 'string' ? xData.lastIndexOf('.') : -1
+    const prefix = dot >= 0 ? xData.slice(0, dot + 1) : ''
+    return d.columns().filter(c =>
+      !exclude.has(c) && c.startsWith(prefix) && !c.slice(prefix.length).includes('.'))
+  }
+
+  _getAxisConfig(parameters, data) {
+    const d = Data.wrap(data)
+    const {
+      xData, zData, fData, colorQuantityKind = "line_index",
+      xAxis = "xaxis_bottom", yAxis = "yaxis_left", zAxis = "none",
+    } = parameters
+    const yExprs = this._yExprs(parameters, d)
+    const fQK = fData ? resolveQuantityKind(fData, d) : null
+    return {
+      xAxis,
+      xAxisQuantityKind: resolveQuantityKind(xData, d) ?? undefined,
+      yAxis,
+      yAxisQuantityKind: yExprs.length > 0 ? (resolveQuantityKind(yExprs[0], d) ?? undefined) : undefined,
+      zAxis: zData ? (zAxis === "none" ? "zaxis_bottom_left" : zAxis) : null,
+      zAxisQuantityKind: zData ? (resolveQuantityKind(zData, d) ?? undefined) : undefined,
+      colorAxisQuantityKinds: { '': colorQuantityKind },
+      filterAxisQuantityKinds: fQK ? { '': fQK } : {},
+    }
+  }
+
+  schema(data) {
+    return {
+      type: "object",
+      properties: {
+        xData: { ...EXPRESSION_REF, description: "Column shared by all lines as x" },
+        yData: {
+          type: "array",
+          items: EXPRESSION_REF,
+          description: "One column per line; defaults to every other column in xData's group"
+        },
+        zData: { ...EXPRESSION_REF_OPT, description: "Column shared by all lines as z (enables 3D)" },
+        fData: { ...EXPRESSION_REF_OPT, description: "Values on a filter axis; segments with an end outside the filter range are not drawn" },
+        filterData: { ...EXPRESSION_REF_OPT, description: "Quality column; segments where either end exceeds cutoff are drawn in badColor" },
+        cutoff: {
+          type: "number",
+          default: 0,
+          description: "Threshold above which filterData marks a segment as bad"
+        },
+        badColor: {
+          type: "string",
+          format: "color",
+          "x-format": "color",
+          default: "#808080",
+          description: "Colour for bad segments as a CSS hex colour (#rgb, #rgba, #rrggbb, #rrggbbaa)"
+        },
+        colorQuantityKind: {
+          type: "string",
+          default: "line_index",
+          description: "Quantity kind of the color axis lines are coloured on by their index"
+        },
+        lineWidth: {
+          type: "number",
+          default: 1.0,
+          minimum: 1,
+          description: "Line width in pixels (note: browsers may clamp values above 1)"
+        },
+        xAxis: { type: "string", enum: X_AXES, default: "xaxis_bottom" },
+        yAxis: { type: "string", enum: Y_AXES, default: "yaxis_left" },
+        zAxis: { type: "string", enum: ["none", ...Z_AXES], default: "none" },
+      },
+      required: ["xData"]
+    }
+  }
+
+  async _createLayer(regl, parameters, data, plot) {
+    const d = Data.wrap(data)
+    const {
+      xData, zData, fData, filterData, cutoff = 0, badColor = "#808080",
+      colorQuantityKind = "line_index", lineWidth = 1.0,
+    } = parameters
+
+    const colX = await resolveExprToColumn(xData, d, regl, plot)
+    if (!colX) throw new Error(`[gladly] multiline: column '${xData}' not found`)
+    const colZ = zData ? await resolveExprToColumn(zData, d, regl, plot) : null
+    const colF = fData ? await resolveExprToColumn(fData, d, regl, plot) : null
+    const colQ = filterData ? await resolveExprToColumn(filterData, d, regl, plot) : null
+
+    const yExprs = this._yExprs(parameters, d)
+    if (yExprs.length === 0) throw new Error(`[gladly] multiline: no y columns to draw`)
+
+    const axisConfig = this._getAxisConfig(parameters, d)
+    const xQK = axisConfig.xAxisQuantityKind
+    const yQK = axisConfig.yAxisQuantityKind
+    const zQK = axisConfig.zAxisQuantityKind
+    const fQK = axisConfig.filterAxisQuantityKinds['']
+    const domainOf = (expr, col) => (typeof expr === 'string' ? d.getDomain(expr) : null) ?? col?.domain ?? null
+
+    const colsY = await Promise.all(yExprs.map(async yExpr => {
+      const colY = await resolveExprToColumn(yExpr, d, regl, plot)
+      if (!colY) throw new Error(`[gladly] multiline: column '${yExpr}' not found`)
+      return colY
+    }))
+    // Every line shares one y offset, like the x column they all use.
+    const x = this._rebaseSpatial(colX, axisConfig.xAxis, xQK, plot)
+    const y = this._rebaseSpatialColumns(colsY, axisConfig.yAxis, yQK, plot)
+
+    const nLines = yExprs.length
+    const shared = {
+      a_endPoint: new Float32Array([0.0, 1.0]),
+      a_x0: x.col.withOffset('0.0'),
+      a_x1: x.col.withOffset('1.0'),
+      ...(colZ ? { a_z0: colZ.withOffset('0.0'), a_z1: colZ.withOffset('1.0') } : {}),
+      ...(colF ? { a_f0: colF.withOffset('0.0'), a_f1: colF.withOffset('1.0') } : {}),
+      ...(colQ ? { a_q0: colQ.withOffset('0.0'), a_q1: colQ.withOffset('1.0') } : {}),
+    }
+
+    return yExprs.map((yExpr, idx) => {
+      const colY = colsY[idx]
+      const domains = { [colorQuantityKind]: [0, Math.max(nLines - 1, 1)] }
+      if (xQK && domainOf(xData, colX)) domains[xQK] = domainOf(xData, colX)
+      if (yQK && domainOf(yExpr, colY)) domains[yQK] = domainOf(yExpr, colY)
+      if (zQK && domainOf(zData, colZ)) domains[zQK] = domainOf(zData, colZ)
+      if (fQK && domainOf(fData, colF)) domains[fQK] = domainOf(fData, colF)
+      return {
+        attributes: {
+          ...shared,
+          a_y0: y.cols[idx].withOffset('0.0'),
+          a_y1: y.cols[idx].withOffset('1.0'),
+        },
+        uniforms: {
+          u_line_index: () => idx,
+          u_bad_color: () => parseCssColor(badColor),
+          ...(colQ ? { u_cutoff: () => cutoff } : {}),
+        },
+        domains,
+        primitive: "lines",
+        lineWidth,
+        vertexCount: 2,
+        instanceCount: Math.max(colX.length - 1, 0),
+        spatialOffsets: { x: x.offset, y: y.offset },
+      }
+    })
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    this.vert = makeMultiLineVert(
+      'a_f0' in layer.attributes,
+      'a_q0' in layer.attributes,
+      'a_z0' in layer.attributes,
+      '' in layer.colorAxes,
+    )
+    return await super.createDrawCommand(regl, layer, plot)
+  }
+}
+
+export const multiLineLayerType = new MultiLineLayerType()
+registerLayerType("multiline", multiLineLayerType)
+export { MultiLineLayerType }
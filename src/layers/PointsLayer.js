@@ -1,7 +1,9 @@
 import { ScatterLayerTypeBase } from "./ScatterShared.js"
 import { Data } from "../data/Data.js"
+import { ArrayColumn } from "../data/ColumnData.js"
 import { registerLayerType } from "../core/LayerTypeRegistry.js"
-import { resolveQuantityKind } from "../compute/ComputationRegistry.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveQuantityKind, resolveExprToColumn } from "../compute/ComputationRegistry.js"
+import { getScaleType } from "../axes/AxisQuantityKindRegistry.js"
 
 function makePointsVert(hasFilter, hasZ, hasColorFilter, hasColorFilter2) {
   return `#version 300 es
@@ -48,6 +50,90 @@ function makePointsFrag(hasFirst, hasSecond) {
 `
 }
 
+// Error bars are a second gpuConfig drawn as lines, one instance per point. The
+// template holds, per bar axis (y, then x if given), a stem from
+// centre − low to centre + high and a cap across each end:
+//   a_bar: 0 = y bar, 1 = x bar;  a_part: 0 = stem, 1 = low cap, 2 = high cap;
+//   a_side: which end of the segment.
+// Caps are u_capSize pixels wide, perpendicular to the bar on screen, so they
+// keep their size on log axes and in 3D.
+function errorBarTemplate(hasX) {
+  const bar = [], part = [], side = []
+  for (const b of hasX ? [0, 1] : [0]) {
+    for (const p of [0, 1, 2]) {
+      for (const e of [0, 1]) { bar.push(b); part.push(p); side.push(e) }
+    }
+  }
+  return { a_bar: new Float32Array(bar), a_part: new Float32Array(part), a_side: new Float32Array(side) }
+}
+
+function makeErrorBarsVert(hasFilter, hasZ, hasColorFilter, hasColorFilter2, hasX) {
+  return `#version 300 es
+  precision highp float;
+  in float a_bar;
+  in float a_part;
+  in float a_side;
+  in float x;
+  in float y;
+  ${hasZ ? 'in float z;' : ''}
+  in float y_err_lo;
+  in float y_err_hi;
+  ${hasX ? 'in float x_err_lo;\n  in float x_err_hi;' : ''}
+  in float color_data;
+  in float color_data2;
+  ${hasFilter ? 'in float filter_data;' : ''}
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  uniform vec2 u_viewportSize;
+  uniform float u_capSize;
+  out float value;
+  out float value2;
+  vec4 err_pos(vec3 p) {
+    return ${hasZ ? 'plot_pos_3d(p)' : 'plot_pos(p.xy)'};
+  }
+  void main() {
+    ${hasFilter ? 'if (!filter_(filter_data)) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    ${hasColorFilter  ? 'if (!color_filter_(color_data))   { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    ${hasColorFilter2 ? 'if (!color_filter_2(color_data2)) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    vec3 centre = vec3(x, y, ${hasZ ? 'z' : '0.0'});
+    bool isX = a_bar > 0.5;
+    vec3 dir = isX ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0);
+    float lo = ${hasX ? 'isX ? x_err_lo : y_err_lo' : 'y_err_lo'};
+    float hi = ${hasX ? 'isX ? x_err_hi : y_err_hi' : 'y_err_hi'};
+    vec4 c0 = err_pos(centre - dir * lo);
+    vec4 c1 = err_pos(centre + dir * hi);
+    if (a_part < 0.5) {
+      gl_Position = a_side < 0.5 ? c0 : c1;
+    } else {
+      vec4 c = a_part < 1.5 ? c0 : c1;
+      vec2 d = (c1.xy / c1.w - c0.xy / c0.w) * u_viewportSize;
+      vec2 n = length(d) > 0.0 ? normalize(vec2(-d.y, d.x)) : (isX ? vec2(0.0, 1.0) : vec2(1.0, 0.0));
+      vec2 offset = (a_side - 0.5) * u_capSize * n * 2.0 / u_viewportSize;
+      gl_Position = c + vec4(offset * c.w, 0.0, 0.0);
+    }
+    // Selection capture records the point itself.
+    if (u_mode > 0.5) gl_Position = err_pos(centre);
+    value = color_data;
+    value2 = color_data2;
+  }
+`
+}
+
+// Error expression → [low, high]: one expression for symmetric errors, a pair for asymmetric.
+function errPair(err) {
+  if (err == null || err === "none") return null
+  return Array.isArray(err) ? [err[0], err[1]] : [err, err]
+}
+
+const ERR_SCHEMA = {
+  anyOf: [
+    EXPRESSION_REF_OPT,
+    { type: "array", items: EXPRESSION_REF, minItems: 2, maxItems: 2 },
+  ],
+}
+
 class PointsLayerType extends ScatterLayerTypeBase {
   constructor() {
     super({ name: "points", vert: makePointsVert(false), frag: makePointsFrag(false) })
@@ -60,12 +146,15 @@ class PointsLayerType extends ScatterLayerTypeBase {
       properties: {
         ...this._commonSchemaProperties(d),
         pointSize: { type: "integer", default: 4, minimum: 1 },
+        xErr: { ...ERR_SCHEMA, description: "x error bars: one expression (± the value) or [low, high] distances below and above x" },
+        yErr: { ...ERR_SCHEMA, description: "y error bars: one expression (± the value) or [low, high] distances below and above y" },
+        capSize: { type: "number", default: 6, minimum: 0, description: "Width of the error bar caps in pixels; 0 draws no caps" },
       },
       required: ["xData", "yData", "zData", "zAxis", "pointSize"]
     }
   }
 
-  _createLayer(regl, parameters, data, plot) {
+  async _createLayer(regl, parameters, data, plot) {
     const d = Data.wrap(data)
     const { vData: vDataRaw, vData2: vData2Raw, fData: fDataRaw, zData: zDataRaw } = parameters
     const vDataIn  = (vDataRaw  == null || vDataRaw  === "none") ? null : vDataRaw
@@ -90,21 +179,79 @@ class PointsLayerType extends ScatterLayerTypeBase {
       ? (d.getData(parameters.xData)?.length ?? null)
       : null
 
-    return [{
-      attributes: {
-        x: parameters.xData,
-        y: parameters.yData,
-        ...(zData !== null ? { z: zData } : {}),
-        color_data:  vData  !== null ? vData  : new Float32Array(vertexCount ?? 0).fill(NaN),
-        color_data2: vData2 !== null ? vData2 : new Float32Array(vertexCount ?? 0).fill(NaN),
-        ...(fData != null ? { filter_data: fData } : {}),
-      },
+    const { xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    const x = this._rebaseSpatial(await resolveExprToColumn(parameters.xData, d, regl, plot), xAxis, xQK, plot)
+    const y = this._rebaseSpatial(await resolveExprToColumn(parameters.yData, d, regl, plot), yAxis, yQK, plot)
+
+    const pointAttributes = {
+      x: x.col,
+      y: y.col,
+      ...(zData !== null ? { z: zData } : {}),
+      color_data:  vData  !== null ? vData  : new Float32Array(vertexCount ?? 0).fill(NaN),
+      color_data2: vData2 !== null ? vData2 : new Float32Array(vertexCount ?? 0).fill(NaN),
+      ...(fData != null ? { filter_data: fData } : {}),
+    }
+    const spatialOffsets = { x: x.offset, y: y.offset }
+    const categories = this._buildCategories(d, [[parameters.xData, xQK], [parameters.yData, yQK], [zData, zQK]])
+
+    const xErr = errPair(parameters.xErr)
+    const yErr = errPair(parameters.yErr)
+    const errConfigs = []
+    if (xErr || yErr) {
+      const n = vertexCount ?? x.col.length ?? 0
+      // Per-point arrays become columns sampled per instance. A y bar is always
+      // drawn (zero-length without yErr) so the template stays fixed.
+      const perPoint = Object.fromEntries(Object.entries(pointAttributes).map(([k, v]) =>
+        [k, v instanceof Float32Array ? new ArrayColumn(v) : v]))
+      const zeros = new ArrayColumn(new Float32Array(n))
+      const isLog = (qk, axisId) => getScaleType(qk, plot?.currentConfig?.axes, axisId) === "log"
+      this._extendErrorDomain(domains, d, parameters.xData, xQK, xErr, isLog(xQK, xAxis))
+      this._extendErrorDomain(domains, d, parameters.yData, yQK, yErr, isLog(yQK, yAxis))
+      errConfigs.push({
+        attributes: {
+          ...errorBarTemplate(!!xErr),
+          ...perPoint,
+          y_err_lo: yErr ? yErr[0] : zeros,
+          y_err_hi: yErr ? yErr[1] : zeros,
+          ...(xErr ? { x_err_lo: xErr[0], x_err_hi: xErr[1] } : {}),
+        },
+        uniforms: { u_capSize: () => parameters.capSize ?? 6 },
+        domains,
+        primitive: "lines",
+        vertexCount: xErr ? 12 : 6,
+        instanceCount: n,
+        spatialOffsets,
+        categories,
+      })
+    }
+
+    // Error bars are drawn first so the points sit on top.
+    return [...errConfigs, {
+      attributes: pointAttributes,
       uniforms: { u_pointSize: () => parameters.pointSize ?? 4 },
       domains,
       vertexCount,
+      spatialOffsets,
+      categories,
     }]
   }
 
+  // Widen an auto domain to cover centre − low … centre + high, when all are columns in memory.
+  // On a log axis, bar ends at or below 0 are left out.
+  _extendErrorDomain(domains, d, centreExpr, qk, err, log) {
+    if (!err || !qk || !domains[qk]) return
+    const arrayOf = expr => typeof expr === 'string' ? d.getData(expr)?.array : null
+    const centre = arrayOf(centreExpr), lo = arrayOf(err[0]), hi = arrayOf(err[1])
+    if (!centre || !lo || !hi) return
+    let [min, max] = domains[qk]
+    for (let i = 0; i < centre.length; i++) {
+      const a = centre[i] - lo[i], b = centre[i] + hi[i]
+      if (a < min && (!log || a > 0)) min = a
+      if (b > max) max = b
+    }
+    domains[qk] = [min, max]
+  }
+
   async createDrawCommand(regl, layer, plot) {
     const hasFilter       = Object.keys(layer.filterAxes).length > 0
     const hasFirst        = '' in layer.colorAxes
@@ -112,7 +259,9 @@ class PointsLayerType extends ScatterLayerTypeBase {
     const hasZ            = 'z' in layer.attributes
     const hasColorFilter  = hasFirst
     const hasColorFilter2 = hasSecond
-    this.vert = makePointsVert(hasFilter, hasZ, hasColorFilter, hasColorFilter2)
+    this.vert = 'a_bar' in layer.attributes
+      ? makeErrorBarsVert(hasFilter, hasZ, hasColorFilter, hasColorFilter2, 'x_err_lo' in layer.attributes)
+      : makePointsVert(hasFilter, hasZ, hasColorFilter, hasColorFilter2)
     this.frag = makePointsFrag(hasFirst, hasSecond)
     return await super.createDrawCommand(regl, layer, plot)
   }
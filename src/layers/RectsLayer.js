@@ -0,0 +1,190 @@
+import { LayerType } from "../core/LayerType.js"
+import { Data } from "../data/Data.js"
+import { registerLayerType } from "../core/LayerTypeRegistry.js"
+import { AXIS_GEOMETRY } from "../axes/AxisRegistry.js"
+import { parseCssColor } from "../core/colorUtils.js"
+import { EXPRESSION_REF, EXPRESSION_REF_OPT, resolveExprToColumn, resolveQuantityKind } from "../compute/ComputationRegistry.js"
+
+const X_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'x')
+const Y_AXES = Object.keys(AXIS_GEOMETRY).filter(a => AXIS_GEOMETRY[a].dir === 'y')
+
+// One rectangle per row, spanning [yBottom, yTop] vertically and reaching
+// half-way to the neighbouring x positions on either side, so sorted x
+// positions tile the axis without gaps (a step/raster plot of columns).
+//
+// Each rectangle is an instanced quad: two triangles (6 vertices) with
+// per-vertex corner (cx, cy). Neighbouring x values are sampled from the x
+// column at a_pickId ± 1; the first and last rows mirror their one neighbour.
+// A half-width greater than `e` is replaced by the other side's, so large gaps
+// in x leave holes instead of stretched rectangles.
+
+// Per-vertex quad corner coordinates for two CCW triangles: BL-BR-TR, BL-TR-TL
+const QUAD_CX = new Float32Array([0, 1, 1, 0, 1, 0])
+const QUAD_CY = new Float32Array([0, 0, 1, 0, 1, 1])
+
+function makeRectsVert(hasColor, hasFilter, hasColorFilter) {
+  return `#version 300 es
+  precision highp float;
+  in float cx;
+  in float cy;
+  in float x;
+  in float top;
+  in float bot;
+  ${hasColor ? 'in float color_data;' : ''}
+  ${hasFilter ? 'in float filter_data;' : ''}
+  uniform float u_e;
+  uniform float u_n;
+  uniform vec2 xDomain;
+  uniform vec2 yDomain;
+  uniform float xScaleType;
+  uniform float yScaleType;
+  out float value;
+  void main() {
+    ${hasFilter ? 'if (!filter_(filter_data)) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    ${hasColorFilter ? 'if (!color_filter_(color_data)) { gl_Position = vec4(2.0, 2.0, 2.0, 1.0); return; }' : ''}
+    float xPrev = a_pickId > 0.5
+      ? sampleColumn(u_col_x, a_pickId - 1.0)
+      : (u_n > 1.0 ? 2.0 * x - sampleColumn(u_col_x, 1.0) : x);
+    float xNext = a_pickId < u_n - 1.5
+      ? sampleColumn(u_col_x, a_pickId + 1.0)
+      : (u_n > 1.0 ? 2.0 * x - sampleColumn(u_col_x, u_n - 2.0) : x);
+
+    float halfLeft  = (x - xPrev) / 2.0;
+    float halfRight = (xNext - x) / 2.0;
+    // Cap: a side wider than e takes the other side's half-width.
+    float hl = halfLeft  > u_e ? halfRight : halfLeft;
+    float hr = halfRight > u_e ? halfLeft  : halfRight;
+
+    float xPos = cx > 0.5 ? x + hr : x - hl;
+    float yPos = cy > 0.5 ? top : bot;
+    // Selection capture records the centre, not a corner.
+    gl_Position = u_mode > 0.5 ? plot_pos(vec2(x, 0.5 * (top + bot))) : plot_pos(vec2(xPos, yPos));
+    value = ${hasColor ? 'color_data' : '0.0'};
+  }
+`
+}
+
+function makeRectsFrag(hasColor) {
+  return `#version 300 es
+  precision highp float;
+  uniform vec4 u_color;
+  in float value;
+  void main() {
+    fragColor = ${hasColor ? 'map_color_(value)' : 'gladly_apply_color(u_color)'};
+  }
+`
+}
+
+class RectsLayerType extends LayerType {
+  constructor() {
+    super({ name: "rects", vert: makeRectsVert(false, false, false), frag: makeRectsFrag(false) })
+  }
+
+  _getAxisConfig(parameters, data) {
+    const d = Data.wrap(data)
+    const { xData, yTopData, vData, fData, xAxis = "xaxis_bottom", yAxis = "yaxis_left" } = parameters
+    const vQK = vData ? resolveQuantityKind(vData, d) : null
+    const fQK = fData ? resolveQuantityKind(fData, d) : null
+    return {
+      xAxis,
+      xAxisQuantityKind: resolveQuantityKind(xData, d) ?? undefined,
+      yAxis,
+      yAxisQuantityKind: resolveQuantityKind(yTopData, d) ?? undefined,
+      colorAxisQuantityKinds: vQK ? { '': vQK } : {},
+      filterAxisQuantityKinds: fQK ? { '': fQK } : {},
+    }
+  }
+
+  schema(data) {
+    return {
+      type: "object",
+      properties: {
+        xData: { ...EXPRESSION_REF, description: "Rectangle centres along x, sorted" },
+        yTopData: { ...EXPRESSION_REF, description: "Top y value of each rectangle" },
+        yBottomData: { ...EXPRESSION_REF, description: "Bottom y value of each rectangle (same quantity kind as yTopData)" },
+        vData: { ...EXPRESSION_REF_OPT, description: "Colour values on a color axis; without it every rectangle is drawn in `color`" },
+        fData: { ...EXPRESSION_REF_OPT, description: "Values on a filter axis; rectangles outside the filter range are not drawn" },
+        e: { type: "number", description: "Max half-width. If the half-distance to a neighbour exceeds this, the opposite half-width is used instead." },
+        color: {
+          type: "string",
+          format: "color",
+          "x-format": "color",
+          default: "#3380cc",
+          description: "Rectangle colour as a CSS hex colour (#rgb, #rgba, #rrggbb, #rrggbbaa) when there is no vData"
+        },
+        xAxis: { type: "string", enum: X_AXES, default: "xaxis_bottom" },
+        yAxis: { type: "string", enum: Y_AXES, default: "yaxis_left" },
+      },
+      required: ["xData", "yTopData", "yBottomData"]
+    }
+  }
+
+  async _createLayer(regl, parameters, data, plot) {
+    const d = Data.wrap(data)
+    const { xData, yTopData, yBottomData, vData, fData, e = Infinity, color = "#3380cc" } = parameters
+
+    const colX   = await resolveExprToColumn(xData, d, regl, plot)
+    const colTop = await resolveExprToColumn(yTopData, d, regl, plot)
+    const colBot = await resolveExprToColumn(yBottomData, d, regl, plot)
+    const colV   = vData ? await resolveExprToColumn(vData, d, regl, plot) : null
+    const colF   = fData ? await resolveExprToColumn(fData, d, regl, plot) : null
+    if (!colX)   throw new Error(`[gladly] rects: column '${xData}' not found`)
+    if (!colTop) throw new Error(`[gladly] rects: column '${yTopData}' not found`)
+    if (!colBot) throw new Error(`[gladly] rects: column '${yBottomData}' not found`)
+
+    const axisConfig = this._getAxisConfig(parameters, d)
+    const xQK = axisConfig.xAxisQuantityKind
+    const yQK = axisConfig.yAxisQuantityKind
+    const vQK = axisConfig.colorAxisQuantityKinds['']
+    const fQK = axisConfig.filterAxisQuantityKinds['']
+    const domainOf = (expr, col) => (typeof expr === 'string' ? d.getDomain(expr) : null) ?? col?.domain ?? null
+
+    const domains = {}
+    const xDomain = domainOf(xData, colX)
+    const topDomain = domainOf(yTopData, colTop)
+    const botDomain = domainOf(yBottomData, colBot)
+    if (xQK && xDomain) domains[xQK] = xDomain
+    if (yQK && topDomain && botDomain) {
+      domains[yQK] = [Math.min(topDomain[0], botDomain[0]), Math.max(topDomain[1], botDomain[1])]
+    }
+    if (vQK && domainOf(vData, colV)) domains[vQK] = domainOf(vData, colV)
+    if (fQK && domainOf(fData, colF)) domains[fQK] = domainOf(fData, colF)
+
+    const x = this._rebaseSpatial(colX, axisConfig.xAxis, xQK, plot)
+    const y = this._rebaseSpatialColumns([colTop, colBot], axisConfig.yAxis, yQK, plot)
+
+    const n = colX.length
+    return [{
+      attributes: {
+        cx: QUAD_CX,
+        cy: QUAD_CY,
+        x: x.col,
+        top: y.cols[0],
+        bot: y.cols[1],
+        ...(colV ? { color_data: colV } : {}),
+        ...(colF ? { filter_data: colF } : {}),
+      },
+      uniforms: {
+        u_e: () => e,
+        u_n: () => n,
+        u_color: () => parseCssColor(color),
+      },
+      domains,
+      primitive: "triangles",
+      vertexCount: 6,
+      instanceCount: n,
+      spatialOffsets: { x: x.offset, y: y.offset },
+    }]
+  }
+
+  async createDrawCommand(regl, layer, plot) {
+    const hasColor = 'color_data' in layer.attributes
+    this.vert = makeRectsVert(hasColor, 'filter_data' in layer.attributes, hasColor)
+    this.frag = makeRectsFrag(hasColor)
+    return await super.createDrawCommand(regl, layer, plot)
+  }
+}
+
+export const rectsLayerType = new RectsLayerType()
+registerLayerType("rects", rectsLayerType)
+export { RectsLayerType }
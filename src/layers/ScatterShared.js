@@ -71,6 +71,17 @@ export class ScatterLayerTypeBase extends LayerType {
     }
   }
 
+  // Category labels of the plain-column spatial inputs, keyed by quantity kind.
+  _buildCategories(d, pairs) {
+    const categories = {}
+    for (const [expr, qk] of pairs) {
+      if (!qk || typeof expr !== 'string') continue
+      const labels = d.getCategories?.(expr)
+      if (labels) categories[qk] = labels
+    }
+    return categories
+  }
+
   _buildDomains(d, xData, yData, zData, vData, vData2, xQK, yQK, zQK, vQK, vQK2) {
     const domains = {}
     if (xQK && typeof xData === 'string') {
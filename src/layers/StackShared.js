@@ -0,0 +1,66 @@
+// Helpers shared by the series layers that stack (bars, area). Every gpuConfig
+// binds all series as attributes s0, s1, …; each draws one series, chosen by
+// uniform u_series, and the shader adds up the series below it. The series
+// share one compiled shader, so u_series and the other per-series uniforms
+// are given as functions (read at each draw), not plain values.
+
+// Vertex texture units are limited (16 in most WebGL2 implementations).
+export const MAX_SERIES = 12
+
+export const STACK_MODES = { none: 0, stacked: 1, normalized: 2, grouped: 3 }
+
+// Categorical palette for series without an explicit colour.
+export const SERIES_COLORS = [
+  "#3380cc", "#e6772e", "#4da64d", "#d43d3d", "#8c66bf",
+  "#8c5c4d", "#db70b8", "#808080", "#b3b333", "#33b3c2",
+]
+
+export function seriesExprs(yData) {
+  return Array.isArray(yData) ? yData : [yData]
+}
+
+// GLSL run inside main() after the s<j> columns are sampled: sets
+// `vec2 stack` to the [low, high] extent of series u_series. Stacked series
+// sit on the sum of those below; normalized ones are scaled to 0–100 % of the
+// total; "none" and "grouped" start every series at 0.
+export function stackExtentGlsl(nSeries) {
+  const vals = Array.from({ length: nSeries }, (_, j) => `s${j}`).join(', ')
+  return `
+    float stack_vals[${nSeries}] = float[${nSeries}](${vals});
+    float stack_below = 0.0, stack_total = 0.0;
+    for (int j = 0; j < ${nSeries}; j++) {
+      stack_total += stack_vals[j];
+      if (j < int(u_series + 0.5)) stack_below += stack_vals[j];
+    }
+    float stack_v = stack_vals[int(u_series + 0.5)];
+    vec2 stack = u_stackMode > 0.5 && u_stackMode < 2.5 ? vec2(stack_below, stack_below + stack_v) : vec2(0.0, stack_v);
+    if (u_stackMode > 1.5 && u_stackMode < 2.5) stack = stack_total != 0.0 ? stack * 100.0 / stack_total : vec2(0.0);`
+}
+
+// Value-axis extent of all series on the CPU: exact when every series is an
+// array in memory, otherwise bounded by summing the per-series domains.
+export function stackDomain(mode, arrays, domains) {
+  if (mode === "normalized") return [0, 100]
+  if (mode !== "stacked") {
+    const known = domains.filter(Boolean)
+    if (known.length === 0) return null
+    return [Math.min(...known.map(d => d[0])), Math.max(...known.map(d => d[1]))]
+  }
+  if (arrays.every(Boolean)) {
+    let min = 0, max = 0
+    for (let i = 0; i < arrays[0].length; i++) {
+      let sum = 0
+      for (const a of arrays) {
+        sum += a[i]
+        if (sum < min) min = sum
+        if (sum > max) max = sum
+      }
+    }
+    return [min, max]
+  }
+  if (!domains.every(Boolean)) return null
+  return [
+    domains.reduce((s, d) => s + Math.min(d[0], 0), 0),
+    domains.reduce((s, d) => s + Math.max(d[1], 0), 0),
+  ]
+}
@@ -0,0 +1,73 @@
+const CLICK_SLOP_PX = 4   // a press that moves further than this is a drag, not a click
+
+// Click a data point to select it alone; shift-click adds it to the selection.
+// Clicking a selected point deselects it (with plain click, only when it is
+// the only one selected). A plain click on empty space clears the selection;
+// clicks on layers that do not hold this selection (as their own or as a
+// selection set) are ignored.
+// Picking uses `radius`, so points within that many pixels of the cursor count.
+export class ClickSelectInteraction {
+  constructor(plot, { selectionName, radius = 3 } = {}) {
+    this._plot = plot
+    this._selectionName = selectionName
+    this._radius = radius
+    this._down = null
+
+    this._onMouseDown = this._onMouseDown.bind(this)
+    this._onMouseUp   = this._onMouseUp.bind(this)
+    plot.canvas.addEventListener('mousedown', this._onMouseDown)
+    window.addEventListener('mouseup', this._onMouseUp)
+  }
+
+  _canvasPos(e) {
+    const r = this._plot.canvas.getBoundingClientRect()
+    return [e.clientX - r.left, e.clientY - r.top]
+  }
+
+  _onMouseDown(e) {
+    // Alt and ctrl presses belong to box zoom, rotation and the like.
+    this._down = e.button === 0 && !e.altKey && !e.ctrlKey && !e.metaKey ? this._canvasPos(e) : null
+  }
+
+  async _onMouseUp(e) {
+    const down = this._down
+    this._down = null
+    if (!down) return
+    const [x, y] = this._canvasPos(e)
+    if (Math.hypot(x - down[0], y - down[1]) > CLICK_SLOP_PX) return
+    await this.clickAt(x, y, { additive: e.shiftKey })
+  }
+
+  // Select (or toggle) the point nearest canvas pixel (x, y), as a click would.
+  async clickAt(x, y, { additive = false } = {}) {
+    const plot = this._plot
+    const selection = plot.selections[this._selectionName]
+    const col = selection._column
+    if (!col) return
+    const hit = await plot.pick(x, y, { radius: this._radius })
+    if (!hit) {
+      if (!additive) selection.clear()
+      return
+    }
+    // A point of a layer bound to another selection is that selection's business.
+    if (!hit.layer.selectionColumns?.has(this._selectionName) || hit.tile >= col.tiles.length) return
+
+    const previous = selection.arrays
+    const wasSelected = previous?.[hit.tile]?.[hit.index] > 0.5
+    let arrays
+    if (additive && previous) {
+      arrays = previous.map(a => a.slice())
+      arrays[hit.tile][hit.index] = wasSelected ? 0 : 1
+    } else {
+      const onlyOne = wasSelected && previous.reduce((n, a) => n + a.filter(v => v > 0.5).length, 0) === 1
+      arrays = col.tiles.map(t => new Float32Array(t.n))
+      if (!onlyOne) arrays[hit.tile][hit.index] = 1
+    }
+    selection._setArrays(arrays)
+  }
+
+  destroy() {
+    this._plot.canvas.removeEventListener('mousedown', this._onMouseDown)
+    window.removeEventListener('mouseup', this._onMouseUp)
+  }
+}
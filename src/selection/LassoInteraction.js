@@ -1,11 +1,33 @@
+const MODES = ['lasso', 'rect', 'polygon', 'xbrush', 'ybrush']
+const CLOSE_PX = 8          // polygon: a click this close to the first vertex closes it
+const BRUSH_EXTENT = 1e6    // brushes reach this far past the plot area, so off-screen points count
+
+// Mouse-driven selection into a named selection channel.
+//
+//   lasso   — drag a freehand outline
+//   rect    — drag a rectangle
+//   polygon — click vertices; close by clicking the first vertex, double-clicking
+//             or pressing Enter; Escape cancels
+//   xbrush  — drag an x range (all y)
+//   ybrush  — drag a y range (all x)
+//
+// Every mode produces a polygon that goes through plot.selectLasso(), combined
+// with the existing selection according to `combine`; with `storeRegion` the
+// selection remembers it in data space.
 export class LassoInteraction {
-  constructor(plot, { selectionName, mode = 'lasso', trigger = 'shift' } = {}) {
+  constructor(plot, { selectionName, mode = 'lasso', trigger = 'shift', combine = 'replace', storeRegion = false } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`[gladly] Unknown selection mode '${mode}' (expected one of ${MODES.join(', ')})`)
+    }
     this._plot = plot
     this._selectionName = selectionName
     this._mode = mode
     this._trigger = trigger
+    this._combine = combine
+    this._storeRegion = storeRegion
     this._vertices = []
     this._active = false
+    this._cursor = null      // polygon mode: current mouse position, for the rubber-band edge
 
     this._regl = null
     this._vertexBuf = null
@@ -14,19 +36,28 @@ export class LassoInteraction {
     this._onMouseDown = this._onMouseDown.bind(this)
     this._onMouseMove = this._onMouseMove.bind(this)
     this._onMouseUp   = this._onMouseUp.bind(this)
+    this._onDblClick  = this._onDblClick.bind(this)
+    this._onKeyDown   = this._onKeyDown.bind(this)
 
     this._renderCb = () => {
-      if (this._vertices.length < 2) return
+      const outline = this._outline()
+      if (outline.length < 2) return
       this._ensureGl()
       if (!this._drawCmd) return
-      this._vertexBuf(new Float32Array(this._vertices.flat()))
-      this._drawCmd({ count: this._vertices.length, size: [plot.width, plot.height] })
+      this._vertexBuf(new Float32Array(outline.flat()))
+      this._drawCmd({
+        count: outline.length,
+        size: [plot.width, plot.height],
+        primitive: this._mode === 'polygon' ? 'line strip' : 'line loop',
+      })
     }
     plot._renderCallbacks.add(this._renderCb)
 
     plot.canvas.addEventListener('mousedown', this._onMouseDown)
+    plot.canvas.addEventListener('dblclick', this._onDblClick)
     window.addEventListener('mousemove', this._onMouseMove)
     window.addEventListener('mouseup', this._onMouseUp)
+    window.addEventListener('keydown', this._onKeyDown)
   }
 
   _ensureGl() {
@@ -50,7 +81,7 @@ void main() { fragColor = vec4(0.0, 0.47, 1.0, 1.0); }`,
       uniforms: {
         u_size: regl.prop('size'),
       },
-      primitive: 'line loop',
+      primitive: regl.prop('primitive'),
       count: regl.prop('count'),
       depth: { enable: false },
       blend: { enable: false },
@@ -63,21 +94,77 @@ void main() { fragColor = vec4(0.0, 0.47, 1.0, 1.0); }`,
     return true
   }
 
+  // True when a left-button mousedown belongs to this selection rather than a pan.
+  claimsDrag(e) {
+    return e.button === 0 && (this._shouldActivate(e) || (this._mode === 'polygon' && this._active))
+  }
+
   _canvasPos(e) {
     const r = this._plot.canvas.getBoundingClientRect()
     return [e.clientX - r.left, e.clientY - r.top]
   }
 
+  // Selection polygon for the current gesture, in canvas pixels.
+  _polygon() {
+    const v = this._vertices
+    if (this._mode === 'lasso' || this._mode === 'polygon') return v
+    if (v.length < 2) return []
+    const [[x0, y0], [x1, y1]] = v
+    if (this._mode === 'rect') return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]]
+    const { margin, plotWidth, plotHeight } = this._plot
+    if (this._mode === 'xbrush') {
+      const top = margin.top - BRUSH_EXTENT, bottom = margin.top + plotHeight + BRUSH_EXTENT
+      return [[x0, top], [x1, top], [x1, bottom], [x0, bottom]]
+    }
+    const left = margin.left - BRUSH_EXTENT, right = margin.left + plotWidth + BRUSH_EXTENT
+    return [[left, y0], [right, y0], [right, y1], [left, y1]]
+  }
+
+  // Outline drawn while the gesture is in progress.
+  _outline() {
+    if (this._mode === 'polygon') {
+      return this._cursor && this._vertices.length ? [...this._vertices, this._cursor] : this._vertices
+    }
+    return this._polygon()
+  }
+
   _onMouseDown(e) {
-    if (!this._shouldActivate(e)) return
+    if (!this.claimsDrag(e)) return
     e.preventDefault()
-    this._active = true
-    this._vertices = [this._canvasPos(e)]
+    const pos = this._canvasPos(e)
+    if (this._mode !== 'polygon') {
+      this._active = true
+      this._vertices = [pos]
+      return
+    }
+    if (!this._active) {
+      this._active = true
+      this._vertices = [pos]
+      return
+    }
+    const [fx, fy] = this._vertices[0]
+    if (this._vertices.length >= 3 && Math.hypot(pos[0] - fx, pos[1] - fy) < CLOSE_PX) {
+      this._finish()
+      return
+    }
+    const [lx, ly] = this._vertices[this._vertices.length - 1]
+    if (Math.hypot(pos[0] - lx, pos[1] - ly) > 3) this._vertices.push(pos)
+    this._plot.scheduleRender()
   }
 
   _onMouseMove(e) {
     if (!this._active) return
     const [x, y] = this._canvasPos(e)
+    if (this._mode === 'polygon') {
+      this._cursor = [x, y]
+      this._plot.scheduleRender()
+      return
+    }
+    if (this._mode !== 'lasso') {
+      this._vertices[1] = [x, y]
+      this._plot.scheduleRender()
+      return
+    }
     const last = this._vertices[this._vertices.length - 1]
     const dx = x - last[0], dy = y - last[1]
     if (dx * dx + dy * dy > 25) {
@@ -86,22 +173,49 @@ void main() { fragColor = vec4(0.0, 0.47, 1.0, 1.0); }`,
     }
   }
 
-  async _onMouseUp(e) {
-    if (!this._active) return
+  _onMouseUp() {
+    if (!this._active || this._mode === 'polygon') return
+    this._finish()
+  }
+
+  _onDblClick(e) {
+    if (this._mode !== 'polygon' || !this._active) return
+    e.preventDefault()
+    e.stopImmediatePropagation()
+    this._finish()
+  }
+
+  _onKeyDown(e) {
+    if (this._mode !== 'polygon' || !this._active) return
+    if (e.key === 'Enter') this._finish()
+    else if (e.key === 'Escape') this.cancel()
+  }
+
+  async _finish() {
+    const polygon = this._polygon()
+    this.cancel()
+    if (polygon.length >= 3) {
+      await this._plot.selectLasso(polygon, {
+        selection: this._selectionName, combine: this._combine, storeRegion: this._storeRegion,
+      })
+    }
+  }
+
+  // Abandon the gesture in progress without selecting.
+  cancel() {
     this._active = false
-    const vertices = this._vertices
     this._vertices = []
+    this._cursor = null
     this._plot.scheduleRender()
-    if (vertices.length >= 3) {
-      await this._plot.selectLasso(vertices)
-    }
   }
 
   destroy() {
     this._plot._renderCallbacks.delete(this._renderCb)
     if (this._vertexBuf) this._vertexBuf.destroy()
     this._plot.canvas.removeEventListener('mousedown', this._onMouseDown)
+    this._plot.canvas.removeEventListener('dblclick', this._onDblClick)
     window.removeEventListener('mousemove', this._onMouseMove)
     window.removeEventListener('mouseup', this._onMouseUp)
+    window.removeEventListener('keydown', this._onKeyDown)
   }
 }
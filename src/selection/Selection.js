@@ -1,5 +1,7 @@
-import { ColumnData } from '../data/ColumnData.js'
+import { ColumnData, GlslColumn } from '../data/ColumnData.js'
+import { resolveExprToColumn } from '../compute/ComputationRegistry.js'
 import { globalSelectionRegistry } from './SelectionRegistry.js'
+import { runSetOp } from './SelectionSetPass.js'
 
 function arraysEqual(a, b) {
   if (a.length !== b.length) return false
@@ -7,12 +9,81 @@ function arraysEqual(a, b) {
   return true
 }
 
+export const SELECTION_COMBINE = ['replace', 'union', 'intersect', 'subtract']
+
+export function checkCombine(combine) {
+  if (!SELECTION_COMBINE.includes(combine)) {
+    throw new Error(`[gladly] Unknown selection combine mode '${combine}' (expected one of ${SELECTION_COMBINE.join(', ')})`)
+  }
+}
+
+// Merge a new selection into the previous one (Float32Array per tile, values 0
+// or 1). `previous` may be null (nothing selected); one with a different tile
+// layout is treated the same way.
+export function combineSelection(previous, next, combine) {
+  if (combine === 'replace') return next
+  const prev = previous && previous.length === next.length &&
+    previous.every((a, t) => a.length === next[t].length) ? previous : null
+  return next.map((arr, t) => arr.map((v, i) => {
+    const p = prev !== null && prev[t][i] > 0.5, n = v > 0.5
+    if (combine === 'union')     return p || n ? 1 : 0
+    if (combine === 'intersect') return p && n ? 1 : 0
+    return p && !n ? 1 : 0
+  }))
+}
+
+// ─── Serialization ───────────────────────────────────────────────────────────
+// A tile is saved as { n, runs } — alternating lengths of unselected and
+// selected points, starting with unselected — or as { n, bits }, a base64
+// bitset (point i is bit i % 8 of byte i >> 3), whichever is shorter.
+
+export function encodeTile(arr) {
+  const runs = []
+  let value = false, length = 0
+  for (let i = 0; i < arr.length; i++) {
+    const v = arr[i] > 0.5
+    if (v !== value) { runs.push(length); value = v; length = 0 }
+    length++
+  }
+  runs.push(length)
+
+  const bytes = new Uint8Array(Math.ceil(arr.length / 8))
+  for (let i = 0; i < arr.length; i++) if (arr[i] > 0.5) bytes[i >> 3] |= 1 << (i & 7)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  const bits = btoa(binary)
+
+  return JSON.stringify(runs).length <= bits.length ? { n: arr.length, runs } : { n: arr.length, bits }
+}
+
+export function decodeTile({ n, runs, bits }) {
+  const arr = new Float32Array(n)
+  if (runs) {
+    let i = 0
+    runs.forEach((length, r) => {
+      if (r % 2 === 1) arr.fill(1, i, Math.min(i + length, n))
+      i += length
+    })
+  } else if (bits) {
+    const binary = atob(bits)
+    for (let i = 0; i < n; i++) if (binary.charCodeAt(i >> 3) & (1 << (i & 7))) arr[i] = 1
+  }
+  return arr
+}
+
+// JS number → GLSL float literal.
+function glslFloat(v) {
+  const s = String(v)
+  return /[.e]/.test(s) ? s : s + '.0'
+}
+
 export class Selection extends ColumnData {
   constructor(plot, name) {
     super()
     this._plot   = plot
     this._name   = name
     this._arrays = null   // Float32Array[] — one per tile, values 0 or 1; null when inactive
+    this._regions = null  // data-space polygons the selection was drawn from, while it is only those
     this._listeners   = new Set()
     this._propagating = false
   }
@@ -50,6 +121,7 @@ export class Selection extends ColumnData {
     const col = this._column
     if (col) col.clear()
     this._arrays = null
+    this._regions = null
     this._plot.scheduleRender()
     this._notify()
   }
@@ -70,17 +142,153 @@ export class Selection extends ColumnData {
       col._onClear  = saved
     }
 
-    if (!arrays || !arrays.some(a => a.some(v => v > 0.5))) {
-      col.clear()
-      this._arrays = null
-    } else {
-      col.upload(arrays)
-      this._arrays = arrays
+    this._setArrays(arrays)
+  }
+
+  // ─── Programmatic selection ──────────────────────────────────────────────────
+  // Each method replaces the selection, or merges with it per `combine`
+  // ("union", "intersect", "subtract"), then notifies subscribers (and so
+  // linked plots) as a lasso would.
+
+  // `indices`: an array of point indices (tile 0), or { tileIndex: indices }
+  // / Map(tileIndex → indices) for tiled layers.
+  setIndices(indices, { combine = 'replace' } = {}) {
+    checkCombine(combine)
+    const col = this._requireColumn()
+    const byTile = Array.isArray(indices) || ArrayBuffer.isView(indices)
+      ? new Map([[0, indices]])
+      : new Map(indices instanceof Map ? indices : Object.entries(indices).map(([t, v]) => [Number(t), v]))
+    const arrays = col._tiles.map((tile, t) => {
+      const arr = new Float32Array(tile.n)
+      for (const i of byTile.get(t) ?? []) {
+        if (i >= 0 && i < tile.n) arr[i] = 1
+      }
+      return arr
+    })
+    this._setArrays(combineSelection(this._arrays, arrays, combine))
+  }
+
+  // Points whose `column` value lies in [min, max]; either bound may be left
+  // out. `column` is a data column name or a ColumnData. Columns held in memory
+  // are compared on the CPU, anything else with selectWhere().
+  async selectRange({ column, min = null, max = null, combine = 'replace' }) {
+    checkCombine(combine)
+    const col = this._requireColumn()
+    const data = typeof column === 'string' ? this._plot.currentData?.getData(column) : column
+    if (!data) throw new Error(`[gladly] Selection '${this._name}': column '${column}' not found`)
+    const array = data.array
+    if (array && col._tiles.length === 1) {
+      const arrays = [Float32Array.from({ length: col._tiles[0].n }, (_, i) => {
+        const v = array[i]
+        return (min == null || v >= min) && (max == null || v <= max) ? 1 : 0
+      })]
+      this._setArrays(combineSelection(this._arrays, arrays, combine))
+      return
     }
-    this._plot.scheduleRender()
-    this._notify()
+    const conditions = []
+    if (min != null) conditions.push(`{v} >= ${glslFloat(min)}`)
+    if (max != null) conditions.push(`{v} <= ${glslFloat(max)}`)
+    await this.selectWhere(conditions.join(' && ') || 'true', { inputs: { v: data }, combine })
+  }
+
+  // Points for which the GLSL boolean expression `expr` holds, evaluated on the
+  // GPU. Inputs are referenced as {name} placeholders, as in the glslExpr
+  // computation: selectWhere("{x} > 0.5 && {v} < 0.2", { inputs: { x: "input.x", v: "input.v" } })
+  async selectWhere(expr, { inputs = {}, combine = 'replace' } = {}) {
+    checkCombine(combine)
+    const col = this._requireColumn()
+    const plot = this._plot
+    const regl = plot.regl
+    const resolved = {}
+    for (const [name, src] of Object.entries(inputs)) {
+      resolved[name] = await resolveExprToColumn(src, plot.currentData, regl, plot)
+    }
+    const n = Math.max(...col._tiles.map(t => t.n))
+    const test = new GlslColumn(resolved, exprs => {
+      let result = expr
+      for (const [name, glslExpr] of Object.entries(exprs)) result = result.replaceAll(`{${name}}`, glslExpr)
+      return `((${result}) ? 1.0 : 0.0)`
+    }, { shape: [n] })
+    for (const c of Object.values(resolved)) await c.refresh(plot)
+
+    const textures = await test.toTexture(regl)
+    const arrays = col._tiles.map((tile, t) => {
+      const tex = textures[t] ?? textures[0]
+      const raw = new Float32Array(tex.width * tex.height * 4)
+      const fbo = regl.framebuffer({ color: tex, depth: false })
+      regl({ framebuffer: fbo })(() => regl.read({ data: raw }))
+      fbo.destroy()
+      return raw.slice(0, tile.n)
+    })
+    for (const tex of textures) tex.destroy()
+    this._setArrays(combineSelection(this._arrays, arrays, combine))
   }
 
+  // Points inside a polygon given in data coordinates [[x, y], ...] of the
+  // plot's `xAxis` / `yAxis`. Runs the lasso pass, so it covers every layer
+  // bound to this selection and points outside the current view. 2D only.
+  async selectRegion(polygon, { xAxis = 'xaxis_bottom', yAxis = 'yaxis_left', combine = 'replace' } = {}) {
+    const plot = this._plot
+    if (plot._is3D) throw new Error(`[gladly] Selection '${this._name}': selectRegion() needs a 2D plot`)
+    for (const axisId of [xAxis, yAxis]) {
+      if (!plot.axisRegistry?.getScale(axisId)) {
+        throw new Error(`[gladly] Selection '${this._name}': axis '${axisId}' is not active`)
+      }
+    }
+    const vertices = polygon.map(([x, y]) => [plot._valueToPixel(xAxis, x), plot._valueToPixel(yAxis, y)])
+    await plot.selectLasso(vertices, { selection: this._name, combine, storeRegion: { polygon, xAxis, yAxis } })
+  }
+
+  // ─── Persistence ─────────────────────────────────────────────────────────────
+
+  // JSON-safe form of the selection, or null when nothing is selected. One
+  // built only from data-space regions (selectRegion(), or lassos with
+  // storeRegion) is saved as { regions: [{ polygon, xAxis, yAxis, combine }] }
+  // so it can be redrawn on changed data; anything else as
+  // { tiles: [{ n, runs } | { n, bits }] }.
+  toJSON() {
+    if (this._regions) return { regions: this._regions.map(r => ({ ...r, polygon: r.polygon.map(p => [...p]) })) }
+    if (!this._arrays) return null
+    return { tiles: this._arrays.map(encodeTile) }
+  }
+
+  // Restore a selection saved by toJSON(). Regions are redrawn with the lasso
+  // pass; saved tiles must match the data's tile sizes.
+  async fromJSON(json) {
+    if (json == null) return this.clear()
+    if (json.regions) {
+      for (const [i, { polygon, xAxis, yAxis, combine }] of json.regions.entries()) {
+        await this.selectRegion(polygon, { xAxis, yAxis, combine: i === 0 ? 'replace' : combine })
+      }
+      return
+    }
+    const col = this._requireColumn()
+    const saved = (json.tiles ?? []).map(t => t.n)
+    const sizes = col._tiles.map(t => t.n)
+    if (!arraysEqual(saved, sizes)) {
+      throw new Error(`[gladly] Selection '${this._name}': saved tile sizes [${saved}] do not match the data [${sizes}]`)
+    }
+    this._setArrays(json.tiles.map(decodeTile))
+  }
+
+  // ─── Set algebra ─────────────────────────────────────────────────────────────
+  // Combine this selection in place with other selections of the same plot
+  // (Selection instances or names, e.g. sets declared in config.selectionSets),
+  // on the GPU. The result is read back before returning, so these are
+  // synchronous. An inactive selection counts as the empty set.
+
+  // this ∪ others
+  union(...others)      { this._applySetOp('union', others) }
+
+  // this ∩ others
+  intersect(...others)  { this._applySetOp('intersect', others) }
+
+  // this minus every one of others
+  difference(...others) { this._applySetOp('difference', others) }
+
+  // Every point not in this selection.
+  invert()              { this._applySetOp('invert', []) }
+
   subscribe(callback) {
     this._listeners.add(callback)
     return { remove: () => this._listeners.delete(callback) }
@@ -96,27 +304,84 @@ export class Selection extends ColumnData {
     return globalSelectionRegistry.get(dataRef, this._name, this._plot)
   }
 
-  _readbackAndNotify() {
+  _requireColumn() {
+    const col = this._column
+    if (!col) throw new Error(`[gladly] Selection '${this._name}': no column registered — add a layer with selection: '${this._name}'`)
+    return col
+  }
+
+  _applySetOp(op, others) {
+    const col = this._requireColumn()
+    const sizes = col._tiles.map(t => t.n)
+    const columns = others.map(other => {
+      const sel = typeof other === 'string' ? this._plot._getSelection(other) : other
+      if (sel._plot !== this._plot) {
+        throw new Error(`[gladly] Selection '${this._name}': '${sel._name}' belongs to another plot — use applyFrom() first`)
+      }
+      const otherCol = sel._requireColumn()
+      if (!arraysEqual(otherCol._tiles.map(t => t.n), sizes)) {
+        throw new Error(`[gladly] Selection '${this._name}': '${sel._name}' has a different tile layout`)
+      }
+      return otherCol
+    })
+    this._setArrays(runSetOp(this._plot.regl, op, col, columns))
+  }
+
+  // Replace the selection with `arrays` (Float32Array per tile, matching the
+  // column's tiles), upload it and notify subscribers.
+  _setArrays(arrays) {
+    const col = this._column
+    if (!col) return
+    col._onClear = () => { this._arrays = null; this._notify() }
+    this._regions = null
+    if (!arrays || !arrays.some(a => a.some(v => v > 0.5))) {
+      col.clear()
+      this._arrays = null
+    } else {
+      col.upload(arrays)
+      this._arrays = arrays
+    }
+    this._plot.scheduleRender()
+    this._notify()
+  }
+
+  // `combine` and `previous` (the arrays before the GPU pass cleared them) merge
+  // the freshly selected points with the earlier selection. `region`
+  // ({ polygon, xAxis, yAxis }) is the data-space polygon of the pass, when it
+  // is to be kept.
+  _readbackAndNotify(combine = 'replace', previous = null, region = null) {
     const col = this._column
     if (!col) return
 
+    // The region history stays valid only while every step is a region. From an
+    // empty selection only replace and union start one (intersect and subtract
+    // leave it empty), and an empty result drops it below.
+    const step = region && { ...region, combine }
+    const fromEmpty = !previous && !this._regions
+    this._regions = !step ? null
+      : combine === 'replace' || (fromEmpty && combine === 'union') ? [{ ...step, combine: 'replace' }]
+      : this._regions ? [...this._regions, step] : null
+
     col._onClear = () => { this._arrays = null; this._notify() }
 
     // Read each tile's FBO; keep as separate Float32Array per tile (values 0 or 1).
-    const arrays = col._tiles.map(tile => {
+    const fresh = col._tiles.map(tile => {
       const raw = new Float32Array(tile.texW * tile.texH * 4)
       this._plot.regl({ framebuffer: tile.fbo })(() => {
         this._plot.regl.read({ data: raw })
       })
       return raw.slice(0, tile.n)   // trim padding; .slice gives a fresh copy
     })
+    const arrays = combineSelection(previous, fresh, combine)
 
     if (arrays.some(a => a.some(v => v > 0.5))) {
-      col.activate()
+      if (arrays === fresh) col.activate()
+      else col.upload(arrays)
       this._arrays = arrays
     } else {
       col.clear()
       this._arrays = null
+      this._regions = null
     }
 
     this._plot.scheduleRender()
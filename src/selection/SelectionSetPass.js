@@ -0,0 +1,66 @@
+// Boolean algebra on selection textures. Tiles pack four points per texel
+// (0 or 1 per channel), so one fragment per texel combines four points.
+export const SET_OPS = ['union', 'intersect', 'difference', 'invert']
+
+const cmdCache = new WeakMap()   // regl → draw command
+
+function getCmd(regl) {
+  if (cmdCache.has(regl)) return cmdCache.get(regl)
+  const cmd = regl({
+    vert: `#version 300 es
+in vec2 a_pos;
+void main() { gl_Position = vec4(a_pos, 0.0, 1.0); }`,
+    frag: `#version 300 es
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D u_a;
+uniform sampler2D u_b;
+uniform int u_op;
+out vec4 fragColor;
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  vec4 a = step(0.5, texelFetch(u_a, p, 0));
+  vec4 b = step(0.5, texelFetch(u_b, p, 0));
+  if (u_op == 0)      fragColor = max(a, b);
+  else if (u_op == 1) fragColor = min(a, b);
+  else if (u_op == 2) fragColor = a * (1.0 - b);
+  else                fragColor = 1.0 - a;
+}`,
+    attributes: { a_pos: [[-1, -1], [1, -1], [-1, 1], [1, 1]] },
+    uniforms: {
+      u_a:  regl.prop('a'),
+      u_b:  regl.prop('b'),
+      u_op: regl.prop('op'),
+    },
+    framebuffer: regl.prop('fbo'),
+    primitive: 'triangle strip',
+    count: 4,
+    depth: { enable: false },
+    blend: { enable: false },
+  })
+  cmdCache.set(regl, cmd)
+  return cmd
+}
+
+// Fold `others` into `column` with `op` tile by tile ("invert" takes no
+// others) and read the result back: Float32Array per tile, values 0 or 1.
+// All columns must share the tile layout.
+export function runSetOp(regl, op, column, others = []) {
+  const cmd = getCmd(regl)
+  const opIndex = SET_OPS.indexOf(op)
+  return column.tiles.map((tile, t) => {
+    const { texW, texH } = tile
+    const temps = []
+    let current = tile.texture
+    for (const other of op === 'invert' ? [column] : others) {
+      const fbo = regl.framebuffer({ width: texW, height: texH, colorFormat: 'rgba', colorType: 'float', depth: false })
+      cmd({ a: current, b: other.tiles[t].texture, op: opIndex, fbo })
+      temps.push(fbo)
+      current = fbo.color[0]
+    }
+    const raw = new Float32Array(texW * texH * 4)
+    regl({ framebuffer: temps[temps.length - 1] ?? tile.fbo })(() => regl.read({ data: raw }))
+    for (const fbo of temps) fbo.destroy()
+    return raw.slice(0, tile.n)
+  })
+}
@@ -67,6 +67,15 @@ describe('Axis', () => {
     assert.isBelow(domain[0], domain[1])
   })
 
+  it('setDomain() respects minSpan and bounds', async () => {
+    const u = basicUpdate(makeData())
+    await plot.update({ ...u, config: { ...u.config, axes: { xaxis_bottom: { bounds: [0, 1], minSpan: 0.5 } } } })
+    plot.axes.xaxis_bottom.setDomain([0.5, 0.5])
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0.25, 0.75])
+    plot.axes.xaxis_bottom.setDomain([-4, 4])
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 1])
+  })
+
   it('setDomain() updates getDomain()', async () => {
     await plot.update(basicUpdate(makeData()))
     plot.axes.xaxis_bottom.setDomain([10, 20])
@@ -100,6 +109,49 @@ describe('Axis', () => {
     axis.setDomain([5, 15])
     assert.isEmpty(received)
   })
+
+  it('tickValues, tickFormat and tickSuffix control tick placement and labels', async () => {
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 1, tickValues: [0, 0.5, 1, 2], tickFormat: '.0%', tickSuffix: '!' } },
+      },
+    })
+    const axis  = plot.axes.xaxis_bottom
+    const scale = plot.axisRegistry.getScale('xaxis_bottom')
+    const ticks = axis._computeTicks(scale, 5)
+    assert.deepEqual(ticks, [0, 0.5, 1])
+    assert.deepEqual(axis._formatTicks(scale, ticks, 5), ['0%!', '50%!', '100%!'])
+  })
+
+  it('tickFormat accepts a callback', async () => {
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 1, tickValues: [0, 0.5, 1], tickFormat: v => `${v * 10} k` } },
+      },
+    })
+    const axis  = plot.axes.xaxis_bottom
+    const scale = plot.axisRegistry.getScale('xaxis_bottom')
+    assert.deepEqual(axis._formatTicks(scale, axis._computeTicks(scale, 5), 5), ['0 k', '5 k', '10 k'])
+  })
+
+  it('minorTicks subdivides the major intervals', async () => {
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 1, tickValues: [0, 0.5, 1], minorTicks: 5 } },
+      },
+    })
+    const axis  = plot.axes.xaxis_bottom
+    const scale = plot.axisRegistry.getScale('xaxis_bottom')
+    const minor = axis._computeMinorTicks(scale, axis._computeTicks(scale, 5))
+    assert.equal(minor.length, 8)
+    assert.closeTo(minor[0], 0.1, 1e-9)
+  })
 })
 
 // ─── linkAxes ─────────────────────────────────────────────────────────────────
@@ -146,6 +198,17 @@ describe('linkAxes', () => {
     assert.deepEqual(plotB.axes.xaxis_bottom.getDomain(), domainBBefore)
   })
 
+  it('linked axes settle on the domain allowed by bounds', async () => {
+    await plotA.update(basicUpdate(makeData()))
+    const u = basicUpdate(makeData())
+    await plotB.update({ ...u, config: { ...u.config, axes: { xaxis_bottom: { bounds: [0, 1] } } } })
+    const link = linkAxes(plotA.axes.xaxis_bottom, plotB.axes.xaxis_bottom)
+    plotA.axes.xaxis_bottom.setDomain([0.75, 1.25])
+    assert.deepEqual(plotB.axes.xaxis_bottom.getDomain(), [0.5, 1])
+    assert.deepEqual(plotA.axes.xaxis_bottom.getDomain(), [0.5, 1])
+    link.unlink()
+  })
+
   it('does not cause infinite recursion with bidirectional links', async () => {
     await initBoth()
     const link = linkAxes(plotA.axes.xaxis_bottom, plotB.axes.xaxis_bottom)
@@ -3,7 +3,12 @@ import {
   registerAxisQuantityKind,
   getAxisQuantityKind,
   getRegisteredAxisQuantityKinds,
+  getScaleType,
+  getScaleParam,
+  unitsCompatible,
+  convertUnit,
 } from '../src/axes/AxisQuantityKindRegistry.js'
+import { AxisRegistry, axisExpression } from '../src/axes/AxisRegistry.js'
 
 describe('AxisQuantityKindRegistry', () => {
   it('returns a default definition for an unregistered kind', () => {
@@ -37,4 +42,112 @@ describe('AxisQuantityKindRegistry', () => {
     registerAxisQuantityKind('test_listed_qk', { label: 'Listed' })
     assert.include(getRegisteredAxisQuantityKinds(), 'test_listed_qk')
   })
+
+  it('getScaleType prefers slot config, then QK config, then the registered default', () => {
+    registerAxisQuantityKind('test_epoch_ms', { label: 'Time', scale: 'time' })
+    assert.equal(getScaleType('test_epoch_ms', {}), 'time')
+    assert.equal(getScaleType('test_epoch_ms', { test_epoch_ms: { scale: 'linear' } }), 'linear')
+    assert.equal(getScaleType('test_epoch_ms', { xaxis_top: { scale: 'log' } }, 'xaxis_top'), 'log')
+    assert.equal(getScaleType('totally_unknown_xyz', undefined), 'linear')
+  })
+
+  it('getScaleParam returns the symlog constant and pow exponent', () => {
+    assert.equal(getScaleParam('q', { q: { scale: 'symlog' } }), 1)
+    assert.equal(getScaleParam('q', { q: { scale: 'symlog', constant: 10 } }), 10)
+    assert.equal(getScaleParam('q', { q: { scale: 'pow' } }), 2)
+    assert.equal(getScaleParam('q', { q: { scale: 'pow' }, yaxis_left: { exponent: 3 } }, 'yaxis_left'), 3)
+    assert.equal(getScaleParam('q', { q: { scale: 'sqrt', exponent: 3 } }), 0.5)
+    assert.equal(getScaleParam('q', { q: { scale: 'linear', exponent: 3 } }), 1)
+  })
+
+  it('converts between units of the same dimension', () => {
+    registerAxisQuantityKind('test_len_m',  { dimension: 'test_length', unit: 'm' })
+    registerAxisQuantityKind('test_len_km', { dimension: 'test_length', unit: 'km', factor: 1000 })
+    registerAxisQuantityKind('test_temp_C', { dimension: 'test_temperature', unit: '°C', offset: 273.15 })
+    registerAxisQuantityKind('test_temp_K', { dimension: 'test_temperature', unit: 'K' })
+    assert.isTrue(unitsCompatible('test_len_m', 'test_len_km'))
+    assert.isFalse(unitsCompatible('test_len_m', 'test_temp_K'))
+    assert.isFalse(unitsCompatible('test_len_m', 'totally_unknown_xyz'))
+    assert.equal(convertUnit(2.5, 'test_len_km', 'test_len_m'), 2500)
+    assert.closeTo(convertUnit(300, 'test_temp_K', 'test_temp_C'), 26.85, 1e-9)
+    assert.throws(() => convertUnit(1, 'test_len_m', 'test_temp_K'), /incompatible/)
+  })
+})
+
+describe('AxisRegistry scale types', () => {
+  it('creates symlog, sqrt and pow scales', () => {
+    const reg = new AxisRegistry(100, 100)
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_symlog_qk', 'symlog', 10)
+    reg.ensureSpatialSlot('yaxis_left', 'test_sqrt_qk', 'sqrt')
+    reg.ensureSpatialSlot('xaxis_top', 'test_pow_qk', 'pow', 3)
+    assert.equal(reg.getScale('xaxis_bottom').constant(), 10)
+    assert.equal(reg.getScale('yaxis_left').exponent(), 0.5)
+    assert.equal(reg.getScale('xaxis_top').exponent(), 3)
+    assert.equal(reg.getScaleTypeCode('xaxis_bottom'), 2)
+    assert.equal(reg.getScaleTypeCode('yaxis_left'), 3)
+  })
+
+  it('scale transforms round-trip negative values', () => {
+    const reg = new AxisRegistry(100, 100)
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_symlog_qk', 'symlog', 10)
+    reg.ensureSpatialSlot('yaxis_left', 'test_sqrt_qk', 'sqrt')
+    for (const slot of ['xaxis_bottom', 'yaxis_left']) {
+      const { forward, inverse } = reg.getScaleTransform(slot)
+      for (const v of [-1000, -2, 0, 3, 500]) assert.closeTo(inverse(forward(v)), v, 1e-9 * Math.max(1, Math.abs(v)))
+    }
+  })
+
+  it('collapses break ranges in the scale transform', () => {
+    const reg = new AxisRegistry(100, 100)
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_break_qk', 'linear')
+    reg.setBreaks('xaxis_bottom', [[50, 40], [10, 20]])
+    assert.deepEqual(reg.getBreaks('xaxis_bottom'), [[10, 20], [40, 50]])
+    const { forward, inverse } = reg.getScaleTransform('xaxis_bottom')
+    assert.equal(forward(5), 5)
+    assert.equal(forward(15), 10)
+    assert.equal(forward(60), 40)
+    assert.equal(inverse(forward(30)), 30)
+  })
+})
+
+describe('AxisRegistry derived axes', () => {
+  it('follows the primary domain through forward and maps ticks back through inverse', () => {
+    const reg = new AxisRegistry(100, 100)
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_celsius_qk', 'linear')
+    reg.setDerived('xaxis_top', 'test_kelvin_qk', 'xaxis_bottom',
+      axisExpression('x + 273.15', 'xaxis_top', 'forward'), axisExpression('x - 273.15', 'xaxis_top', 'inverse'))
+    reg.setDomain('test_celsius_qk', [0, 100])
+    assert.deepEqual(reg.getScale('xaxis_top').domain(), [273.15, 373.15])
+    assert.equal(reg.getDerived('xaxis_top').from, 'xaxis_bottom')
+    assert.closeTo(reg.getScaleTransform('xaxis_top').forward(323.15), 50, 1e-9)
+  })
+
+  it('parses arithmetic expressions and never runs other code', () => {
+    assert.closeTo(axisExpression('299792.458 / x', 'xaxis_top', 'forward')(500), 599.584916, 1e-9)
+    assert.equal(axisExpression('-(x - 1) ** 2 + Math.log10(100)', 'xaxis_top', 'forward')(4), -7)
+    assert.equal(axisExpression('pow(x, 2) + PI * 0', 'xaxis_top', 'forward')(3), 9)
+    for (const expr of ['alert(1)', 'x.constructor', 'globalThis', 'x; 1', '(x'])
+      assert.throws(() => axisExpression(expr, 'xaxis_top', 'forward'), /invalid forward expression/)
+  })
+
+  it('rejects a slot that already has layers', () => {
+    const reg = new AxisRegistry(100, 100)
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_celsius_qk', 'linear')
+    reg.ensureSpatialSlot('xaxis_top', 'test_other_qk', 'linear')
+    assert.throws(() => reg.setDerived('xaxis_top', 'test_kelvin_qk', 'xaxis_bottom', x => x, x => x), /used by a layer/)
+  })
+})
+
+describe('AxisRegistry units', () => {
+  it('lets compatible units share a slot and converts their domains', () => {
+    registerAxisQuantityKind('test_len_m',  { dimension: 'test_length', unit: 'm' })
+    registerAxisQuantityKind('test_len_km', { dimension: 'test_length', unit: 'km', factor: 1000 })
+    const reg = new AxisRegistry(100, 100)
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_len_m')
+    reg.ensureSpatialSlot('xaxis_bottom', 'test_len_km')
+    const layer = (qk, domain) => ({ xAxis: 'xaxis_bottom', xAxisQuantityKind: qk, domains: { [qk]: domain }, colorAxes: {}, filterAxes: {} })
+    reg.applyAutoDomainsFromLayers([layer('test_len_m', [0, 500]), layer('test_len_km', [0.2, 2])], {})
+    assert.deepEqual(reg.getScale('xaxis_bottom').domain(), [0, 2000])
+    assert.deepEqual(reg.getDisplayDomainIn('xaxis_bottom', 'test_len_km'), [0, 2])
+  })
 })
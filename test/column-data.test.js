@@ -55,4 +55,22 @@ describe('ArrayColumn', () => {
     // Just verify the OffsetColumn wraps correctly without throwing.
     assert.equal(off.length, col.length)
   })
+
+  it('rebase leaves Float32Array columns untouched', () => {
+    const col = new ArrayColumn(new Float32Array([1, 2, 3]))
+    const { col: rebased, offset } = col.rebase()
+    assert.strictEqual(rebased, col)
+    assert.equal(offset, 0)
+  })
+
+  it('rebase keeps sub-millisecond detail of large Float64Array values', () => {
+    const t0 = 1.7e12
+    const col = new ArrayColumn(new Float64Array([t0, t0 + 0.25, t0 + 1000.5]), { domain: [t0, t0 + 1000.5], quantityKind: 'time_ms' })
+    const { col: rebased, offset } = col.rebase()
+    assert.equal(offset, t0)
+    assert.instanceOf(rebased.array, Float32Array)
+    assert.deepEqual(Array.from(rebased.array), [0, 0.25, 1000.5])
+    assert.deepEqual(rebased.domain, [t0, t0 + 1000.5])
+    assert.equal(rebased.quantityKind, 'time_ms')
+  })
 })
@@ -105,6 +105,37 @@ describe('Data.wrap — columnar format', () => {
   })
 })
 
+// ─── Categorical columns ───────────────────────────────────────────────────────
+
+describe('Data.wrap — categorical columns', () => {
+  it('encodes string columns in order of first appearance', () => {
+    const d = Data.wrap({ fruit: ['pear', 'apple', 'pear', 'fig'], w: new Float32Array([1, 2, 3, 4]) })
+    assert.instanceOf(d, Data)
+    assert.deepEqual(d.getCategories('fruit'), ['pear', 'apple', 'fig'])
+    assert.deepEqual(Array.from(d.getData('fruit').array), [0, 1, 0, 2])
+    assert.deepEqual(d.getData('fruit').categories, ['pear', 'apple', 'fig'])
+  })
+
+  it('getDomain() spans one band per category', () => {
+    const d = Data.wrap({ fruit: ['pear', 'apple', 'fig'] })
+    assert.deepEqual(d.getDomain('fruit'), [-0.5, 2.5])
+  })
+
+  it('an explicit categories list fixes the order and drops unknown labels', () => {
+    const d = Data.wrap({ level: { data: ['high', 'low', 'bogus'], categories: ['low', 'mid', 'high'] } })
+    assert.deepEqual(d.getCategories('level'), ['low', 'mid', 'high'])
+    const arr = d.getData('level').array
+    assert.equal(arr[0], 2)
+    assert.equal(arr[1], 0)
+    assert.isTrue(isNaN(arr[2]))
+  })
+
+  it('numeric columns have no categories', () => {
+    const d = Data.wrap({ x: new Float32Array([1, 2]) })
+    assert.isNull(d.getCategories('x'))
+  })
+})
+
 // ─── DataGroup ─────────────────────────────────────────────────────────────────
 
 describe('DataGroup', () => {
@@ -108,6 +108,49 @@ describe('plot.getConfig()', () => {
     })
     assert.deepEqual(plot.getConfig().layers[0], layerSpec)
   })
+
+  it('a time-scale axis keeps full-precision epoch domains from Float64Array data', async () => {
+    const t0 = Date.UTC(2024, 0, 1)
+    const t = new Float64Array([t0, t0 + 500, t0 + 1500])
+    await plot.update({
+      data:   { input: { t, y: new Float32Array([0, 1, 2]) } },
+      config: {
+        layers: [{ points: { xData: 'input.t', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { scale: 'time' } },
+      },
+    })
+    assert.equal(plot.axisRegistry.getScaleType('xaxis_bottom'), 'time')
+    const cfg = plot.getConfig()
+    assert.equal(cfg.axes.xaxis_bottom.scale, 'time')
+    assert.equal(cfg.axes.xaxis_bottom.min, t0)
+    assert.equal(cfg.axes.xaxis_bottom.max, t0 + 1500)
+    // Layer data is rebased, so the domain handed to the shader is small.
+    const props = plot._buildLayerProps(plot.layers[0], 0)
+    assert.deepEqual(props.xDomain, [0, 1500])
+  })
+
+  it('a Float64Array column starting at 0 is still uploaded as float32', async () => {
+    const t = new Float64Array([0, 1.7e12, 1.7e12 + 0.25])
+    await plot.update({
+      data:   { input: { t, y: new Float32Array([0, 1, 2]) } },
+      config: { layers: [{ points: { xData: 'input.t', yData: 'input.y' } }] },
+    })
+    const x = plot.layers[0].attributes.x
+    assert.instanceOf(x.array, Float32Array)
+    assert.equal(plot.layers[0].spatialOffsets.x, 0)
+  })
+
+  it('string columns produce a categorical axis with one band per category', async () => {
+    await plot.update({
+      data:   { input: { fruit: ['apple', 'pear', 'apple', 'fig'], w: new Float32Array([1, 2, 3, 4]) } },
+      config: { layers: [{ points: { xData: 'input.fruit', yData: 'input.w' } }] },
+    })
+    assert.isTrue(plot.axisRegistry.isCategorical('xaxis_bottom'))
+    assert.deepEqual(plot.axisRegistry.getCategories(plot.getAxisQuantityKind('xaxis_bottom')), ['apple', 'pear', 'fig'])
+    const cfg = plot.getConfig()
+    assert.equal(cfg.axes.xaxis_bottom.min, -0.5)
+    assert.equal(cfg.axes.xaxis_bottom.max, 2.5)
+  })
 })
 
 // ─── plot.lookup() ────────────────────────────────────────────────────────────
@@ -190,6 +233,18 @@ describe('plot.lookup()', () => {
       assert.equal(coords['input.x'], coords.xaxis_bottom)
     }
   })
+
+  it('reverse: true flips the screen direction but keeps the domain ascending', async () => {
+    await plot.update({
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 100 }, yaxis_left: { min: 0, max: 100, reverse: true } },
+      },
+    })
+    assert.closeTo(plot.lookup(WIDTH / 2, MARGIN.top).yaxis_left, 0, 0.1)
+    assert.closeTo(plot.lookup(WIDTH / 2, HEIGHT - MARGIN.bottom).yaxis_left, 100, 0.1)
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 100])
+  })
 })
 
 // ─── plot.on() ────────────────────────────────────────────────────────────────
@@ -1,5 +1,5 @@
 import { assert } from '@esm-bundle/chai'
-import { Plot, PlotGroup } from '../src/index.js'
+import { Plot, PlotGroup, CrosshairInteraction } from '../src/index.js'
 
 const WIDTH = 200, HEIGHT = 200
 
@@ -131,4 +131,32 @@ describe('PlotGroup', () => {
     group = new PlotGroup({ plotA, plotB })
     assert.doesNotThrow(() => group.remove('doesNotExist'))
   })
+
+  // ─── View history ───────────────────────────────────────────────────────────
+
+  it('undoView() on one plot steps back every plot in the group', async () => {
+    group = new PlotGroup({ plotA, plotB })
+    await group.update({ data: { input: makeData() }, plots: PLOT_CONFIGS })
+    const domainA = plotA.axes.xaxis_bottom.getDomain()
+    const domainB = plotB.axes.xaxis_bottom.getDomain()
+    plotA.axes.xaxis_bottom.setDomain([0.1, 0.2])
+    plotB.axes.xaxis_bottom.setDomain([0.3, 0.4])
+    plotA._zoomEndCallbacks.forEach(cb => cb())
+    assert.isTrue(plotB.undoView())
+    assert.deepEqual(plotA.axes.xaxis_bottom.getDomain(), domainA)
+    assert.deepEqual(plotB.axes.xaxis_bottom.getDomain(), domainB)
+  })
+
+  // ─── Crosshair ──────────────────────────────────────────────────────────────
+
+  it('a crosshair position is shown on the other plots of the group', async () => {
+    group = new PlotGroup({ plotA, plotB })
+    const crosshair = { layers: PLOT_CONFIGS.plotA.layers, interactions: { crosshair: true } }
+    await group.update({ data: { input: makeData() }, plots: { plotA: crosshair, plotB: crosshair } })
+    const find = plot => plot._interactions.find(i => i instanceof CrosshairInteraction)
+    find(plotA).setPosition({ xaxis_bottom: 0.3, yaxis_left: 0.6 })
+    assert.deepEqual(find(plotB).position, { xaxis_bottom: 0.3, yaxis_left: 0.6 })
+    find(plotA).setPosition(null)
+    assert.isNull(find(plotB).position)
+  })
 })
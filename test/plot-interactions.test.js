@@ -1,5 +1,5 @@
 import { assert } from '@esm-bundle/chai'
-import { Plot, Colorbar, Filterbar } from '../src/index.js'
+import { Plot, Colorbar, Filterbar, CrosshairInteraction } from '../src/index.js'
 
 const WIDTH = 200, HEIGHT = 200
 const MARGIN = { top: 60, right: 60, bottom: 60, left: 60 }
@@ -90,6 +90,312 @@ describe('Pan and zoom — axis.setDomain()', () => {
   })
 })
 
+// ─── Box zoom ──────────────────────────────────────────────────────────────────
+
+describe('Box zoom', () => {
+  let container, plot
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container, { margin: MARGIN })
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 100 }, yaxis_left: { min: 0, max: 100 } },
+        interactions: { boxZoom: true },
+      },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const boxZoom = () => plot._interactions.find(i => typeof i.zoomToBox === 'function')
+
+  it('zooms both axes to the dragged rectangle', () => {
+    // Plot-area pixels: x 20..60 → [25, 75]; y 10..50 from the top → [37.5, 87.5]
+    boxZoom().zoomToBox(MARGIN.left + 20, MARGIN.top + 10, MARGIN.left + 60, MARGIN.top + 50)
+    const [x0, x1] = plot.axes.xaxis_bottom.getDomain()
+    const [y0, y1] = plot.axes.yaxis_left.getDomain()
+    assert.closeTo(x0, 25, 1e-9); assert.closeTo(x1, 75, 1e-9)
+    assert.closeTo(y0, 37.5, 1e-9); assert.closeTo(y1, 87.5, 1e-9)
+  })
+
+  it('back() returns to the previous view', () => {
+    boxZoom().zoomToBox(MARGIN.left + 20, MARGIN.top + 10, MARGIN.left + 60, MARGIN.top + 50)
+    assert.isTrue(boxZoom().back())
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 100])
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 100])
+    assert.isFalse(boxZoom().back())
+  })
+
+  it('double-click back and undoView share one history', () => {
+    boxZoom().zoomToBox(MARGIN.left + 20, MARGIN.top + 10, MARGIN.left + 60, MARGIN.top + 50)
+    assert.isTrue(plot.undoView())
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 100])
+    assert.isFalse(boxZoom().back())
+    assert.isTrue(plot.redoView())
+    assert.closeTo(plot.axes.xaxis_bottom.getDomain()[0], 25, 1e-9)
+    assert.isTrue(boxZoom().back())
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 100])
+  })
+})
+
+// ─── View history ──────────────────────────────────────────────────────────────
+
+describe('View history', () => {
+  let container, plot
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container, { margin: MARGIN })
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 100 }, yaxis_left: { min: 0, max: 100 } },
+      },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  // What the zoom controller does at the end of a wheel or drag gesture.
+  const zoomTo = (domain) => {
+    plot.axes.xaxis_bottom.setDomain(domain)
+    plot._zoomEndCallbacks.forEach(cb => cb())
+  }
+
+  it('undoView and redoView step through recorded views', () => {
+    const events = []
+    plot.on('viewchange', e => events.push(e))
+    zoomTo([20, 40])
+    assert.isTrue(plot.undoView())
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 100])
+    assert.isFalse(plot.undoView())
+    assert.isTrue(plot.redoView())
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [20, 40])
+    assert.deepEqual(events.map(e => e.action), ['record', 'undo', 'redo'])
+    assert.isTrue(events[2].canUndo)
+    assert.isFalse(events[2].canRedo)
+  })
+
+  it('resetView returns to the auto-domain and can be undone', () => {
+    zoomTo([20, 40])
+    plot.resetView()
+    const [x0, x1] = plot.axes.xaxis_bottom.getDomain()
+    assert.closeTo(x0, 0, 1e-6); assert.closeTo(x1, 1, 1e-6)
+    assert.isTrue(plot.undoView())
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [20, 40])
+  })
+
+  it('resetView leaves colour-axis ranges alone', async () => {
+    await plot.update({
+      data:   { input: makeData() },
+      config: { layers: [{ points: { xData: 'input.x', yData: 'input.y', vData: 'input.v' } }] },
+    })
+    plot.axes['input.v'].setDomain([0.2, 0.3])
+    zoomTo([20, 40])
+    plot.resetView()
+    assert.deepEqual(plot.axes['input.v'].getDomain(), [0.2, 0.3])
+    const [x0, x1] = plot.axes.xaxis_bottom.getDomain()
+    assert.closeTo(x0, 0, 1e-6); assert.closeTo(x1, 1, 1e-6)
+  })
+})
+
+// ─── Tooltip ───────────────────────────────────────────────────────────────────
+
+describe('Tooltip', () => {
+  let container, plot
+
+  async function setup(tooltip) {
+    container = makeContainer()
+    plot = new Plot(container, { margin: MARGIN })
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y', vData: 'input.v' } }],
+        interactions: { tooltip },
+      },
+    })
+    return plot._interactions.find(i => typeof i.showAt === 'function')
+  }
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const tooltipEl = () => container.querySelector('.gladly-tooltip')
+
+  it('lists the picked row of every column the layer uses', async () => {
+    const tooltip = await setup(true)
+    tooltip.showAt([100, 100], { configLayerIndex: 0, index: 99, layer: plot.layers[0] })
+    const text = tooltipEl().textContent
+    assert.include(text, 'input.x: 1')
+    assert.include(text, 'input.v: 1')
+    assert.notEqual(tooltipEl().style.display, 'none')
+  })
+
+  it('fills a template and hides when nothing is picked', async () => {
+    const tooltip = await setup({ template: 'row {index}: x={input.x}' })
+    tooltip.showAt([100, 100], { configLayerIndex: 0, index: 0, layer: plot.layers[0] })
+    assert.equal(tooltipEl().textContent, 'row 0: x=0')
+    tooltip.showAt([100, 100], null)
+    assert.equal(tooltipEl().style.display, 'none')
+  })
+})
+
+// ─── Crosshair ─────────────────────────────────────────────────────────────────
+
+describe('Crosshair', () => {
+  let container, plot, crosshair
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container, { margin: MARGIN })
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes: { xaxis_bottom: { min: 0, max: 1 } },
+        interactions: { crosshair: true },
+      },
+    })
+    crosshair = plot._interactions.find(i => i instanceof CrosshairInteraction)
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('places a position given by quantity kind on the axes that show it', () => {
+    const xQk = plot.axisRegistry.getQkForSlot('xaxis_bottom')
+    crosshair.setPosition({ [xQk]: 0.5, yaxis_left: 0.25 })
+    assert.deepEqual(crosshair.position, { xaxis_bottom: 0.5, yaxis_left: 0.25 })
+    crosshair.setPosition(null)
+    assert.isNull(crosshair.position)
+  })
+
+  it('formats readout values to about a pixel of precision', () => {
+    // Domain [0, 1] over 80px: a pixel is 0.0125, so two decimals.
+    assert.equal(plot.axes.xaxis_bottom.formatValue(0.123456), '0.12')
+  })
+})
+
+// ─── Click selection ───────────────────────────────────────────────────────────
+//
+// Three points on the diagonal; with auto domains [0, 2] the middle one sits at
+// the centre of the plot area, canvas pixel (100, 100).
+
+describe('Click selection', () => {
+  let container, plot, click
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container, { margin: MARGIN })
+    const x = new Float32Array([0, 1, 2]), y = new Float32Array([0, 1, 2])
+    await plot.update({
+      data:   { input: { x, y } },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y', selection: 'picked' } }],
+        interactions: { clickSelect: { selection: 'picked', radius: 4 } },
+      },
+    })
+    click = plot._interactions.find(i => typeof i.clickAt === 'function')
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const selected = () => plot.selections.picked.arrays?.[0] && [...plot.selections.picked.arrays[0]]
+
+  it('selects the point nearest the click, within the pick radius', async () => {
+    await click.clickAt(102, 101)
+    assert.deepEqual(selected(), [0, 1, 0])
+  })
+
+  it('shift-click adds and removes points; a click on empty space clears', async () => {
+    await click.clickAt(100, 100)
+    await click.clickAt(MARGIN.left + PLOT_W, MARGIN.top, { additive: true })
+    assert.deepEqual(selected(), [0, 1, 1])
+    await click.clickAt(100, 100, { additive: true })
+    assert.deepEqual(selected(), [0, 0, 1])
+    await click.clickAt(MARGIN.left + 60, MARGIN.top + 60)
+    assert.isNull(plot.selections.picked.arrays)
+  })
+})
+
+// ─── Keyboard and accessibility ────────────────────────────────────────────────
+
+describe('Keyboard and accessibility', () => {
+  let container, plot
+
+  async function setup(extra = {}) {
+    container = makeContainer()
+    plot = new Plot(container, { margin: MARGIN })
+    await plot.update({
+      data:   { input: makeData() },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes:   { xaxis_bottom: { min: 0, max: 100 }, yaxis_left: { min: 0, max: 100 } },
+        ...extra,
+      },
+    })
+  }
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const press = key => plot.canvas.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }))
+
+  it('arrow keys pan and +/- zoom about the centre', async () => {
+    await setup()
+    press('ArrowRight')
+    press('ArrowUp')
+    const [x0, x1] = plot.axes.xaxis_bottom.getDomain()
+    assert.closeTo(x0, 10, 1e-6); assert.closeTo(x1, 110, 1e-6)
+    assert.closeTo(plot.axes.yaxis_left.getDomain()[0], 10, 1e-6)
+    press('+')
+    const [z0, z1] = plot.axes.xaxis_bottom.getDomain()
+    assert.closeTo(z1 - z0, 80, 1e-6)
+    assert.closeTo((z0 + z1) / 2, 60, 1e-6)
+  })
+
+  it('ignores keys when keyboard navigation is off', async () => {
+    await setup({ interactions: { keyboard: false } })
+    press('ArrowRight')
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 100])
+  })
+
+  it('makes the canvas focusable and describes axes and layers', async () => {
+    await setup()
+    assert.equal(plot.canvas.tabIndex, 0)
+    const description = document.getElementById(plot.canvas.getAttribute('aria-describedby'))
+    assert.include(description.textContent, 'points with 100 rows')
+    assert.include(description.textContent, 'Bottom x axis')
+  })
+
+  it('lists the picked row in the hidden data table', async () => {
+    await setup({ accessibility: { table: true } })
+    plot._accessibility.setPicked({ configLayerIndex: 0, tile: 0, index: 99, layer: plot.layers[0] })
+    const table = container.querySelector('.gladly-data-table')
+    assert.include(table.querySelector('caption').textContent, 'Picked row')
+    assert.include(table.textContent, 'input.x')
+  })
+})
+
 // ─── Color axis ───────────────────────────────────────────────────────────────
 
 describe('Color axis interactions', () => {
@@ -1,5 +1,5 @@
 import { assert } from '@esm-bundle/chai'
-import { Plot } from '../src/index.js'
+import { Plot, pickedValues } from '../src/index.js'
 
 const WIDTH = 200
 const HEIGHT = 200
@@ -91,6 +91,22 @@ describe('Plot', () => {
     assert.isAbove(nonWhiteCount, 0, 'Expected non-white pixels from rendered points')
   })
 
+  it('draws gridlines in the configured color', async () => {
+    await plot.update({
+      data: { input: makeData(50) },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y' } }],
+        axes: { xaxis_bottom: { grid: { color: '#ff0000', opacity: 1 } } },
+      },
+    })
+    const pixels = await readPixelsAfterRender(plot)
+    let redCount = 0
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i] > 200 && pixels[i + 1] < 60 && pixels[i + 2] < 60) redCount++
+    }
+    assert.isAbove(redCount, 0, 'Expected red gridline pixels')
+  })
+
   it('update() twice with different data does not throw', async () => {
     await plot.update({
       data: { input: makeData(100) },
@@ -102,3 +118,495 @@ describe('Plot', () => {
     })
   })
 })
+
+describe('image layer', () => {
+  let container, plot
+
+  // 4 × 3 grid, value(i, j) = i + 4 * j, cell centres at x = i and y = j.
+  const grid = {
+    v: { data: Float32Array.from({ length: 12 }, (_, k) => k), shape: [4, 3] },
+    x: new Float32Array([0, 1, 2, 3]),
+    y: new Float32Array([0, 1, 2]),
+  }
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container)
+    await plot.update({
+      data: { grid },
+      config: { layers: [{ image: { vData: 'grid.v', xData: 'grid.x', yData: 'grid.y' } }] },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('spans the cell edges on x and y', () => {
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [-0.5, 3.5])
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [-0.5, 2.5])
+  })
+
+  it('fills the plot area with colour-mapped cells', async () => {
+    const pixels = await readPixelsAfterRender(plot)
+    let nonWhiteCount = 0
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i] < 250 || pixels[i + 1] < 250 || pixels[i + 2] < 250) nonWhiteCount++
+    }
+    assert.isAbove(nonWhiteCount, pixels.length / 4 / 4)
+  })
+
+  it('pick() returns the (i, j) cell under the cursor', async () => {
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 2), plot._valueToPixel('yaxis_left', 1))
+    assert.equal(hit.index, 6)
+    assert.deepEqual(hit.cell, [2, 1])
+  })
+
+  it('rebases epoch-millisecond cells a second apart on a time axis', async () => {
+    const t0 = Date.UTC(2024, 0, 1)
+    await plot.update({
+      data: { grid: { ...grid, x: Float64Array.from([0, 1, 2, 3], i => t0 + 1000 * i) } },
+      config: {
+        layers: [{ image: { vData: 'grid.v', xData: 'grid.x', yData: 'grid.y' } }],
+        axes: { xaxis_bottom: { scale: 'time' } },
+      },
+    })
+    assert.equal(plot.layers[0].spatialOffsets.x, t0 - 500)
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', t0 + 2000), plot._valueToPixel('yaxis_left', 1))
+    assert.deepEqual(hit.cell, [2, 1])
+  })
+
+  it('keeps each layer\'s own grid size when two images share a shader', async () => {
+    const small = { v: { data: new Float32Array([0, 1, 2, 3]), shape: [2, 2] }, x: new Float32Array([10, 11]), y: new Float32Array([0, 1]) }
+    await plot.update({
+      data: { grid, small },
+      config: {
+        layers: [
+          { image: { vData: 'grid.v', xData: 'grid.x', yData: 'grid.y' } },
+          { image: { vData: 'small.v', xData: 'small.x', yData: 'small.y' } },
+        ],
+      },
+    })
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 11), plot._valueToPixel('yaxis_left', 1))
+    assert.equal(hit.layerIndex, 1)
+    assert.equal(hit.index, 3)
+    assert.deepEqual(hit.cell, [1, 1])
+  })
+})
+
+describe('contour layer', () => {
+  let container, plot
+
+  // 5 × 5 grid of v = x + y over x, y in 0..4.
+  const field = {
+    v: { data: Float32Array.from({ length: 25 }, (_, k) => k % 5 + Math.floor(k / 5)), shape: [5, 5], quantity_kind: 'height' },
+    x: new Float32Array([0, 1, 2, 3, 4]),
+    y: new Float32Array([0, 1, 2, 3, 4]),
+  }
+
+  beforeEach(() => {
+    container = makeContainer()
+    plot = new Plot(container)
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('draws isolines and puts its levels on the colour axis', async () => {
+    await plot.update({
+      data: { field },
+      config: { layers: [{ contour: { vData: 'field.v', xData: 'field.x', yData: 'field.y', levels: [2.5, 5.5, 1.5] } }] },
+    })
+    assert.deepEqual(plot.axisRegistry.getColorLevels('height'), [1.5, 2.5, 5.5])
+    const pixels = await readPixelsAfterRender(plot)
+    let nonWhiteCount = 0
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i] < 250 || pixels[i + 1] < 250 || pixels[i + 2] < 250) nonWhiteCount++
+    }
+    assert.isAbove(nonWhiteCount, 0)
+  })
+
+  it('places level labels on the isolines', async () => {
+    await plot.update({
+      data: { field },
+      config: { layers: [{ contour: { vData: 'field.v', xData: 'field.x', yData: 'field.y', levels: [4], labels: true } }] },
+    })
+    const { labels } = plot.layers[0]
+    assert.isAbove(labels.length, 0)
+    for (const { x, y, text } of labels) {
+      assert.equal(text, '4')
+      assert.closeTo(x + y, 4, 1e-6)
+    }
+  })
+
+  it('filled bands pick as grid cells', async () => {
+    await plot.update({
+      data: { field },
+      config: { layers: [{ contour: { vData: 'field.v', xData: 'field.x', yData: 'field.y', fill: true, lines: false } }] },
+    })
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 2.5), plot._valueToPixel('yaxis_left', 0.5))
+    assert.deepEqual(hit.cell, [2, 0])
+    assert.equal(hit.index, 2)
+  })
+
+  it('isolines pick as the cell they cross, with its vData row', async () => {
+    await plot.update({
+      data: { field },
+      config: { layers: [{ contour: { vData: 'field.v', xData: 'field.x', yData: 'field.y', levels: [1.5, 4.5] } }] },
+    })
+    // The 4.5 isoline crosses cell (2, 1) from (3, 1.5) to (2.5, 2).
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 2.75), plot._valueToPixel('yaxis_left', 1.75), { radius: 3 })
+    assert.deepEqual(hit.cell, [2, 1])
+    assert.equal(hit.index, 7)
+    assert.equal(pickedValues(plot, hit)['field.v'], 3)
+  })
+
+  it('keeps each layer\'s own grid size when two contours share a shader', async () => {
+    const small = { v: { data: new Float32Array([0, 1, 2, 3]), shape: [2, 2], quantity_kind: 'height' }, x: new Float32Array([10, 11]), y: new Float32Array([0, 1]) }
+    await plot.update({
+      data: { field, small },
+      config: {
+        layers: [
+          { contour: { vData: 'field.v', xData: 'field.x', yData: 'field.y', fill: true, lines: false } },
+          { contour: { vData: 'small.v', xData: 'small.x', yData: 'small.y', fill: true, lines: false } },
+        ],
+      },
+    })
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 10.5), plot._valueToPixel('yaxis_left', 0.5))
+    assert.equal(hit.layerIndex, 1)
+    assert.deepEqual(hit.cell, [0, 0])
+  })
+})
+
+describe('rects layer', () => {
+  let container, plot
+
+  // Three rects centred on x = 0, 1, 2 from y = 0 up to 1, 2, 3.
+  const bars = {
+    x: new Float32Array([0, 1, 2]),
+    top: new Float32Array([1, 2, 3]),
+    bottom: new Float32Array([0, 0, 0]),
+  }
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container)
+    await plot.update({
+      data: { bars },
+      config: { layers: [{ rects: { xData: 'bars.x', yTopData: 'bars.top', yBottomData: 'bars.bottom' } }] },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('spans the tops and bottoms on the y axis', () => {
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [0, 2])
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 3])
+  })
+
+  it('pick() returns the rect reaching half-way to its neighbours', async () => {
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 1.4), plot._valueToPixel('yaxis_left', 1.5))
+    assert.equal(hit.index, 1)
+  })
+
+  it('rebases epoch-millisecond centres a second apart on a time axis', async () => {
+    const t0 = Date.UTC(2024, 0, 1)
+    await plot.update({
+      data: { bars: { ...bars, x: Float64Array.from([0, 1, 2], i => t0 + 1000 * i) } },
+      config: {
+        layers: [{ rects: { xData: 'bars.x', yTopData: 'bars.top', yBottomData: 'bars.bottom' } }],
+        axes: { xaxis_bottom: { scale: 'time' } },
+      },
+    })
+    assert.equal(plot.layers[0].spatialOffsets.x, t0)
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', t0 + 1400), plot._valueToPixel('yaxis_left', 1.5))
+    assert.equal(hit.index, 1)
+  })
+})
+
+describe('multiline layer', () => {
+  let container, plot
+
+  const lines = {
+    t: new Float32Array([0, 1, 2, 3]),
+    a: new Float32Array([0, 1, 2, 3]),
+    b: new Float32Array([3, 2, 1, 0]),
+  }
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container)
+    await plot.update({ data: { lines }, config: { layers: [{ multiline: { xData: 'lines.t' } }] } })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('draws one line per sibling column, coloured by line index', async () => {
+    assert.equal(plot.layers.length, 2)
+    assert.deepEqual(plot.axisRegistry.getDomain('line_index'), [0, 1])
+    // Darkest pixel within 3 px of (x, y): the line drawn there.
+    const pixels = await readPixelsAfterRender(plot)
+    const { width, height } = plot.canvas, ratio = width / plot.width
+    const colourNear = (x, y) => {
+      const cx = Math.round(plot._valueToPixel('xaxis_bottom', x) * ratio)
+      const cy = height - 1 - Math.round(plot._valueToPixel('yaxis_left', y) * ratio)
+      let best = null
+      for (let dy = -3; dy <= 3; dy++) {
+        for (let dx = -3; dx <= 3; dx++) {
+          const i = ((cy + dy) * width + cx + dx) * 4
+          const rgb = [pixels[i], pixels[i + 1], pixels[i + 2]]
+          if (!best || rgb[0] + rgb[1] + rgb[2] < best[0] + best[1] + best[2]) best = rgb
+        }
+      }
+      return best
+    }
+    const a = colourNear(0.3, 0.3), b = colourNear(0.3, 2.7)
+    assert.isBelow(a[0] + a[1] + a[2], 3 * 250)
+    assert.isBelow(b[0] + b[1] + b[2], 3 * 250)
+    assert.notDeepEqual(a, b)
+  })
+
+  it('pick() returns the line and the segment under the cursor', async () => {
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', 2.5), { radius: 3 })
+    assert.equal(hit.layerIndex, 1)
+    assert.equal(hit.index, 0)
+  })
+
+  it('gives every line the same y offset', async () => {
+    const big = 1e9
+    await plot.update({
+      data: { lines: { t: lines.t, a: Float64Array.from(lines.a, v => big + v), b: Float64Array.from(lines.b, v => big + v) } },
+      config: { layers: [{ multiline: { xData: 'lines.t' } }] },
+    })
+    assert.deepEqual(plot.layers.map(l => l.spatialOffsets.y), [big, big])
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', big + 2.5), { radius: 3 })
+    assert.equal(hit.layerIndex, 1)
+  })
+})
+
+describe('points error bars', () => {
+  let container, plot
+
+  const pts = {
+    x: new Float32Array([0, 1, 2]),
+    y: new Float32Array([1, 2, 3]),
+    lo: new Float32Array([0.5, 0.5, 0.5]),
+    hi: new Float32Array([1, 1, 2]),
+  }
+
+  beforeEach(() => {
+    container = makeContainer()
+    plot = new Plot(container)
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('adds an error bar layer under the points and widens the axis range', async () => {
+    await plot.update({
+      data: { pts },
+      config: { layers: [{ points: { xData: 'pts.x', yData: 'pts.y', yErr: ['pts.lo', 'pts.hi'], xErr: 'pts.lo' } }] },
+    })
+    assert.equal(plot.layers.length, 2)
+    assert.equal(plot.layers[0].primitive, 'lines')
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0.5, 5])
+    assert.deepEqual(plot.axes.xaxis_bottom.getDomain(), [-0.5, 2.5])
+  })
+
+  it('leaves bar ends at or below 0 out of a log axis range', async () => {
+    await plot.update({
+      data: { pts },
+      config: {
+        layers: [{ points: { xData: 'pts.x', yData: 'pts.y', yErr: 'pts.hi' } }],
+        axes: { yaxis_left: { scale: 'log' } },
+      },
+    })
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [1, 5])
+  })
+
+  it('pick() on a bar returns its point', async () => {
+    await plot.update({
+      data: { pts },
+      config: { layers: [{ points: { xData: 'pts.x', yData: 'pts.y', yErr: 'pts.hi' } }] },
+    })
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 1), plot._valueToPixel('yaxis_left', 2.7), { radius: 3 })
+    assert.equal(hit.layerIndex, 0)
+    assert.equal(hit.index, 1)
+  })
+})
+
+describe('band layer', () => {
+  let container, plot
+
+  const fit = {
+    t: new Float32Array([0, 1, 2, 3]),
+    lower: new Float32Array([0, 1, 1, 0]),
+    upper: new Float32Array([2, 3, 4, 2]),
+  }
+
+  beforeEach(async () => {
+    container = makeContainer()
+    plot = new Plot(container)
+    await plot.update({
+      data: { fit },
+      config: { layers: [{ band: { xData: 'fit.t', yLow: 'fit.lower', yHigh: 'fit.upper', opacity: 1 } }] },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('spans both edges on the y axis and fills between them', async () => {
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 4])
+    const pixels = await readPixelsAfterRender(plot)
+    let nonWhiteCount = 0
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i] < 250 || pixels[i + 1] < 250 || pixels[i + 2] < 250) nonWhiteCount++
+    }
+    assert.isAbove(nonWhiteCount, pixels.length / 4 / 4)
+  })
+
+  it('pick() returns the segment under the cursor', async () => {
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 1.5), plot._valueToPixel('yaxis_left', 2))
+    assert.equal(hit.index, 1)
+    assert.isNull(await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', 3.8)))
+  })
+
+  it('shifts both float64 edges by one offset', async () => {
+    const big = 1e9
+    await plot.update({
+      data: { fit: { t: fit.t, lower: Float64Array.from(fit.lower, v => big + v), upper: Float64Array.from(fit.upper, v => big + v) } },
+      config: { layers: [{ band: { xData: 'fit.t', yLow: 'fit.lower', yHigh: 'fit.upper', opacity: 1 } }] },
+    })
+    assert.equal(plot.layers[0].spatialOffsets.y, big)
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 1.5), plot._valueToPixel('yaxis_left', big + 2))
+    assert.equal(hit.index, 1)
+  })
+})
+
+describe('stacked series', () => {
+  let container, plot
+
+  const sales = {
+    month: new Float32Array([0, 1, 2]),
+    north: new Float32Array([1, 2, 3]),
+    south: new Float32Array([3, 2, 1]),
+  }
+
+  beforeEach(() => {
+    container = makeContainer()
+    plot = new Plot(container)
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const barsWith = stack => ({ bars: { xData: 'sales.month', yData: ['sales.north', 'sales.south'], stack } })
+
+  it('stacked bars draw one layer per series and span the largest stack', async () => {
+    await plot.update({ data: { sales }, config: { layers: [barsWith('stacked')] } })
+    assert.equal(plot.layers.length, 2)
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 4])
+    // Bin 1: north covers 0–2, south 2–4.
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', 1), plot._valueToPixel('yaxis_left', 3))
+    assert.equal(hit.layerIndex, 1)
+    assert.equal(hit.index, 1)
+  })
+
+  it('normalized bars span 0–100 percent', async () => {
+    await plot.update({ data: { sales }, config: { layers: [barsWith('normalized')] } })
+    assert.equal(plot.layers[0].yAxisQuantityKind, 'percent')
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 100])
+  })
+
+  it('grouped bars sit side by side within a bin', async () => {
+    await plot.update({ data: { sales }, config: { layers: [barsWith('grouped')] } })
+    const halfWidth = 1 / 3
+    const left = await plot.pick(plot._valueToPixel('xaxis_bottom', 1 - halfWidth / 2), plot._valueToPixel('yaxis_left', 1.5))
+    const right = await plot.pick(plot._valueToPixel('xaxis_bottom', 1 + halfWidth / 2), plot._valueToPixel('yaxis_left', 1.5))
+    assert.equal(left.layerIndex, 0)
+    assert.equal(right.layerIndex, 1)
+  })
+
+  it('stacked areas fill between the series', async () => {
+    await plot.update({
+      data: { sales },
+      config: { layers: [{ area: { xData: 'sales.month', yData: ['sales.north', 'sales.south'], stack: 'stacked', opacity: 1 } }] },
+    })
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [0, 4])
+    const lower = await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', 1))
+    const upper = await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', 3))
+    assert.equal(lower.layerIndex, 0)
+    assert.equal(upper.layerIndex, 1)
+    assert.equal(upper.index, 0)
+  })
+
+  it('an unstacked area fills from its baseline to the series', async () => {
+    await plot.update({
+      data: { sales },
+      config: { layers: [{ area: { xData: 'sales.month', yData: 'sales.north', baseline: 5, opacity: 1 } }] },
+    })
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [1, 5])
+    // At x = 0.5 north is 1.5.
+    assert.isNotNull(await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', 4)))
+    assert.isNull(await plot.pick(plot._valueToPixel('xaxis_bottom', 0.5), plot._valueToPixel('yaxis_left', 1.2)))
+  })
+
+  it('an unstacked area fills from y0Data to the series', async () => {
+    await plot.update({
+      data: { sales },
+      config: { layers: [{ area: { xData: 'sales.month', yData: 'sales.north', y0Data: 'sales.south', opacity: 1 } }] },
+    })
+    assert.deepEqual(plot.axes.yaxis_left.getDomain(), [1, 3])
+    // At x = 0.25 north is 1.25 and south 2.75.
+    assert.isNotNull(await plot.pick(plot._valueToPixel('xaxis_bottom', 0.25), plot._valueToPixel('yaxis_left', 2)))
+    assert.isNull(await plot.pick(plot._valueToPixel('xaxis_bottom', 0.25), plot._valueToPixel('yaxis_left', 2.9)))
+  })
+
+  it('rebases epoch-millisecond bins of stacked bars on a time axis', async () => {
+    const t0 = Date.UTC(2024, 0, 1)
+    await plot.update({
+      data: { sales: { ...sales, month: Float64Array.from([0, 1, 2], i => t0 + 1000 * i) } },
+      config: { layers: [barsWith('stacked')], axes: { xaxis_bottom: { scale: 'time' } } },
+    })
+    assert.deepEqual(plot.layers.map(l => l.spatialOffsets.x), [t0, t0])
+    const hit = await plot.pick(plot._valueToPixel('xaxis_bottom', t0 + 1000), plot._valueToPixel('yaxis_left', 3))
+    assert.equal(hit.layerIndex, 1)
+    assert.equal(hit.index, 1)
+  })
+
+  it('rebases float64 positions and the edges of an unstacked area together', async () => {
+    const t0 = Date.UTC(2024, 0, 1), big = 1e9
+    await plot.update({
+      data: {
+        sales: {
+          month: Float64Array.from([0, 1, 2], i => t0 + 1000 * i),
+          north: Float64Array.from(sales.north, v => big + v),
+          south: Float64Array.from(sales.south, v => big + v),
+        },
+      },
+      config: {
+        layers: [{ area: { xData: 'sales.month', yData: 'sales.north', y0Data: 'sales.south', opacity: 1 } }],
+        axes: { xaxis_bottom: { scale: 'time' } },
+      },
+    })
+    assert.deepEqual(plot.layers[0].spatialOffsets, { x: t0, y: big + 3 })
+    assert.isNotNull(await plot.pick(plot._valueToPixel('xaxis_bottom', t0 + 250), plot._valueToPixel('yaxis_left', big + 2)))
+    assert.isNull(await plot.pick(plot._valueToPixel('xaxis_bottom', t0 + 250), plot._valueToPixel('yaxis_left', big + 2.9)))
+  })
+})
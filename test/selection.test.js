@@ -0,0 +1,297 @@
+import { assert } from '@esm-bundle/chai'
+import { combineSelection, encodeTile, decodeTile } from '../src/selection/Selection.js'
+import { Plot } from '../src/index.js'
+
+const tiles = (...rows) => rows.map(r => new Float32Array(r))
+const plain = arrays => arrays.map(a => [...a])
+
+describe('combineSelection', () => {
+  const previous = tiles([1, 1, 0, 0], [1, 0])
+  const next     = tiles([0, 1, 1, 0], [1, 1])
+
+  it('replace keeps only the new selection', () => {
+    assert.strictEqual(combineSelection(previous, next, 'replace'), next)
+  })
+
+  it('union, intersect and subtract merge point by point', () => {
+    assert.deepEqual(plain(combineSelection(previous, next, 'union')),     [[1, 1, 1, 0], [1, 1]])
+    assert.deepEqual(plain(combineSelection(previous, next, 'intersect')), [[0, 1, 0, 0], [1, 0]])
+    assert.deepEqual(plain(combineSelection(previous, next, 'subtract')),  [[1, 0, 0, 0], [0, 0]])
+  })
+
+  it('treats a missing or differently tiled previous selection as empty', () => {
+    assert.deepEqual(plain(combineSelection(null, next, 'union')), plain(next))
+    assert.deepEqual(plain(combineSelection(tiles([1, 1]), next, 'intersect')), [[0, 0, 0, 0], [0, 0]])
+  })
+})
+
+// ─── Programmatic selection ───────────────────────────────────────────────────
+//
+// Three points on the diagonal (0,0), (1,1), (2,2) with v = 10, 20, 30.
+
+describe('Programmatic selection', () => {
+  let container, plot, sel
+
+  beforeEach(async () => {
+    container = document.createElement('div')
+    container.style.cssText = 'width:200px;height:200px;position:absolute;left:-9999px'
+    document.body.appendChild(container)
+    plot = new Plot(container, { margin: { top: 60, right: 60, bottom: 60, left: 60 } })
+    const x = new Float32Array([0, 1, 2]), y = new Float32Array([0, 1, 2]), v = new Float32Array([10, 20, 30])
+    await plot.update({
+      data:   { input: { x, y, v } },
+      config: { layers: [{ points: { xData: 'input.x', yData: 'input.y', selection: 'sel' } }] },
+    })
+    sel = plot.selections['sel']
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const selected = () => sel.arrays ? plain(sel.arrays) : null
+
+  it('setIndices selects the given points and notifies subscribers', () => {
+    let notified = 0
+    sel.subscribe(() => notified++)
+    sel.setIndices([0, 2])
+    assert.deepEqual(selected(), [[1, 0, 1]])
+    sel.setIndices({ 0: [1] }, { combine: 'union' })
+    assert.deepEqual(selected(), [[1, 1, 1]])
+    assert.equal(notified, 2)
+  })
+
+  it('selectRange compares a column against open or closed bounds', async () => {
+    await sel.selectRange({ column: 'input.v', min: 15 })
+    assert.deepEqual(selected(), [[0, 1, 1]])
+    await sel.selectRange({ column: 'input.v', min: 15, max: 25 })
+    assert.deepEqual(selected(), [[0, 1, 0]])
+  })
+
+  it('selectWhere evaluates a GLSL expression on the GPU', async () => {
+    await sel.selectWhere('{x} < 1.5 && {v} > 15.0', { inputs: { x: 'input.x', v: 'input.v' } })
+    assert.deepEqual(selected(), [[0, 1, 0]])
+  })
+
+  it('selectRegion selects inside a data-space polygon', async () => {
+    await sel.selectRegion([[0.5, 0.5], [2.5, 0.5], [2.5, 2.5], [0.5, 2.5]])
+    assert.deepEqual(selected(), [[0, 1, 1]])
+  })
+
+  it('clears the selection when nothing matches', () => {
+    sel.setIndices([1])
+    sel.setIndices([])
+    assert.isNull(sel.arrays)
+  })
+})
+
+// ─── Rects selection ──────────────────────────────────────────────────────────
+//
+// Rects centred on x = 0, 1, 2 from y = 0 to 1, 2, 3: centres (0, 0.5), (1, 1), (2, 1.5).
+
+describe('Rects selection', () => {
+  let container, plot
+
+  beforeEach(async () => {
+    container = document.createElement('div')
+    container.style.cssText = 'width:200px;height:200px;position:absolute;left:-9999px'
+    document.body.appendChild(container)
+    plot = new Plot(container, { margin: { top: 60, right: 60, bottom: 60, left: 60 } })
+    const x = new Float32Array([0, 1, 2]), top = new Float32Array([1, 2, 3]), bottom = new Float32Array([0, 0, 0])
+    await plot.update({
+      data:   { input: { x, top, bottom } },
+      config: { layers: [{ rects: { xData: 'input.x', yTopData: 'input.top', yBottomData: 'input.bottom', selection: 'sel' } }] },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  it('selectRegion tests each rect by its centre', async () => {
+    await plot.selections.sel.selectRegion([[0.5, 0.8], [2.5, 0.8], [2.5, 1.2], [0.5, 1.2]])
+    assert.deepEqual(plain(plot.selections.sel.arrays), [[0, 1, 0]])
+  })
+})
+
+// ─── Selection sets ───────────────────────────────────────────────────────────
+
+describe('Selection sets', () => {
+  let container, plot
+
+  beforeEach(async () => {
+    container = document.createElement('div')
+    container.style.cssText = 'width:200px;height:200px;position:absolute;left:-9999px'
+    document.body.appendChild(container)
+    plot = new Plot(container, { margin: { top: 60, right: 60, bottom: 60, left: 60 } })
+    const x = new Float32Array([0, 1, 2]), y = new Float32Array([0, 1, 2])
+    await plot.update({
+      data:   { input: { x, y } },
+      config: {
+        layers: [{ points: { xData: 'input.x', yData: 'input.y', selection: 'sel' } }],
+        selectionSets: { a: { color: '#e41a1c' }, b: {} },
+      },
+    })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const selected = name => plot.selections[name].arrays ? plain(plot.selections[name].arrays) : null
+
+  it('registers each set on layers with a selection binding', () => {
+    const layer = plot.layers[0]
+    assert.deepEqual([...layer.selectionColumns.keys()], ['sel', 'a', 'b'])
+    assert.deepEqual(layer.selectionSets.map(s => s.color), [[228 / 255, 26 / 255, 28 / 255, 1], null])
+  })
+
+  it('combines sets with union, intersect, difference and invert on the GPU', () => {
+    const { sel, a, b } = plot.selections
+    a.setIndices([0, 1])
+    b.setIndices([1, 2])
+    sel.applyFrom(a)
+    sel.union(b)
+    assert.deepEqual(selected('sel'), [[1, 1, 1]])
+    sel.applyFrom(a)
+    sel.intersect('b')
+    assert.deepEqual(selected('sel'), [[0, 1, 0]])
+    sel.applyFrom(a)
+    sel.difference(b)
+    assert.deepEqual(selected('sel'), [[1, 0, 0]])
+    sel.invert()
+    assert.deepEqual(selected('sel'), [[0, 1, 1]])
+  })
+
+  it('treats an empty set as empty and its inverse as everything', () => {
+    const { a, b } = plot.selections
+    a.setIndices([0])
+    a.intersect(b)
+    assert.isNull(a.arrays)
+    a.invert()
+    assert.deepEqual(selected('a'), [[1, 1, 1]])
+  })
+
+  it('lassos into a set without touching the layer selection', async () => {
+    await plot.selections.a.selectRegion([[0.5, 0.5], [2.5, 0.5], [2.5, 2.5], [0.5, 2.5]])
+    assert.deepEqual(selected('a'), [[0, 1, 1]])
+    assert.isNull(plot.selections.sel.arrays)
+  })
+})
+
+// ─── Persistence ──────────────────────────────────────────────────────────────
+
+describe('encodeTile / decodeTile', () => {
+  it('uses run lengths for long runs and round-trips', () => {
+    const arr = new Float32Array(1000).fill(1, 100, 900)
+    const json = encodeTile(arr)
+    assert.deepEqual(json, { n: 1000, runs: [100, 800, 100] })
+    assert.deepEqual([...decodeTile(json)], [...arr])
+  })
+
+  it('uses a bitset for scattered points and round-trips', () => {
+    const arr = Float32Array.from({ length: 64 }, (_, i) => i % 3 === 0 ? 1 : 0)
+    const json = encodeTile(arr)
+    assert.property(json, 'bits')
+    assert.deepEqual([...decodeTile(json)], [...arr])
+  })
+})
+
+describe('Selection persistence', () => {
+  let container, plot
+  const config = { layers: [{ points: { xData: 'input.x', yData: 'input.y', selection: 'sel' } }] }
+  const makeData = (xs, ys) => ({ input: { x: new Float32Array(xs), y: new Float32Array(ys) } })
+
+  beforeEach(async () => {
+    container = document.createElement('div')
+    container.style.cssText = 'width:200px;height:200px;position:absolute;left:-9999px'
+    document.body.appendChild(container)
+    plot = new Plot(container, { margin: { top: 60, right: 60, bottom: 60, left: 60 } })
+    await plot.update({ data: makeData([0, 1, 2], [0, 1, 2]), config })
+  })
+
+  afterEach(() => {
+    plot.destroy()
+    document.body.removeChild(container)
+  })
+
+  const selected = () => plot.selections.sel.arrays ? plain(plot.selections.sel.arrays) : null
+
+  it('round-trips indices through toJSON / fromJSON', async () => {
+    const sel = plot.selections.sel
+    sel.setIndices([0, 2])
+    const json = JSON.parse(JSON.stringify(sel))
+    assert.deepEqual(json, { tiles: [{ n: 3, bits: 'BQ==' }] })
+    sel.clear()
+    assert.isNull(sel.toJSON())
+    await sel.fromJSON(json)
+    assert.deepEqual(selected(), [[1, 0, 1]])
+  })
+
+  it('saves data-space regions and redraws them on new data', async () => {
+    const polygon = [[0.5, 0.5], [2.5, 0.5], [2.5, 2.5], [0.5, 2.5]]
+    await plot.selections.sel.selectRegion(polygon)
+    assert.deepEqual(plot.selections.sel.toJSON(), {
+      regions: [{ polygon, xAxis: 'xaxis_bottom', yAxis: 'yaxis_left', combine: 'replace' }],
+    })
+    await plot.update({ data: makeData([0, 1, 2, 1.5], [0, 1, 2, 1.5]) })
+    assert.deepEqual(selected(), [[0, 1, 1, 1]])
+  })
+
+  it('keeps an intersect or subtract region on an empty selection empty across update()', async () => {
+    const polygon = [[0.5, 0.5], [2.5, 0.5], [2.5, 2.5], [0.5, 2.5]]
+    const sel = plot.selections.sel
+    for (const combine of ['intersect', 'subtract']) {
+      sel.clear()
+      await sel.selectRegion(polygon, { combine })
+      assert.isNull(sel.arrays)
+      assert.isNull(sel.toJSON())
+      await plot.update({ data: makeData([0, 1, 2], [0, 1, 2]) })
+      assert.isNull(selected())
+    }
+  })
+
+  it('puts selections into getConfig() and restores them from a config', async () => {
+    plot.selections.sel.setIndices([1])
+    const saved = plot.getConfig()
+    assert.deepEqual(saved.selectionState, { sel: { tiles: [{ n: 3, bits: 'Ag==' }] } })
+
+    const other = new Plot(container, { margin: { top: 60, right: 60, bottom: 60, left: 60 } })
+    try {
+      await other.update({ data: makeData([0, 1, 2], [0, 1, 2]), config: saved })
+      assert.deepEqual(plain(other.selections.sel.arrays), [[0, 1, 0]])
+    } finally {
+      other.destroy()
+    }
+  })
+
+  it('leaves selections out of getConfig({ selectionState: false }) and the zoom-time description', () => {
+    plot.selections.sel.setIndices([1])
+    let encoded = 0
+    const toJSON = plot.selections.sel.toJSON
+    plot.selections.sel.toJSON = function () { encoded++; return toJSON.call(this) }
+    try {
+      assert.notProperty(plot.getConfig({ selectionState: false }), 'selectionState')
+      plot._zoomEndCallbacks.forEach(cb => cb())
+      assert.equal(encoded, 0)
+    } finally {
+      delete plot.selections.sel.toJSON
+    }
+  })
+
+  it('warns instead of failing when saved tiles do not fit the data', async () => {
+    const warn = console.warn
+    let warned = false
+    console.warn = () => { warned = true }
+    try {
+      await plot.update({ config: { ...config, selectionState: { sel: { tiles: [{ n: 5, runs: [5] }] } } } })
+    } finally {
+      console.warn = warn
+    }
+    assert.isTrue(warned)
+    assert.isNull(plot.selections.sel.arrays)
+  })
+})